@@ -0,0 +1,113 @@
+/**
+ * Admin API authentication
+ * The /admin endpoints expect "Authorization: Bearer <token>", where the
+ * token is either ADMIN_API_TOKEN (for scripts) or a session token from
+ * logging in to the staff dashboard (admin.html) with DASHBOARD_PASSWORD.
+ * Session tokens are signed (HMAC-SHA256) and expire; they stop working on
+ * restart unless ADMIN_SESSION_SECRET is set. Without a token or password
+ * configured the admin endpoints stay switched off rather than open.
+ */
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { safeEqual } = require('./safe-equal');
+
+const DEFAULT_SESSION_TTL_HOURS = 12;
+
+// Repeated wrong passwords from one address are refused for a while
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+function sign(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+// Express middleware factory
+// The middleware also has login(password, ip) for the dashboard's login endpoint
+function createAdminAuth(options = {}) {
+  const token = options.token || process.env.ADMIN_API_TOKEN || '';
+  const password = options.password || process.env.DASHBOARD_PASSWORD || '';
+  const sessionSecret = options.sessionSecret || process.env.ADMIN_SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+  const sessionTtlMs = (Number(options.sessionTtlHours || process.env.ADMIN_SESSION_TTL_HOURS) || DEFAULT_SESSION_TTL_HOURS) * 60 * 60 * 1000;
+
+  // ip -> { failures, since }
+  const failedLogins = new Map();
+
+  const stats = {
+    accepted: 0,
+    rejected: 0,
+    logins: 0,
+    failedLogins: 0
+  };
+
+  // Returns { ok: true, token, expiresAt } or { ok: false, reason }
+  function login(attempt, ip = 'unknown') {
+    if (!password) {
+      return { ok: false, reason: 'dashboard_disabled' };
+    }
+
+    const record = failedLogins.get(ip);
+    if (record && Date.now() - record.since > LOCKOUT_MS) {
+      failedLogins.delete(ip);
+    } else if (record && record.failures >= MAX_FAILED_LOGINS) {
+      return { ok: false, reason: 'too_many_attempts' };
+    }
+
+    if (!attempt || !safeEqual(attempt, password)) {
+      stats.failedLogins++;
+      const current = failedLogins.get(ip) || { failures: 0, since: Date.now() };
+      failedLogins.set(ip, { ...current, failures: current.failures + 1 });
+      logger.warn('Dashboard login failed', { ip });
+      return { ok: false, reason: 'bad_password' };
+    }
+
+    failedLogins.delete(ip);
+    stats.logins++;
+    const expiresAt = Date.now() + sessionTtlMs;
+    const payload = Buffer.from(JSON.stringify({ scope: 'dashboard', exp: expiresAt })).toString('base64url');
+    return { ok: true, token: `${payload}.${sign(sessionSecret, payload)}`, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  function isValidSession(provided) {
+    const [payload, signature] = String(provided).split('.');
+    if (!payload || !signature || !safeEqual(signature, sign(sessionSecret, payload))) {
+      return false;
+    }
+    try {
+      const { scope, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      return scope === 'dashboard' && exp > Date.now();
+    } catch {
+      return false;
+    }
+  }
+
+  function middleware(req, res, next) {
+    if (!token && !password) {
+      return res.status(403).json({
+        success: false,
+        error: 'admin_disabled',
+        message: 'Set ADMIN_API_TOKEN or DASHBOARD_PASSWORD to enable the admin API'
+      });
+    }
+
+    const provided = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '')?.[1]?.trim();
+    const accepted = provided && ((token && safeEqual(provided, token)) || (password && isValidSession(provided)));
+    if (!accepted) {
+      stats.rejected++;
+      logger.warn('Admin API authentication failed');
+      return res.status(401).json({ success: false, error: 'unauthorized' });
+    }
+
+    stats.accepted++;
+    next();
+  }
+
+  middleware.stats = stats;
+  middleware.enabled = !!token || !!password;
+  middleware.dashboardEnabled = !!password;
+  middleware.login = login;
+
+  return middleware;
+}
+
+module.exports = { createAdminAuth };
@@ -0,0 +1,115 @@
+/**
+ * Appointment lookup for callers
+ * Callers never hear a booking UID, so cancel and reschedule find the
+ * booking from the caller's phone number (and optionally name), then narrow
+ * it down with what they say ("my appointment on Thursday").
+ */
+
+const { parseDate, parseTime, localDate, zonedParts, formatDate, formatTime } = require('./datetime');
+const { findByEventTypeId } = require('./appointment-types');
+
+// Upcoming, still-active bookings for a caller
+async function findUpcomingBookings(store, { tenantId, phone, name, now = new Date() }) {
+  const bookings = await store.listBookings({
+    tenantId,
+    phone,
+    status: 'booked',
+    from: now.toISOString()
+  });
+
+  if (!name) {
+    return bookings;
+  }
+
+  // Loose match so "Ann" finds "Ann Smith"
+  const wanted = name.toLowerCase().split(/\s+/).filter(Boolean);
+  const byName = bookings.filter(booking => {
+    const stored = (booking.customerName || '').toLowerCase();
+    return wanted.some(part => stored.includes(part));
+  });
+
+  // A misheard name shouldn't hide the caller's own bookings
+  return byName.length > 0 ? byName : bookings;
+}
+
+// "your Check-up on Thursday 22 October at 2:00 PM"
+function describeBooking(booking, tenant) {
+  const type = findByEventTypeId(tenant, booking.eventTypeId);
+  const timeZone = booking.timeZone || tenant.timeZone;
+  const what = type ? type.name : 'appointment';
+  return `your ${what} on ${formatDate(booking.startTime, timeZone)} at ${formatTime(booking.startTime, timeZone)}`;
+}
+
+// Narrow a caller's bookings down to one using what they said
+// selection: { date, time, index } - all optional
+// Returns { booking } | { error, message, candidates }
+function selectBooking(bookings, selection, tenant) {
+  if (bookings.length === 0) {
+    return {
+      error: 'no_appointments',
+      message: 'I cannot find any upcoming appointments for this phone number. Could you give me the phone number you booked with?'
+    };
+  }
+
+  let candidates = bookings;
+
+  if (selection.index) {
+    const chosen = bookings[Number(selection.index) - 1];
+    if (chosen) {
+      return { booking: chosen };
+    }
+  }
+
+  if (selection.date) {
+    const parsed = parseDate(selection.date, { timeZone: tenant.timeZone });
+    if (!parsed.ok) {
+      return { error: parsed.error, message: parsed.message };
+    }
+    candidates = candidates.filter(booking => localDate(booking.startTime, booking.timeZone || tenant.timeZone) === parsed.date);
+  }
+
+  if (selection.time) {
+    const parsed = parseTime(selection.time);
+    if (!parsed.ok) {
+      return { error: parsed.error, message: parsed.message };
+    }
+    candidates = candidates.filter(booking => {
+      const { hour, minute } = zonedParts(new Date(booking.startTime), booking.timeZone || tenant.timeZone);
+      return hour === parsed.hours && minute === parsed.minutes;
+    });
+  }
+
+  if (candidates.length === 1) {
+    return { booking: candidates[0] };
+  }
+
+  if (candidates.length === 0) {
+    return {
+      error: 'no_matching_appointment',
+      message: `I couldn't find an appointment matching that. ${listBookings(bookings, tenant)} ${bookings.length === 1 ? 'Is that the one you mean?' : 'Which one do you mean?'}`,
+      candidates: bookings
+    };
+  }
+
+  return {
+    error: 'ambiguous_appointment',
+    message: `${listBookings(candidates, tenant)} Which one do you mean?`,
+    candidates
+  };
+}
+
+// "You have 2 upcoming appointments: 1, your Check-up on ...; 2, your Hygienist on ...."
+function listBookings(bookings, tenant) {
+  if (bookings.length === 1) {
+    return `You have one upcoming appointment: ${describeBooking(bookings[0], tenant)}.`;
+  }
+  const items = bookings.map((booking, i) => `${i + 1}, ${describeBooking(booking, tenant)}`);
+  return `You have ${bookings.length} upcoming appointments: ${items.join('; ')}.`;
+}
+
+module.exports = {
+  findUpcomingBookings,
+  selectBooking,
+  describeBooking,
+  listBookings
+};
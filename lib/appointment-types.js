@@ -0,0 +1,118 @@
+/**
+ * Appointment types
+ * Maps the names callers actually say ("check-up", "hygienist", "emergency")
+ * to the tenant's Cal.com event types, with durations and locations.
+ *
+ * Tenants declare them in config as:
+ *   "appointmentTypes": [
+ *     { "key": "check-up", "name": "Check-up", "aliases": ["checkup", "examination"],
+ *       "eventTypeId": 123, "durationMinutes": 30, "location": "inPerson", "default": true }
+ *   ]
+ * Tenants without a list get a single type built from cal.eventTypeId.
+ */
+
+const ZOOM_LOCATION = 'integrations:zoom';
+
+// Helper function to normalise spoken names for matching
+function normalise(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/\b(appointment|appt|visit|booking|a|an|the)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function listAppointmentTypes(tenant) {
+  const configured = tenant.appointmentTypes || [];
+
+  if (configured.length === 0) {
+    return [{
+      key: tenant.cal.eventTypeSlug,
+      name: 'appointment',
+      aliases: [],
+      eventTypeId: Number(tenant.cal.eventTypeId),
+      durationMinutes: 30,
+      location: ZOOM_LOCATION,
+      description: null,
+      default: true
+    }];
+  }
+
+  return configured.map((type, index) => ({
+    key: type.key,
+    name: type.name || type.key,
+    aliases: type.aliases || [],
+    eventTypeId: Number(type.eventTypeId),
+    durationMinutes: Number(type.durationMinutes) || 30,
+    location: type.location || ZOOM_LOCATION,
+    description: type.description || null,
+    default: type.default === true || (index === 0 && !configured.some(t => t.default === true))
+  }));
+}
+
+function defaultAppointmentType(tenant) {
+  const types = listAppointmentTypes(tenant);
+  return types.find(type => type.default) || types[0];
+}
+
+function findByEventTypeId(tenant, eventTypeId) {
+  return listAppointmentTypes(tenant).find(type => type.eventTypeId === Number(eventTypeId)) || null;
+}
+
+// Resolve a spoken appointment type to a configured one
+// Returns { type } or { error, message } when nothing matches
+function resolveAppointmentType(tenant, spoken) {
+  const types = listAppointmentTypes(tenant);
+
+  if (!spoken) {
+    return { type: defaultAppointmentType(tenant) };
+  }
+
+  const wanted = normalise(spoken);
+  const names = type => [type.key, type.name, ...type.aliases].map(normalise).filter(Boolean);
+
+  const exact = types.find(type => names(type).includes(wanted));
+  if (exact) {
+    return { type: exact };
+  }
+
+  const partial = types.filter(type => names(type).some(name => name.includes(wanted) || wanted.includes(name)));
+  if (partial.length === 1) {
+    return { type: partial[0] };
+  }
+
+  return {
+    error: 'unknown_appointment_type',
+    message: `I'm sorry, I don't recognise that type of appointment. We offer ${describeTypes(types)}. Which would you like?`
+  };
+}
+
+// "a Check-up", "an Emergency"
+function withArticle(name) {
+  return `${/^[aeiou]/i.test(name) ? 'an' : 'a'} ${name}`;
+}
+
+// "a Check-up (30 minutes), a Hygienist (45 minutes) or an Emergency (20 minutes)"
+function describeTypes(types) {
+  const parts = types.map(type => `${withArticle(type.name)} (${type.durationMinutes} minutes)`);
+
+  if (parts.length <= 1) {
+    return parts.join('');
+  }
+  return `${parts.slice(0, -1).join(', ')} or ${parts[parts.length - 1]}`;
+}
+
+function isVideoLocation(location) {
+  return String(location).startsWith('integrations:');
+}
+
+module.exports = {
+  listAppointmentTypes,
+  defaultAppointmentType,
+  findByEventTypeId,
+  resolveAppointmentType,
+  describeTypes,
+  withArticle,
+  isVideoLocation
+};
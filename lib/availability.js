@@ -0,0 +1,251 @@
+/**
+ * Availability search across days
+ * Scans Cal.com slots over a date range, applies part-of-day and weekday
+ * preferences ("any Tuesday morning"), and phrases the best few options
+ * grouped by day for the assistant to read out.
+ */
+
+const {
+  parseDate,
+  todayInZone,
+  addDays,
+  weekdayOf,
+  dayBounds,
+  localDate,
+  zonedParts,
+  formatDate,
+  formatTime
+} = require('./datetime');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Local hour ranges [from, to) for each part of the day
+const PARTS_OF_DAY = {
+  morning: [0, 12],
+  afternoon: [12, 17],
+  evening: [17, 24]
+};
+
+const MAX_RANGE_DAYS = 31;
+const SEARCH_WINDOW_DAYS = 7;
+const DEFAULT_SEARCH_DAYS = 28;
+
+// Helper function to read weekday preferences
+// Accepts "tuesday", "Tue and Thu", ["monday", "friday"], "weekdays", "weekend"
+function parseWeekdays(input) {
+  if (input === undefined || input === null || input === '' || input === 'any') {
+    return { ok: true, weekdays: null };
+  }
+
+  const words = [].concat(input)
+    .join(' ')
+    .toLowerCase()
+    .split(/[^a-z]+/)
+    .filter(word => word && !['and', 'or', 'any', 'every', 'on'].includes(word));
+
+  const weekdays = new Set();
+  for (const word of words) {
+    if (word === 'weekdays' || word === 'weekday') {
+      [1, 2, 3, 4, 5].forEach(day => weekdays.add(day));
+      continue;
+    }
+    if (word === 'weekend' || word === 'weekends') {
+      [0, 6].forEach(day => weekdays.add(day));
+      continue;
+    }
+    const day = WEEKDAYS.findIndex(name => word.length >= 3 && name.startsWith(word.replace(/s$/, '')));
+    if (day === -1) {
+      return {
+        ok: false,
+        error: 'invalid_weekday',
+        message: `I'm sorry, I didn't understand which days you meant. Could you name the days of the week that suit you?`
+      };
+    }
+    weekdays.add(day);
+  }
+
+  return { ok: true, weekdays: weekdays.size ? [...weekdays].sort() : null };
+}
+
+function parsePartOfDay(input) {
+  if (!input || input === 'any') {
+    return { ok: true, partOfDay: null };
+  }
+
+  const value = String(input).toLowerCase().trim();
+  const partOfDay = Object.keys(PARTS_OF_DAY).find(part => value.includes(part)) ||
+    (value.includes('lunch') || value.includes('midday') ? 'afternoon' : null) ||
+    (value === 'am' ? 'morning' : value === 'pm' ? 'afternoon' : null);
+
+  if (!partOfDay) {
+    return {
+      ok: false,
+      error: 'invalid_part_of_day',
+      message: 'Would you prefer the morning, the afternoon or the evening?'
+    };
+  }
+  return { ok: true, partOfDay };
+}
+
+// Keep slots that match the caller's preferences and group them by local date
+function filterAndGroup(slots, { timeZone, fromDate, toDate, partOfDay, weekdays, now = new Date() }) {
+  const days = new Map();
+
+  for (const slot of slots) {
+    const instant = new Date(slot.time);
+    if (instant.getTime() <= now.getTime()) {
+      continue;
+    }
+
+    const date = localDate(instant, timeZone);
+    if (date < fromDate || date > toDate) {
+      continue;
+    }
+    if (weekdays && !weekdays.includes(weekdayOf(date))) {
+      continue;
+    }
+    if (partOfDay) {
+      const { hour } = zonedParts(instant, timeZone);
+      const [from, to] = PARTS_OF_DAY[partOfDay];
+      if (hour < from || hour >= to) {
+        continue;
+      }
+    }
+
+    if (!days.has(date)) {
+      days.set(date, []);
+    }
+    days.get(date).push(slot.time);
+  }
+
+  return [...days.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, times]) => ({
+      date,
+      spokenDate: formatDate(date, timeZone),
+      times: times.sort(),
+      spokenTimes: times.sort().map(time => formatTime(time, timeZone))
+    }));
+}
+
+// Pick a few options spread over the first days rather than every slot on day one
+function pickOptions(days, { maxDays = 3, perDay = 3 } = {}) {
+  return days.slice(0, maxDays).map(day => ({
+    ...day,
+    times: day.times.slice(0, perDay),
+    spokenTimes: day.spokenTimes.slice(0, perDay)
+  }));
+}
+
+// "on Tuesday 27 October I have 9:00 AM or 1:30 PM; and on Thursday 29 October I have 10:00 AM"
+function phraseOptions(days) {
+  const joinTimes = times => times.length > 1
+    ? `${times.slice(0, -1).join(', ')} or ${times[times.length - 1]}`
+    : times[0];
+
+  const phrases = days.map(day => `on ${day.spokenDate} I have ${joinTimes(day.spokenTimes)}`);
+  return phrases.length > 1
+    ? `${phrases.slice(0, -1).join('; ')}; and ${phrases[phrases.length - 1]}`
+    : phrases[0];
+}
+
+function describePreferences({ partOfDay, weekdays }) {
+  const dayNames = weekdays ? weekdays.map(day => WEEKDAYS[day].charAt(0).toUpperCase() + WEEKDAYS[day].slice(1) + 's') : null;
+  const parts = [];
+  if (dayNames) {
+    parts.push(`on ${dayNames.length > 1 ? `${dayNames.slice(0, -1).join(', ')} or ${dayNames[dayNames.length - 1]}` : dayNames[0]}`);
+  }
+  if (partOfDay) {
+    parts.push(`in the ${partOfDay}`);
+  }
+  return parts.length ? ` ${parts.join(' ')}` : '';
+}
+
+// Resolve date range arguments into { fromDate, toDate } in the tenant timezone
+function resolveRange({ date, startDate, endDate, timeZone, now = new Date(), defaultDays = MAX_RANGE_DAYS }) {
+  const today = todayInZone(timeZone, now);
+
+  if (date && !startDate && !endDate) {
+    const single = parseDate(date, { timeZone, now });
+    return single.ok ? { ok: true, fromDate: single.date, toDate: single.date } : single;
+  }
+
+  let fromDate = today;
+  if (startDate || date) {
+    const parsed = parseDate(startDate || date, { timeZone, now });
+    if (!parsed.ok) {
+      return parsed;
+    }
+    fromDate = parsed.date < today ? today : parsed.date;
+  }
+
+  let toDate = addDays(fromDate, defaultDays - 1);
+  if (endDate) {
+    const parsed = parseDate(endDate, { timeZone, now });
+    if (!parsed.ok) {
+      return parsed;
+    }
+    toDate = parsed.date;
+  }
+
+  if (toDate < fromDate) {
+    return {
+      ok: false,
+      error: 'invalid_range',
+      message: 'The end date you gave is before the start date. Could you give me the range again?'
+    };
+  }
+  if (toDate > addDays(fromDate, MAX_RANGE_DAYS - 1)) {
+    toDate = addDays(fromDate, MAX_RANGE_DAYS - 1);
+  }
+
+  return { ok: true, fromDate, toDate };
+}
+
+// Fetch slots for a range of local dates in one or more windows
+// fetchSlots(startIso, endIso) must resolve to [{ time }]
+async function fetchRange(fetchSlots, { fromDate, toDate, timeZone }) {
+  const slots = [];
+  let windowStart = fromDate;
+
+  while (windowStart <= toDate) {
+    const windowEnd = addDays(windowStart, SEARCH_WINDOW_DAYS - 1) < toDate ? addDays(windowStart, SEARCH_WINDOW_DAYS - 1) : toDate;
+    const { start } = dayBounds(windowStart, timeZone);
+    const { end } = dayBounds(windowEnd, timeZone);
+    slots.push(...await fetchSlots(start.toISOString(), end.toISOString()));
+    windowStart = addDays(windowEnd, 1);
+  }
+
+  return slots;
+}
+
+// Scan forward window by window and stop as soon as enough days have options
+async function findNext(fetchSlots, { fromDate, timeZone, partOfDay, weekdays, maxDays = DEFAULT_SEARCH_DAYS, wantDays = 3, now = new Date() }) {
+  const lastDate = addDays(fromDate, maxDays - 1);
+  const found = [];
+  let windowStart = fromDate;
+
+  while (windowStart <= lastDate && found.length < wantDays) {
+    const windowEnd = addDays(windowStart, SEARCH_WINDOW_DAYS - 1) < lastDate ? addDays(windowStart, SEARCH_WINDOW_DAYS - 1) : lastDate;
+    const { start } = dayBounds(windowStart, timeZone);
+    const { end } = dayBounds(windowEnd, timeZone);
+    const slots = await fetchSlots(start.toISOString(), end.toISOString());
+    found.push(...filterAndGroup(slots, { timeZone, fromDate: windowStart, toDate: windowEnd, partOfDay, weekdays, now }));
+    windowStart = addDays(windowEnd, 1);
+  }
+
+  return { days: found, searchedUntil: lastDate };
+}
+
+module.exports = {
+  PARTS_OF_DAY,
+  parseWeekdays,
+  parsePartOfDay,
+  filterAndGroup,
+  pickOptions,
+  phraseOptions,
+  describePreferences,
+  resolveRange,
+  fetchRange,
+  findNext
+};
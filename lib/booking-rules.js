@@ -0,0 +1,251 @@
+/**
+ * Booking rules
+ * A practice's own limits on what the assistant may book, checked before
+ * slots are offered and before anything is sent to Cal.com. Set per tenant
+ * under "rules" (every rule is off until configured):
+ *   "rules": {
+ *     "minNoticeMinutes": 120,            // no bookings starting sooner than this
+ *     "maxDaysAhead": 60,                 // no bookings further out than this
+ *     "holidays": ["2026-12-25", { "from": "2026-12-24", "to": "2026-12-27", "name": "Christmas" }],
+ *     "openingHours": { "mon": ["09:00", "17:30"], "sat": ["09:00", "13:00"] }, // days left out are closed
+ *     "maxActiveBookingsPerPhone": 3,     // upcoming bookings one number may hold
+ *     "blockedNumbers": ["+447700900999"],
+ *     "cancellationCutoffHours": 24       // callers can't cancel or move closer to the start than this
+ *   }
+ *
+ * Checks return { ok: true } or { ok: false, error, message, values }; the
+ * message is English and can be read back to the caller, values fill in the
+ * errors.<code> templates for other languages.
+ */
+
+const { localDate, todayInZone, addDays, weekdayOf, zonedParts, zonedTimeToUtc, formatDate, formatTime } = require('./datetime');
+const { normalizePhone } = require('./phone');
+const { findUpcomingBookings } = require('./appointment-lookup');
+
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const CLOCK = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function minutesOf(clock) {
+  const [, hours, minutes] = CLOCK.exec(clock);
+  return Number(hours) * 60 + Number(minutes);
+}
+
+// Helper function to describe a notice period the way it would be said ("2 hours", "24 hours", "3 days")
+function describeNotice(minutes) {
+  const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+  if (minutes % (24 * 60) === 0 && minutes >= 48 * 60) {
+    return plural(minutes / (24 * 60), 'day');
+  }
+  if (minutes % 60 === 0) {
+    return plural(minutes / 60, 'hour');
+  }
+  return plural(minutes, 'minute');
+}
+
+function weekdayName(dateString, timeZone, language) {
+  return zonedTimeToUtc(dateString, 12, 0, timeZone)
+    .toLocaleDateString(language === 'en' ? 'en-GB' : language, { weekday: 'long', timeZone });
+}
+
+function findHoliday(rules, dateString) {
+  for (const holiday of rules.holidays || []) {
+    const { from, to, name } = typeof holiday === 'string' ? { from: holiday, to: holiday } : holiday;
+    if (dateString >= from && dateString <= (to || from)) {
+      return { name: name || null };
+    }
+  }
+  return null;
+}
+
+// The last date (YYYY-MM-DD) within days of today, by default the rules' maxDaysAhead; null when there is no limit
+function lastDateAhead(tenant, { days = tenant.rules?.maxDaysAhead, now = new Date() } = {}) {
+  return Number.isInteger(days) ? addDays(todayInZone(tenant.timeZone, now), days) : null;
+}
+
+// Check a date is no more than days ahead (by default the rules' maxDaysAhead)
+function checkDaysAhead(tenant, dateString, { days = tenant.rules?.maxDaysAhead, now = new Date() } = {}) {
+  const lastDate = lastDateAhead(tenant, { days, now });
+  if (lastDate && dateString > lastDate) {
+    return {
+      ok: false,
+      error: 'too_far_ahead',
+      message: `We can only book up to ${days} days ahead. Could you choose an earlier date?`,
+      values: { days }
+    };
+  }
+  return { ok: true };
+}
+
+// Check that the practice takes bookings on a date (YYYY-MM-DD in the tenant's zone)
+function checkDate(tenant, dateString, { now = new Date(), language = 'en' } = {}) {
+  const rules = tenant.rules || {};
+  const { timeZone } = tenant;
+
+  const ahead = checkDaysAhead(tenant, dateString, { now });
+  if (!ahead.ok) {
+    return ahead;
+  }
+
+  const holiday = findHoliday(rules, dateString);
+  if (holiday) {
+    return {
+      ok: false,
+      error: 'practice_closed',
+      message: `The practice is closed on ${formatDate(dateString, timeZone)}${holiday.name ? ` for ${holiday.name}` : ''}. Could you choose another day?`,
+      values: { date: formatDate(dateString, timeZone, language), name: holiday.name || '' }
+    };
+  }
+
+  if (rules.openingHours && !rules.openingHours[DAY_KEYS[weekdayOf(dateString)]]) {
+    return {
+      ok: false,
+      error: 'closed_on_day',
+      message: `We are closed on ${weekdayName(dateString, timeZone, 'en')}s. Could you choose another day?`,
+      values: { day: weekdayName(dateString, timeZone, language) }
+    };
+  }
+
+  return { ok: true };
+}
+
+// Check an appointment starting at startTime (ISO) against every time rule
+function checkStartTime(tenant, startTime, { durationMinutes = 0, now = new Date(), language = 'en' } = {}) {
+  const rules = tenant.rules || {};
+  const { timeZone } = tenant;
+  const start = new Date(startTime);
+
+  if (rules.minNoticeMinutes && start.getTime() - now.getTime() < rules.minNoticeMinutes * 60 * 1000) {
+    return {
+      ok: false,
+      error: 'too_soon',
+      message: `We need at least ${describeNotice(rules.minNoticeMinutes)} notice for appointments. Could you choose a later time?`,
+      values: { notice: describeNotice(rules.minNoticeMinutes) }
+    };
+  }
+
+  const date = localDate(start, timeZone);
+  const dateCheck = checkDate(tenant, date, { now, language });
+  if (!dateCheck.ok) {
+    return dateCheck;
+  }
+
+  const hours = rules.openingHours?.[DAY_KEYS[weekdayOf(date)]];
+  if (hours) {
+    const [opens, closes] = hours;
+    // Wall-clock time, not time since midnight, so DST change days line up with the opening hours
+    const local = zonedParts(start, timeZone);
+    const startMinutes = local.hour * 60 + local.minute;
+    if (startMinutes < minutesOf(opens) || startMinutes + durationMinutes > minutesOf(closes)) {
+      const clock = (value, lang) => formatTime(zonedTimeToUtc(date, Math.floor(minutesOf(value) / 60), minutesOf(value) % 60, timeZone).toISOString(), timeZone, lang);
+      return {
+        ok: false,
+        error: 'outside_opening_hours',
+        message: `That is outside our opening hours. On ${weekdayName(date, timeZone, 'en')}s we are open from ${clock(opens, 'en')} to ${clock(closes, 'en')}. Could you choose a time in between?`,
+        values: { day: weekdayName(date, timeZone, language), opens: clock(opens, language), closes: clock(closes, language) }
+      };
+    }
+  }
+
+  return { ok: true };
+}
+
+// Keep the Cal.com slots the rules allow; slots are { time } with time an ISO instant
+function filterSlots(tenant, slots, { durationMinutes = 0, now = new Date() } = {}) {
+  return slots.filter(slot => checkStartTime(tenant, slot.time, { durationMinutes, now }).ok);
+}
+
+// Check the caller's numbers may book: none blocked, and (for a new booking) none at the limit of upcoming bookings
+// phones: the number the caller gave and the number they are calling from (either may be missing)
+async function checkCaller(store, tenant, phones, { newBooking = true, now = new Date() } = {}) {
+  const rules = tenant.rules || {};
+  const numbers = [...new Set([].concat(phones)
+    .map(phone => normalizePhone(phone, tenant.defaultCountryCode))
+    .filter(Boolean))];
+
+  const blocked = (rules.blockedNumbers || []).map(number => normalizePhone(number, tenant.defaultCountryCode));
+  if (numbers.some(phone => blocked.includes(phone))) {
+    return {
+      ok: false,
+      error: 'blocked_number',
+      message: 'I\'m sorry, I can\'t book appointments for this number. Please contact the practice directly.',
+      values: {}
+    };
+  }
+
+  if (newBooking && rules.maxActiveBookingsPerPhone) {
+    for (const phone of numbers) {
+      const upcoming = await findUpcomingBookings(store, { tenantId: tenant.id, phone, now });
+      if (upcoming.length >= rules.maxActiveBookingsPerPhone) {
+        return {
+          ok: false,
+          error: 'too_many_bookings',
+          message: `You already have ${upcoming.length} upcoming appointments with us, which is as many as we can book for one number. Would you like to change one of them instead?`,
+          values: { count: upcoming.length }
+        };
+      }
+    }
+  }
+
+  return { ok: true };
+}
+
+// Check a caller may still cancel or move a booking (action: 'cancel' or 'reschedule')
+function checkChange(tenant, booking, { action, now = new Date() } = {}) {
+  const cutoffHours = tenant.rules?.cancellationCutoffHours;
+  if (!cutoffHours || !booking?.startTime) {
+    return { ok: true };
+  }
+
+  if (new Date(booking.startTime).getTime() - now.getTime() < cutoffHours * 60 * 60 * 1000) {
+    return {
+      ok: false,
+      error: 'change_too_late',
+      message: `I'm sorry, appointments can't be ${action === 'cancel' ? 'cancelled' : 'moved'} less than ${describeNotice(cutoffHours * 60)} before they start. Please speak to the practice team directly.`,
+      values: { notice: describeNotice(cutoffHours * 60), cancel: action === 'cancel' }
+    };
+  }
+  return { ok: true };
+}
+
+// Returns a description of the first problem with a tenant's rules, or null
+function validateRules(rules = {}) {
+  const isCount = value => value === undefined || value === null || (Number.isInteger(value) && value >= 0);
+  for (const key of ['minNoticeMinutes', 'maxDaysAhead', 'maxActiveBookingsPerPhone', 'cancellationCutoffHours']) {
+    if (!isCount(rules[key])) {
+      return `${key} must be a whole number, got: ${rules[key]}`;
+    }
+  }
+
+  const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value);
+  for (const holiday of rules.holidays || []) {
+    const valid = typeof holiday === 'string' ? isDate(holiday) : isDate(holiday?.from) && (!holiday.to || isDate(holiday.to));
+    if (!valid) {
+      return `holidays must be YYYY-MM-DD dates or { from, to, name }, got: ${JSON.stringify(holiday)}`;
+    }
+  }
+
+  for (const [day, hours] of Object.entries(rules.openingHours || {})) {
+    if (!DAY_KEYS.includes(day)) {
+      return `openingHours has an unknown day: ${day} (use ${DAY_KEYS.join(', ')})`;
+    }
+    if (hours !== null && !(Array.isArray(hours) && hours.length === 2 && hours.every(value => CLOCK.test(value)) && minutesOf(hours[0]) < minutesOf(hours[1]))) {
+      return `openingHours.${day} must be ["HH:MM", "HH:MM"] or null, got: ${JSON.stringify(hours)}`;
+    }
+  }
+
+  if (!Array.isArray(rules.blockedNumbers || [])) {
+    return 'blockedNumbers must be a list of phone numbers';
+  }
+  return null;
+}
+
+module.exports = {
+  lastDateAhead,
+  checkDaysAhead,
+  checkDate,
+  checkStartTime,
+  filterSlots,
+  checkCaller,
+  checkChange,
+  validateRules
+};
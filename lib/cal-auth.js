@@ -0,0 +1,82 @@
+/**
+ * Cal.com webhook authentication
+ * Cal.com signs each webhook with the secret set on the webhook: a hex
+ * HMAC-SHA256 of the raw body in X-Cal-Signature-256. Each tenant sets its
+ * own cal.webhookSecret; the tenant whose secret matches owns the event.
+ */
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { safeEqual } = require('./safe-equal');
+
+const SIGNATURE_HEADER = 'x-cal-signature-256';
+
+function computeSignature(secret, rawBody) {
+  return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+}
+
+// candidates: [{ tenant, secret }]
+// Returns { ok: true, tenant } or { ok: false, reason }
+function verifyRequest({ signature, rawBody, candidates }) {
+  if (candidates.length === 0) {
+    return { ok: false, reason: 'cal_webhook_not_configured' };
+  }
+  if (!signature) {
+    return { ok: false, reason: 'missing_signature' };
+  }
+
+  const match = candidates.find(({ secret }) => safeEqual(computeSignature(secret, rawBody), String(signature).toLowerCase()));
+  return match ? { ok: true, tenant: match.tenant } : { ok: false, reason: 'bad_signature' };
+}
+
+// Express middleware factory
+// Requires express.json() to be configured with a verify hook that stores req.rawBody; sets req.tenant
+function createCalAuth({ tenants }) {
+  const candidates = tenants.list()
+    .filter(tenant => tenant.cal.webhookSecret)
+    .map(tenant => ({ tenant, secret: tenant.cal.webhookSecret }));
+
+  // A shared secret can't say which practice sent the event; the first tenant gets them all
+  candidates.forEach(({ tenant, secret }, index) => {
+    const first = candidates.find(other => other.secret === secret);
+    if (candidates.indexOf(first) !== index) {
+      logger.warn('Tenants share a Cal.com webhook secret; its events go to the first', { tenantId: tenant.id, firstTenantId: first.tenant.id });
+    }
+  });
+
+  const stats = {
+    accepted: 0,
+    rejected: 0,
+    rejectedByReason: {}
+  };
+
+  function middleware(req, res, next) {
+    const result = verifyRequest({
+      signature: req.headers[SIGNATURE_HEADER],
+      rawBody: req.rawBody ? req.rawBody.toString('utf8') : '',
+      candidates
+    });
+
+    if (!result.ok) {
+      stats.rejected++;
+      stats.rejectedByReason[result.reason] = (stats.rejectedByReason[result.reason] || 0) + 1;
+      logger.warn('Cal.com webhook authentication failed', { reason: result.reason });
+      return res.status(401).json({ success: false, error: 'unauthorized', reason: result.reason });
+    }
+
+    stats.accepted++;
+    req.tenant = result.tenant;
+    next();
+  }
+
+  middleware.stats = stats;
+  middleware.enabled = candidates.length > 0;
+
+  return middleware;
+}
+
+module.exports = {
+  createCalAuth,
+  computeSignature,
+  verifyRequest
+};
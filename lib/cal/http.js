@@ -0,0 +1,137 @@
+/**
+ * Cal.com HTTP transport
+ * fetch wrapper with per-request timeouts and retry with exponential backoff.
+ * 429s are always retried (the request was not processed); 5xx responses and
+ * network errors are only retried for idempotent requests so a slow POST
+ * can't create a second booking.
+ */
+
+const { logger } = require('../logger');
+
+const DEFAULT_TIMEOUT_MS = 8000;
+const DEFAULT_RETRIES = 2;
+const BASE_BACKOFF_MS = 300;
+const MAX_BACKOFF_MS = 4000;
+
+class CalApiError extends Error {
+  constructor(message, { status = null, body = null, method, path, cause } = {}) {
+    super(message);
+    this.name = 'CalApiError';
+    this.status = status;
+    this.body = body;
+    this.method = method;
+    this.path = path;
+    if (cause) {
+      this.cause = cause;
+    }
+  }
+
+  get isNotFound() {
+    return this.status === 404;
+  }
+
+  get isTimeout() {
+    return this.cause?.name === 'AbortError' || this.cause?.name === 'TimeoutError';
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function backoffDelay(attempt, retryAfterHeader) {
+  const retryAfter = Number(retryAfterHeader);
+  if (Number.isFinite(retryAfter) && retryAfter > 0) {
+    return Math.min(retryAfter * 1000, MAX_BACKOFF_MS);
+  }
+  const exponential = BASE_BACKOFF_MS * 2 ** attempt;
+  return Math.min(exponential + Math.floor(Math.random() * BASE_BACKOFF_MS), MAX_BACKOFF_MS);
+}
+
+async function readBody(response) {
+  const text = await response.text();
+  if (!text) {
+    return null;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+// Create a request function bound to one base URL and set of auth details
+// options: { baseUrl, headers, query, timeoutMs, retries, label }
+function createHttp(options) {
+  const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+  const retries = options.retries ?? DEFAULT_RETRIES;
+  const label = options.label || 'Cal.com';
+
+  // request(method, path, { query, body, headers, idempotent })
+  return async function request(method, path, { query = {}, body, headers = {}, idempotent } = {}) {
+    const url = new URL(`${options.baseUrl}${path}`);
+    for (const [key, value] of Object.entries({ ...query, ...(options.query || {}) })) {
+      if (value !== undefined && value !== null) {
+        url.searchParams.set(key, value);
+      }
+    }
+
+    const canRetryServerErrors = idempotent ?? (method === 'GET' || method === 'DELETE');
+
+    for (let attempt = 0; ; attempt++) {
+      const started = Date.now();
+      let response;
+
+      try {
+        // Only the path is logged; auth never appears in logs
+        logger.debug('Cal.com request', { api: label, method, path, attempt });
+        response = await fetch(url, {
+          method,
+          headers: {
+            'Content-Type': 'application/json',
+            ...(options.headers || {}),
+            ...headers
+          },
+          body: body === undefined ? undefined : JSON.stringify(body),
+          signal: AbortSignal.timeout(timeoutMs)
+        });
+      } catch (error) {
+        const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+        if (canRetryServerErrors && attempt < retries) {
+          logger.warn('Cal.com request failed, retrying', { api: label, method, path, attempt, reason: timedOut ? 'timeout' : error.message });
+          await sleep(backoffDelay(attempt));
+          continue;
+        }
+        throw new CalApiError(
+          timedOut ? `${label} request timed out after ${timeoutMs}ms` : `${label} request failed: ${error.message}`,
+          { method, path, cause: error }
+        );
+      }
+
+      if (response.ok) {
+        logger.info('Cal.com response', { api: label, method, path, status: response.status, durationMs: Date.now() - started });
+        return readBody(response);
+      }
+
+      const retryable = response.status === 429 || (response.status >= 500 && canRetryServerErrors);
+      if (retryable && attempt < retries) {
+        const delay = backoffDelay(attempt, response.headers.get?.('retry-after'));
+        logger.warn('Cal.com request failed, retrying', { api: label, method, path, status: response.status, attempt, delayMs: delay });
+        await readBody(response);
+        await sleep(delay);
+        continue;
+      }
+
+      const errorBody = await readBody(response);
+      logger.error('Cal.com request failed', { api: label, method, path, status: response.status, durationMs: Date.now() - started });
+      throw new CalApiError(`${label} ${method} ${path} failed with ${response.status}`, {
+        status: response.status,
+        body: errorBody,
+        method,
+        path
+      });
+    }
+  };
+}
+
+module.exports = { createHttp, CalApiError };
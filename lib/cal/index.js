@@ -0,0 +1,54 @@
+/**
+ * Cal.com API client
+ * One interface over the v1 and v2 APIs so handlers never build Cal.com URLs
+ * or parse response envelopes themselves. Pick the API per tenant with
+ * cal.apiVersion ("v1" default, or "v2").
+ *
+ * Interface (all async, bookings are returned as
+ * { id, uid, eventTypeId, startTime, endTime, status, location, meetingUrl,
+ * iCalUid, attendees }, attendees as { id, name, email, timeZone }):
+ *   getSlots({ eventTypeId, start, end, timeZone }) -> [{ time }]
+ *   listBookings({ page, pageSize }) -> { bookings, hasMore }
+ *   iterateBookings({ pageSize, maxPages }) -> async iterator of bookings
+ *   getBooking({ uid, id }) -> booking | null
+ *   createBooking({ eventTypeId, start, timeZone, language, name, email, location, notes, metadata })
+ *   cancelBooking({ uid, id }, { reason })
+ *   rescheduleBooking({ uid, id }, { start, eventTypeId, reason }) -> booking
+ *   updateAttendee({ uid, id }, { currentEmail, name, email }) -> booking
+ *
+ * Failures throw CalApiError with the HTTP status and parsed response body.
+ */
+
+const { createV1Adapter } = require('./v1');
+const { createV2Adapter } = require('./v2');
+const { CalApiError } = require('./http');
+
+const ADAPTERS = {
+  v1: createV1Adapter,
+  v2: createV2Adapter
+};
+
+// config: a tenant's `cal` block - { apiKey, apiVersion, apiBaseUrl, timeoutMs, retries }
+function createCalClient(config) {
+  const apiVersion = config.apiVersion || 'v1';
+  const createAdapter = ADAPTERS[apiVersion];
+  if (!createAdapter) {
+    throw new Error(`Unknown Cal.com API version "${apiVersion}" (expected one of: ${Object.keys(ADAPTERS).join(', ')})`);
+  }
+
+  const adapter = createAdapter(config);
+
+  async function* iterateBookings({ pageSize = 100, maxPages = 20 } = {}) {
+    for (let page = 1; page <= maxPages; page++) {
+      const { bookings, hasMore } = await adapter.listBookings({ page, pageSize });
+      yield* bookings;
+      if (!hasMore) {
+        return;
+      }
+    }
+  }
+
+  return { ...adapter, iterateBookings };
+}
+
+module.exports = { createCalClient, CalApiError };
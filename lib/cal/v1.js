@@ -0,0 +1,154 @@
+/**
+ * Cal.com v1 adapter
+ * v1 only accepts the API key as an `apiKey` query parameter, so it is added
+ * by the transport and never appears in logged paths.
+ */
+
+const { createHttp, CalApiError } = require('./http');
+
+const DEFAULT_BASE_URL = 'https://api.cal.com/v1';
+const MAX_SCAN_PAGES = 20;
+
+// Helper function to map a v1 booking onto the client's booking shape
+function toBooking(raw) {
+  if (!raw) {
+    return null;
+  }
+  return {
+    id: raw.id ?? null,
+    uid: raw.uid ?? null,
+    eventTypeId: raw.eventTypeId ?? null,
+    startTime: raw.startTime,
+    endTime: raw.endTime ?? null,
+    status: raw.status ? String(raw.status).toLowerCase() : null,
+    location: raw.location ?? null,
+    meetingUrl: raw.metadata?.videoCallUrl ?? null,
+    iCalUid: raw.iCalUID || null,
+    attendees: (raw.attendees || []).map(attendee => ({
+      id: attendee.id ?? null,
+      name: attendee.name,
+      email: attendee.email,
+      timeZone: attendee.timeZone
+    }))
+  };
+}
+
+function createV1Adapter(config) {
+  const request = createHttp({
+    baseUrl: config.apiBaseUrl || DEFAULT_BASE_URL,
+    query: { apiKey: config.apiKey },
+    timeoutMs: config.timeoutMs,
+    retries: config.retries,
+    label: 'Cal.com v1'
+  });
+
+  async function getSlots({ eventTypeId, start, end, timeZone }) {
+    const data = await request('GET', '/slots', {
+      query: { eventTypeId, startTime: start, endTime: end, timeZone }
+    });
+    // { slots: { "2025-12-18": [{ time: "ISO" }, ...] } }
+    return Object.values(data?.slots || {}).flat().map(slot => ({ time: slot.time }));
+  }
+
+  async function listBookings({ page = 1, pageSize = 100 } = {}) {
+    const data = await request('GET', '/bookings', { query: { take: pageSize, page } });
+    const bookings = (data?.bookings || []).map(toBooking);
+    return { bookings, hasMore: bookings.length === pageSize };
+  }
+
+  // ref: { id } fetches directly; { uid } alone has to scan the booking list
+  async function getBooking(ref) {
+    if (ref.id) {
+      try {
+        const data = await request('GET', `/bookings/${ref.id}`);
+        return toBooking(data?.booking || data);
+      } catch (error) {
+        if (error instanceof CalApiError && error.isNotFound) {
+          return null;
+        }
+        throw error;
+      }
+    }
+
+    for (let page = 1; page <= MAX_SCAN_PAGES; page++) {
+      const { bookings, hasMore } = await listBookings({ page });
+      const match = bookings.find(booking => booking.uid === ref.uid);
+      if (match || !hasMore) {
+        return match || null;
+      }
+    }
+    return null;
+  }
+
+  async function createBooking(input) {
+    const data = await request('POST', '/bookings', {
+      body: {
+        eventTypeId: input.eventTypeId,
+        start: input.start,
+        timeZone: input.timeZone,
+        language: input.language || 'en',
+        metadata: input.metadata || {},
+        responses: {
+          name: input.name,
+          email: input.email,
+          location: typeof input.location === 'object' && input.location
+            ? input.location
+            : { optionValue: '', value: input.location },
+          notes: input.notes
+        }
+      }
+    });
+    return toBooking(data?.data || data);
+  }
+
+  // v1 cancels by numeric ID, so look it up when only the UID is known
+  async function cancelBooking(ref, { reason } = {}) {
+    let id = ref.id;
+    if (!id) {
+      const booking = await getBooking({ uid: ref.uid });
+      if (!booking) {
+        throw new CalApiError(`Cal.com booking ${ref.uid} not found`, { status: 404, method: 'DELETE', path: '/bookings/:id/cancel' });
+      }
+      id = booking.id;
+    }
+    await request('DELETE', `/bookings/${id}/cancel`, {
+      query: { cancellationReason: reason }
+    });
+  }
+
+  async function rescheduleBooking(ref, { start, eventTypeId, reason } = {}) {
+    const data = await request('POST', `/bookings/${ref.uid}/reschedule`, {
+      body: {
+        start,
+        ...(eventTypeId ? { eventTypeId } : {}),
+        reschedulingReason: reason
+      }
+    });
+    return toBooking(data?.data || data);
+  }
+
+  // v1 edits attendees by their own ID, which comes with the booking
+  // Cal.com doesn't email anyone about the change
+  async function updateAttendee(ref, { currentEmail, name, email }) {
+    const booking = await getBooking(ref);
+    const attendee = booking && (booking.attendees.find(a => a.email === currentEmail) || booking.attendees[0]);
+    if (!attendee?.id) {
+      throw new CalApiError(`Cal.com attendee for booking ${ref.uid || ref.id} not found`, { status: 404, method: 'PATCH', path: '/attendees/:id' });
+    }
+    await request('PATCH', `/attendees/${attendee.id}`, { body: { name, email }, idempotent: true });
+    return getBooking({ uid: booking.uid, id: booking.id });
+  }
+
+  return {
+    apiVersion: 'v1',
+    getSlots,
+    listBookings,
+    getBooking,
+    createBooking,
+    cancelBooking,
+    rescheduleBooking,
+    updateAttendee
+  };
+}
+
+module.exports = { createV1Adapter, DEFAULT_BASE_URL };
@@ -0,0 +1,146 @@
+/**
+ * Cal.com v2 adapter
+ * Bearer-token auth with the per-endpoint `cal-api-version` header v2 requires.
+ */
+
+const { createHttp, CalApiError } = require('./http');
+
+const DEFAULT_BASE_URL = 'https://api.cal.com/v2';
+const SLOTS_API_VERSION = '2024-09-04';
+const BOOKINGS_API_VERSION = '2024-08-13';
+
+// Helper function to map a v2 booking onto the client's booking shape
+function toBooking(raw) {
+  if (!raw) {
+    return null;
+  }
+  return {
+    id: raw.id ?? null,
+    uid: raw.uid ?? null,
+    eventTypeId: raw.eventTypeId ?? raw.eventType?.id ?? null,
+    startTime: raw.start,
+    endTime: raw.end ?? null,
+    status: raw.status ? String(raw.status).toLowerCase() : null,
+    location: raw.location ?? null,
+    meetingUrl: raw.meetingUrl ?? raw.metadata?.videoCallUrl ?? null,
+    iCalUid: raw.iCalUID || null,
+    attendees: (raw.attendees || []).map(attendee => ({
+      id: attendee.id ?? null,
+      name: attendee.name,
+      email: attendee.email,
+      timeZone: attendee.timeZone
+    }))
+  };
+}
+
+// Helper function to turn "integrations:zoom" into a v2 location object
+// Other locations are left to the event type's own default
+function toLocation(location) {
+  const match = /^integrations:(.+)$/.exec(String(location || ''));
+  return match ? { type: 'integration', integration: match[1] } : undefined;
+}
+
+function createV2Adapter(config) {
+  const request = createHttp({
+    baseUrl: config.apiBaseUrl || DEFAULT_BASE_URL,
+    headers: { Authorization: `Bearer ${config.apiKey}` },
+    timeoutMs: config.timeoutMs,
+    retries: config.retries,
+    label: 'Cal.com v2'
+  });
+  const bookingHeaders = { 'cal-api-version': BOOKINGS_API_VERSION };
+
+  async function getSlots({ eventTypeId, start, end, timeZone }) {
+    const data = await request('GET', '/slots', {
+      query: { eventTypeId, start, end, timeZone },
+      headers: { 'cal-api-version': SLOTS_API_VERSION }
+    });
+    // { data: { "2025-12-18": [{ start: "ISO" }, ...] } }
+    return Object.values(data?.data || {}).flat().map(slot => ({ time: slot.start }));
+  }
+
+  async function listBookings({ page = 1, pageSize = 100 } = {}) {
+    const data = await request('GET', '/bookings', {
+      query: { take: pageSize, skip: (page - 1) * pageSize },
+      headers: bookingHeaders
+    });
+    const bookings = (data?.data || []).map(toBooking);
+    const hasMore = data?.pagination?.hasNextPage ?? bookings.length === pageSize;
+    return { bookings, hasMore };
+  }
+
+  async function getBooking(ref) {
+    try {
+      const data = await request('GET', `/bookings/${ref.uid}`, { headers: bookingHeaders });
+      return toBooking(data?.data);
+    } catch (error) {
+      if (error instanceof CalApiError && error.isNotFound) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async function createBooking(input) {
+    const data = await request('POST', '/bookings', {
+      headers: bookingHeaders,
+      body: {
+        start: input.start,
+        eventTypeId: input.eventTypeId,
+        attendee: {
+          name: input.name,
+          email: input.email,
+          timeZone: input.timeZone,
+          language: input.language || 'en'
+        },
+        location: toLocation(input.location),
+        metadata: input.metadata || {},
+        bookingFieldsResponses: input.notes ? { notes: input.notes } : undefined
+      }
+    });
+    return toBooking(data?.data);
+  }
+
+  async function cancelBooking(ref, { reason } = {}) {
+    await request('POST', `/bookings/${ref.uid}/cancel`, {
+      headers: bookingHeaders,
+      body: { cancellationReason: reason },
+      idempotent: true
+    });
+  }
+
+  async function rescheduleBooking(ref, { start, eventTypeId, reason } = {}) {
+    if (eventTypeId) {
+      throw new CalApiError('Cal.com v2 cannot change the event type of a booking when rescheduling', {
+        method: 'POST',
+        path: '/bookings/:uid/reschedule'
+      });
+    }
+    const data = await request('POST', `/bookings/${ref.uid}/reschedule`, {
+      headers: bookingHeaders,
+      body: { start, reschedulingReason: reason }
+    });
+    return toBooking(data?.data);
+  }
+
+  // The v2 bookings API can add attendees but not edit one, so callers fall back to rebooking
+  async function updateAttendee(ref) {
+    throw new CalApiError(`Cal.com v2 cannot update the attendee of booking ${ref.uid}`, {
+      method: 'PATCH',
+      path: '/bookings/:uid/attendees'
+    });
+  }
+
+  return {
+    apiVersion: 'v2',
+    getSlots,
+    listBookings,
+    getBooking,
+    createBooking,
+    cancelBooking,
+    rescheduleBooking,
+    updateAttendee
+  };
+}
+
+module.exports = { createV2Adapter, DEFAULT_BASE_URL };
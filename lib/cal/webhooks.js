@@ -0,0 +1,67 @@
+/**
+ * Cal.com webhook payloads
+ * Reads BOOKING_CREATED, BOOKING_CANCELLED, BOOKING_RESCHEDULED and
+ * MEETING_ENDED deliveries into the client's booking shape so handlers don't
+ * depend on the payload layout. Other triggers (including the PING Cal.com
+ * sends when a webhook is saved) are ignored.
+ */
+
+const TRIGGERS = ['BOOKING_CREATED', 'BOOKING_CANCELLED', 'BOOKING_RESCHEDULED', 'MEETING_ENDED'];
+
+// Booking question answers arrive either as plain values or as { label, value }
+function answer(value) {
+  if (value && typeof value === 'object' && 'value' in value) {
+    return value.value;
+  }
+  return value ?? null;
+}
+
+// Stored times are compared as strings, so match Date#toISOString
+function toIso(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+// Helper function to map a webhook payload onto the client's booking shape
+function toBooking(payload) {
+  return {
+    id: payload.bookingId ?? payload.id ?? null,
+    uid: payload.uid ?? null,
+    eventTypeId: payload.eventTypeId ?? null,
+    startTime: toIso(payload.startTime),
+    endTime: toIso(payload.endTime),
+    status: payload.status ? String(payload.status).toLowerCase() : null,
+    location: payload.location ?? null,
+    meetingUrl: payload.metadata?.videoCallUrl ?? payload.videoCallData?.url ?? null,
+    iCalUid: payload.iCalUID || null,
+    attendees: (payload.attendees || []).map(attendee => ({
+      id: attendee.id ?? null,
+      name: attendee.name,
+      email: attendee.email,
+      timeZone: attendee.timeZone
+    }))
+  };
+}
+
+// Returns { trigger, deliveryId, booking, previousUid, phone, language, reason },
+// or null for triggers we don't handle
+function parseWebhook(body = {}) {
+  const trigger = body.triggerEvent;
+  const payload = body.payload || {};
+  if (!TRIGGERS.includes(trigger) || !payload.uid) {
+    return null;
+  }
+
+  const attendee = payload.attendees?.[0] || {};
+  return {
+    trigger,
+    // Identifies this delivery so a repeat isn't applied twice
+    deliveryId: `${trigger}:${payload.uid}:${body.createdAt || payload.startTime}`,
+    booking: toBooking(payload),
+    previousUid: payload.rescheduleUid || null,
+    phone: answer(payload.responses?.attendeePhoneNumber) || attendee.phoneNumber || answer(payload.responses?.phone) || null,
+    language: attendee.language?.locale || null,
+    reason: payload.cancellationReason || payload.rescheduleReason || null
+  };
+}
+
+module.exports = { parseWebhook, TRIGGERS };
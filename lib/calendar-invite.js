@@ -0,0 +1,250 @@
+/**
+ * Calendar invites and add-to-calendar links
+ * Cal.com only sends invites to real attendee addresses, so bookings made
+ * with a placeholder email get ours instead: an RFC 5545 .ics attached to
+ * the confirmation email, and Google/Outlook links in WhatsApp messages.
+ *
+ * Each booking keeps one calendar UID for life (carried across reschedules
+ * and email corrections) and a SEQUENCE that goes up with every change, so
+ * calendar apps update the event they already have instead of adding a
+ * second one.
+ */
+
+const { zonedParts, offsetAt } = require('./datetime');
+
+const PRODUCT_ID = '-//AI Receptionist//Bookings//EN';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, '0');
+}
+
+// 20261028T140000 (wall clock in the zone) or 20261028T140000Z (UTC)
+function formatLocal(instant, timeZone) {
+  const p = zonedParts(new Date(instant), timeZone);
+  return `${p.year}${pad(p.month)}${pad(p.day)}T${pad(p.hour)}${pad(p.minute)}${pad(p.second)}`;
+}
+
+function formatUtc(instant) {
+  return new Date(instant).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// +0100 / -0500
+function formatOffset(ms) {
+  const minutes = Math.round(Math.abs(ms) / MINUTE_MS);
+  return `${ms < 0 ? '-' : '+'}${pad(Math.floor(minutes / 60))}${pad(minutes % 60)}`;
+}
+
+// TEXT values escape backslashes, separators and newlines
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Parameter values (CN=...) are quoted and can't contain quotes
+function quoteParam(value) {
+  return `"${String(value).replace(/"/g, "'")}"`;
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+  const chunks = [];
+  let current = '';
+  let bytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (bytes + size > (chunks.length === 0 ? 75 : 74)) {
+      chunks.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+// "AI Receptionist <bookings@example.com>" -> { name, email }
+function parseAddress(value) {
+  const match = /^\s*(.*?)\s*<([^>]+)>\s*$/.exec(String(value || ''));
+  return match
+    ? { name: match[1].replace(/^"|"$/g, ''), email: match[2] }
+    : { name: null, email: String(value || '').trim() || null };
+}
+
+// Offset changes in the zone between two instants, to the minute
+function offsetTransitions(timeZone, from, to) {
+  const transitions = [];
+  let previous = offsetAt(new Date(from), timeZone);
+
+  for (let day = from; day < to; day += DAY_MS) {
+    const next = offsetAt(new Date(day + DAY_MS), timeZone);
+    if (next === previous) {
+      continue;
+    }
+
+    // Narrow down to the minute the offset changed
+    let low = day;
+    let high = day + DAY_MS;
+    while (high - low > MINUTE_MS) {
+      const middle = low + Math.floor((high - low) / 2 / MINUTE_MS) * MINUTE_MS;
+      if (offsetAt(new Date(middle), timeZone) === previous) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+    transitions.push({ at: high, from: previous, to: next });
+    previous = next;
+  }
+
+  return transitions;
+}
+
+// VTIMEZONE with the zone's real offsets around the event (a year either side)
+// Calendar apps that know the TZID use their own rules; this is for those that don't
+function buildTimeZone(timeZone, start) {
+  const startMs = new Date(start).getTime();
+  const transitions = offsetTransitions(timeZone, startMs - 366 * DAY_MS, startMs + 366 * DAY_MS);
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+
+  if (transitions.length === 0) {
+    const offset = formatOffset(offsetAt(new Date(startMs), timeZone));
+    lines.push('BEGIN:STANDARD', 'DTSTART:19700101T000000', `TZOFFSETFROM:${offset}`, `TZOFFSETTO:${offset}`, 'END:STANDARD');
+  }
+
+  for (const transition of transitions) {
+    const kind = transition.to > transition.from ? 'DAYLIGHT' : 'STANDARD';
+    lines.push(
+      `BEGIN:${kind}`,
+      // Onset is given in the wall-clock time that was in force just before it
+      `DTSTART:${formatUtc(transition.at + transition.from).replace('Z', '')}`,
+      `TZOFFSETFROM:${formatOffset(transition.from)}`,
+      `TZOFFSETTO:${formatOffset(transition.to)}`,
+      `END:${kind}`
+    );
+  }
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+// Stable calendar UID for a booking, e.g. "abc123@vapiwebhook.onrender.com"
+function calendarUidFor(bookingUid, publicBaseUrl) {
+  let host = 'localhost';
+  try {
+    host = new URL(publicBaseUrl).hostname;
+  } catch {
+    // Keep the default; the UID only has to be unique and stable
+  }
+  return `${bookingUid}@${host}`;
+}
+
+// event: {
+//   uid, sequence, start, end, timeZone, summary, description, location, url,
+//   organizer: { name, email }, attendee: { name, email }
+// }
+// method: "REQUEST" for a new or updated event, "CANCEL" to remove it
+function buildIcs(event, { method = 'REQUEST', now = new Date() } = {}) {
+  const cancelled = method === 'CANCEL';
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    ...buildTimeZone(event.timeZone, event.start),
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `DTSTAMP:${formatUtc(now)}`,
+    `DTSTART;TZID=${event.timeZone}:${formatLocal(event.start, event.timeZone)}`,
+    `DTEND;TZID=${event.timeZone}:${formatLocal(event.end, event.timeZone)}`,
+    `SUMMARY:${escapeText(event.summary)}`
+  ];
+
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.location) {
+    lines.push(`LOCATION:${escapeText(event.location)}`);
+  }
+  if (event.url) {
+    lines.push(`URL:${event.url}`);
+  }
+  if (event.organizer?.email) {
+    const name = event.organizer.name ? `;CN=${quoteParam(event.organizer.name)}` : '';
+    lines.push(`ORGANIZER${name}:mailto:${event.organizer.email}`);
+  }
+  if (event.attendee?.email) {
+    const name = event.attendee.name ? `;CN=${quoteParam(event.attendee.name)}` : '';
+    lines.push(`ATTENDEE${name};ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED;RSVP=FALSE:mailto:${event.attendee.email}`);
+  }
+
+  lines.push(
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    'TRANSP:OPAQUE',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  );
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+// Email attachment in the shape the email channel sends: { filename, content (base64), contentType }
+function icsAttachment(ics, { method = 'REQUEST', filename = 'invite.ics' } = {}) {
+  return {
+    filename,
+    content: Buffer.from(ics, 'utf8').toString('base64'),
+    contentType: `text/calendar; charset=utf-8; method=${method}`
+  };
+}
+
+// Google Calendar "add event" link; times are sent in UTC and shown in ctz
+function googleCalendarLink(event) {
+  const params = new URLSearchParams({
+    action: 'TEMPLATE',
+    text: event.summary,
+    dates: `${formatUtc(event.start)}/${formatUtc(event.end)}`,
+    ctz: event.timeZone
+  });
+  if (event.description) {
+    params.set('details', event.description);
+  }
+  if (event.location) {
+    params.set('location', event.location);
+  }
+  return `https://calendar.google.com/calendar/render?${params.toString()}`;
+}
+
+// Outlook.com "add event" link
+function outlookCalendarLink(event) {
+  const params = new URLSearchParams({
+    path: '/calendar/action/compose',
+    rru: 'addevent',
+    subject: event.summary,
+    startdt: new Date(event.start).toISOString(),
+    enddt: new Date(event.end).toISOString()
+  });
+  if (event.description) {
+    params.set('body', event.description);
+  }
+  if (event.location) {
+    params.set('location', event.location);
+  }
+  return `https://outlook.live.com/calendar/0/deeplink/compose?${params.toString()}`;
+}
+
+module.exports = {
+  buildIcs,
+  icsAttachment,
+  googleCalendarLink,
+  outlookCalendarLink,
+  calendarUidFor,
+  parseAddress
+};
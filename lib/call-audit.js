@@ -0,0 +1,98 @@
+/**
+ * Call audit log
+ * Every tool the assistant invokes is stored with its call, caller, arguments,
+ * result, latency and the booking it touched, so "which call made this
+ * booking?" is a query rather than a search through logs. Each call also gets
+ * an outcome summarising what it achieved, for filtering in /admin/calls:
+ *
+ *   booked > rescheduled > cancelled > waitlisted > failed > enquiry
+ *
+ * A call keeps the highest outcome any of its tool calls reached; calls that
+ * never invoked a tool have none.
+ */
+
+const { logger } = require('./logger');
+
+const OUTCOME_RANK = { enquiry: 0, failed: 1, waitlisted: 2, cancelled: 3, rescheduled: 4, booked: 5 };
+const OUTCOMES = Object.keys(OUTCOME_RANK);
+
+// What a successful call to each function achieved; anything else is an enquiry
+const FUNCTION_OUTCOMES = {
+  bookAppointment: 'booked',
+  joinWaitlist: 'waitlisted',
+  rescheduleAppointment: 'rescheduled',
+  cancelAppointment: 'cancelled'
+};
+
+// Helper function to work out what one tool call achieved
+function invocationOutcome(functionName, result) {
+  if (!result || result.success === false) {
+    return 'failed';
+  }
+  // A confirmation question ("Just to confirm...?") hasn't changed anything yet
+  if (result.confirmationRequired) {
+    return 'enquiry';
+  }
+  return FUNCTION_OUTCOMES[functionName] || 'enquiry';
+}
+
+// Helper function to keep whichever outcome ranks higher
+function higherOutcome(current, next) {
+  if (!current) {
+    return next;
+  }
+  return OUTCOME_RANK[next] > OUTCOME_RANK[current] ? next : current;
+}
+
+function createCallAudit({ store }) {
+  const stats = {
+    recorded: 0,
+    failed: 0
+  };
+
+  // entry: { tenant, call, toolCallId, functionName, params, result, latencyMs }
+  // Never throws; losing an audit row must not fail the tool call
+  async function recordToolCall({ tenant, call, toolCallId, functionName, params, result, latencyMs }) {
+    try {
+      const callId = call?.id || null;
+      const callerPhone = call?.customer?.number || null;
+      const outcome = invocationOutcome(functionName, result);
+
+      await store.recordToolInvocation({
+        callId,
+        tenantId: tenant.id,
+        callerPhone,
+        toolCallId,
+        functionName,
+        arguments: params,
+        result,
+        success: result?.success !== false,
+        error: result?.success === false ? result.error || null : null,
+        latencyMs,
+        bookingUid: result?.bookingUid || null
+      });
+
+      if (callId) {
+        const existing = await store.getCall(callId);
+        await store.recordCall({
+          id: callId,
+          tenantId: tenant.id,
+          customerPhone: existing?.customerPhone || callerPhone,
+          outcome: higherOutcome(existing?.outcome, outcome)
+        });
+      }
+      stats.recorded++;
+    } catch (error) {
+      stats.failed++;
+      logger.error('Failed to record tool call in the audit log', { tool: functionName, error });
+    }
+  }
+
+  return { recordToolCall, stats };
+}
+
+module.exports = {
+  createCallAudit,
+  invocationOutcome,
+  OUTCOMES
+};
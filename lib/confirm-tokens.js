@@ -0,0 +1,105 @@
+/**
+ * Confirm-email link tokens
+ * Signed (HMAC-SHA256), time-limited, single-use tokens that replace the raw
+ * booking UID and phone number in the confirm-email.html link.
+ * The token only carries an opaque ID and expiry; the booking it belongs to
+ * is looked up server-side.
+ */
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { safeEqual } = require('./safe-equal');
+
+const DEFAULT_TTL_HOURS = 72;
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function sign(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+function createConfirmTokens({ store, secret, ttlHours } = {}) {
+  let signingSecret = secret || process.env.CONFIRM_TOKEN_SECRET;
+  const ttlMs = (Number(ttlHours || process.env.CONFIRM_TOKEN_TTL_HOURS) || DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+
+  if (!signingSecret) {
+    // Links still work until the next restart, but set CONFIRM_TOKEN_SECRET in production
+    logger.warn('CONFIRM_TOKEN_SECRET not set, using a random per-process secret');
+    signingSecret = crypto.randomBytes(32).toString('hex');
+  }
+
+  // Create and persist a token for a booking
+  // The token never outlives the appointment itself
+  async function issue({ bookingUid, phone, startTime }) {
+    const jti = crypto.randomBytes(16).toString('hex');
+    let expiresAt = Date.now() + ttlMs;
+    if (startTime) {
+      expiresAt = Math.min(expiresAt, new Date(startTime).getTime());
+    }
+
+    const payload = base64url(JSON.stringify({ jti, exp: expiresAt }));
+    const token = `${payload}.${sign(signingSecret, payload)}`;
+
+    await store.recordConfirmToken({ jti, bookingUid, phone, expiresAt: new Date(expiresAt).toISOString() });
+
+    return token;
+  }
+
+  // Decode and check a token without consuming it
+  // Returns { state: 'valid' | 'invalid' | 'expired' | 'used', bookingUid, phone, jti }
+  async function inspect(token) {
+    if (!token || typeof token !== 'string' || !token.includes('.')) {
+      return { state: 'invalid' };
+    }
+
+    const [payload, signature] = token.split('.');
+    const expected = sign(signingSecret, payload);
+    if (!signature || !safeEqual(signature, expected)) {
+      return { state: 'invalid' };
+    }
+
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+      return { state: 'invalid' };
+    }
+
+    const record = await store.getConfirmToken(claims.jti);
+    if (!record) {
+      return { state: 'invalid' };
+    }
+
+    const result = { jti: record.jti, bookingUid: record.bookingUid, phone: record.phone };
+    if (record.usedAt) {
+      return { ...result, state: 'used' };
+    }
+    if (Date.now() > claims.exp) {
+      return { ...result, state: 'expired' };
+    }
+
+    return { ...result, state: 'valid' };
+  }
+
+  // Validate and consume a token in one step
+  async function claim(token) {
+    const result = await inspect(token);
+    if (result.state !== 'valid') {
+      return result;
+    }
+
+    const claimed = await store.claimConfirmToken(result.jti);
+    return claimed ? result : { ...result, state: 'used' };
+  }
+
+  // Hand a claimed token back, e.g. when the update failed for reasons outside the customer's control
+  async function release(jti) {
+    await store.releaseConfirmToken(jti);
+  }
+
+  return { issue, inspect, claim, release };
+}
+
+module.exports = { createConfirmTokens };
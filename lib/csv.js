@@ -0,0 +1,32 @@
+/**
+ * CSV export
+ * RFC 4180 output for the admin exports. Cells that a spreadsheet would run
+ * as a formula (=, +, -, @) are prefixed with a quote, except plain numbers
+ * and phone numbers, which are left as they are.
+ */
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+const NUMBER_LIKE = /^[+-]?[\d\s().]+$/;
+
+function formatCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (FORMULA_START.test(text) && !NUMBER_LIKE.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// columns: [{ header, value: row -> cell }]
+function toCsv(rows, columns) {
+  const lines = [columns.map(column => formatCell(column.header))];
+  for (const row of rows) {
+    lines.push(columns.map(column => formatCell(column.value(row))));
+  }
+  return `${lines.map(cells => cells.join(',')).join('\r\n')}\r\n`;
+}
+
+module.exports = { toCsv };
@@ -0,0 +1,528 @@
+/**
+ * Date and time parsing for spoken input
+ * Resolves the dates and times Vapi transcripts produce ("tomorrow",
+ * "next Tuesday", "2pm", "half past two", "14.30") in the tenant's IANA
+ * timezone, independent of the server's own zone.
+ *
+ * Parsers never throw: they return { ok: true, ... } or
+ * { ok: false, error, message } where message can be read back to the caller.
+ */
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+const NUMBER_WORDS = {
+  zero: 0, oh: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+  seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50
+};
+
+const ORDINAL_WORDS = {
+  first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8, ninth: 9,
+  tenth: 10, eleventh: 11, twelfth: 12, thirteenth: 13, fourteenth: 14, fifteenth: 15,
+  sixteenth: 16, seventeenth: 17, eighteenth: 18, nineteenth: 19, twentieth: 20, thirtieth: 30
+};
+
+// ---------------------------------------------------------------------------
+// Timezone helpers
+// ---------------------------------------------------------------------------
+
+const partsFormatters = new Map();
+
+function getPartsFormatter(timeZone) {
+  if (!partsFormatters.has(timeZone)) {
+    partsFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'long'
+    }));
+  }
+  return partsFormatters.get(timeZone);
+}
+
+// Wall-clock parts of an instant in a timezone
+function zonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getPartsFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase())
+  };
+}
+
+// Offset of the timezone from UTC at a given instant, in milliseconds
+function offsetAt(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Convert a wall-clock time in a timezone to a UTC Date (DST aware)
+function zonedTimeToUtc(dateString, hours, minutes, timeZone) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes, 0, 0);
+
+  // Two passes settle the offset either side of a DST change
+  let guess = wallClock - offsetAt(new Date(wallClock), timeZone);
+  guess = wallClock - offsetAt(new Date(guess), timeZone);
+  return new Date(guess);
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    getPartsFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function toDateString(year, month, day) {
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// Calendar date (YYYY-MM-DD) of an instant as seen in the timezone
+function localDate(instant, timeZone) {
+  const p = zonedParts(new Date(instant), timeZone);
+  return toDateString(p.year, p.month, p.day);
+}
+
+function todayInZone(timeZone, now = new Date()) {
+  return localDate(now, timeZone);
+}
+
+// Add calendar days to a YYYY-MM-DD string
+function addDays(dateString, days) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return toDateString(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+}
+
+function weekdayOf(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+function isRealDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+// UTC instants bounding a local calendar day: [start, end)
+function dayBounds(dateString, timeZone) {
+  return {
+    start: zonedTimeToUtc(dateString, 0, 0, timeZone),
+    end: zonedTimeToUtc(addDays(dateString, 1), 0, 0, timeZone)
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Dates
+// ---------------------------------------------------------------------------
+
+function cleanInput(value) {
+  return String(value)
+    .toLowerCase()
+    .replace(/(\d)(st|nd|rd|th)\b/g, '$1')
+    .replace(/[,]/g, ' ')
+    .replace(/\bof\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function monthIndex(word) {
+  if (!word || word.length < 3) {
+    return -1;
+  }
+  return MONTHS.findIndex(month => month.startsWith(word));
+}
+
+function dayNumber(word) {
+  if (/^\d{1,2}$/.test(word)) {
+    return Number(word);
+  }
+  return ORDINAL_WORDS[word] || NUMBER_WORDS[word] || null;
+}
+
+// Spoken day numbers can be two words: "twenty first"
+function joinCompoundOrdinals(text) {
+  return text.replace(/\b(twenty|thirty)[ -](\w+)\b/g, (match, tens, unit) => {
+    const units = ORDINAL_WORDS[unit] || NUMBER_WORDS[unit];
+    return units && units < 10 ? String(NUMBER_WORDS[tens] + units) : match;
+  });
+}
+
+function dateError(input) {
+  return {
+    ok: false,
+    error: 'invalid_date',
+    message: `I'm sorry, I didn't catch the date${input ? ` "${input}"` : ''}. Could you tell me the day again, for example "next Tuesday" or "the 14th of March"?`
+  };
+}
+
+// A day/month without a year means the next time that date comes round
+function withInferredYear(month, day, today) {
+  const [thisYear] = today.split('-').map(Number);
+  for (const year of [thisYear, thisYear + 1]) {
+    const candidate = toDateString(year, month, day);
+    if (isRealDate(year, month, day) && candidate >= today) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+// Parse a spoken or written date into YYYY-MM-DD in the tenant timezone
+function parseDate(input, { timeZone, now = new Date() } = {}) {
+  if (input === undefined || input === null || String(input).trim() === '') {
+    return dateError();
+  }
+
+  const today = todayInZone(timeZone, now);
+  const text = joinCompoundOrdinals(cleanInput(input));
+  let match;
+
+  // ISO: 2025-12-18 (optionally with a time part we ignore)
+  if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/))) {
+    const [year, month, day] = match.slice(1).map(Number);
+    return isRealDate(year, month, day) ? { ok: true, date: toDateString(year, month, day) } : dateError(input);
+  }
+
+  // UK numeric: 18/12/2025, 18.12.25, 18/12
+  if ((match = text.match(/^(\d{1,2})[/.](\d{1,2})(?:[/.](\d{2,4}))?$/))) {
+    const day = Number(match[1]);
+    const month = Number(match[2]);
+    if (match[3]) {
+      const year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+      return isRealDate(year, month, day) ? { ok: true, date: toDateString(year, month, day) } : dateError(input);
+    }
+    const date = withInferredYear(month, day, today);
+    return date ? { ok: true, date } : dateError(input);
+  }
+
+  if (text === 'today' || text === 'this afternoon' || text === 'this morning' || text === 'tonight') {
+    return { ok: true, date: today };
+  }
+  if (text === 'tomorrow' || text === 'tomorrow morning' || text === 'tomorrow afternoon') {
+    return { ok: true, date: addDays(today, 1) };
+  }
+  if (text === 'day after tomorrow' || text === 'the day after tomorrow') {
+    return { ok: true, date: addDays(today, 2) };
+  }
+
+  // "in 3 days", "in two weeks", "a week today"
+  if ((match = text.match(/^in (\w+) (day|days|week|weeks)$/))) {
+    const amount = /^\d+$/.test(match[1]) ? Number(match[1]) : (match[1] === 'a' ? 1 : NUMBER_WORDS[match[1]]);
+    if (amount) {
+      return { ok: true, date: addDays(today, match[2].startsWith('week') ? amount * 7 : amount) };
+    }
+  }
+  if (text === 'a week today' || text === 'next week today') {
+    return { ok: true, date: addDays(today, 7) };
+  }
+
+  // "monday", "this friday", "next tuesday", "tuesday next week"
+  if ((match = text.match(/^(?:(this|next|on|coming|this coming) )?([a-z]+)(?: (next week))?$/))) {
+    const weekday = match[2].length >= 3 ? WEEKDAYS.findIndex(day => day.startsWith(match[2])) : -1;
+    if (weekday !== -1) {
+      const todayWeekday = weekdayOf(today);
+      const delta = (weekday - todayWeekday + 7) % 7 || 7;
+
+      // "next tuesday" skips a tuesday that is still in the current (Monday-start) week
+      const isoWeekday = day => day === 0 ? 7 : day;
+      const stillThisWeek = isoWeekday(weekday) > isoWeekday(todayWeekday);
+      const wantsNextWeek = match[1] === 'next' || match[3] === 'next week';
+
+      return { ok: true, date: addDays(today, wantsNextWeek && stillThisWeek ? delta + 7 : delta) };
+    }
+  }
+
+  // Strip a leading weekday: "tuesday the 14 march"
+  const withoutWeekday = text.replace(/^(?:[a-z]+day )?(?:the )?/, '');
+  const tokens = withoutWeekday.split(' ');
+
+  // "14 march", "14 march 2026", "march 14", "march 14 2026"
+  let day = null;
+  let month = -1;
+  let year = null;
+  if (tokens.length >= 2) {
+    if (dayNumber(tokens[0]) && monthIndex(tokens[1]) !== -1) {
+      day = dayNumber(tokens[0]);
+      month = monthIndex(tokens[1]);
+      year = tokens[2];
+    } else if (monthIndex(tokens[0]) !== -1) {
+      // "march the 14"
+      const dayTokens = tokens[1] === 'the' ? tokens.slice(2) : tokens.slice(1);
+      if (dayNumber(dayTokens[0])) {
+        month = monthIndex(tokens[0]);
+        day = dayNumber(dayTokens[0]);
+        year = dayTokens[1];
+      }
+    }
+  }
+
+  if (day && month !== -1) {
+    if (year && /^\d{4}$/.test(year)) {
+      const y = Number(year);
+      return isRealDate(y, month + 1, day) ? { ok: true, date: toDateString(y, month + 1, day) } : dateError(input);
+    }
+    const date = withInferredYear(month + 1, day, today);
+    return date ? { ok: true, date } : dateError(input);
+  }
+
+  // "the 14th" on its own means the next 14th
+  if (tokens.length === 1 && dayNumber(tokens[0])) {
+    const [thisYear, thisMonth] = today.split('-').map(Number);
+    for (let offset = 0; offset < 3; offset++) {
+      const m = ((thisMonth - 1 + offset) % 12) + 1;
+      const y = thisYear + Math.floor((thisMonth - 1 + offset) / 12);
+      const candidate = toDateString(y, m, dayNumber(tokens[0]));
+      if (isRealDate(y, m, dayNumber(tokens[0])) && candidate >= today) {
+        return { ok: true, date: candidate };
+      }
+    }
+  }
+
+  return dateError(input);
+}
+
+// ---------------------------------------------------------------------------
+// Times
+// ---------------------------------------------------------------------------
+
+function timeError(input) {
+  return {
+    ok: false,
+    error: 'invalid_time',
+    message: `I'm sorry, I didn't catch the time${input ? ` "${input}"` : ''}. Could you say it again, for example "2pm" or "half past ten"?`
+  };
+}
+
+// "two", "2", "twenty five", "forty-five" -> number
+function wordsToNumber(text) {
+  if (/^\d+$/.test(text)) {
+    return Number(text);
+  }
+  const words = text.split(/[ -]/).filter(Boolean);
+  let total = 0;
+  for (const word of words) {
+    if (NUMBER_WORDS[word] === undefined) {
+      return null;
+    }
+    total += NUMBER_WORDS[word];
+  }
+  return words.length ? total : null;
+}
+
+// Without am/pm, assume clinic hours: 1-6 is afternoon, 7-11 is morning
+function inferMeridiem(hours) {
+  return hours >= 1 && hours <= 6 ? hours + 12 : hours;
+}
+
+function applyMeridiem(hours, meridiem) {
+  if (meridiem === 'pm' && hours < 12) {
+    return hours + 12;
+  }
+  if (meridiem === 'am' && hours === 12) {
+    return 0;
+  }
+  return hours;
+}
+
+// Parse a spoken or written time into { hours, minutes } (24-hour)
+function parseTime(input) {
+  if (input === undefined || input === null || String(input).trim() === '') {
+    return timeError();
+  }
+
+  let text = String(input)
+    .toLowerCase()
+    .replace(/\b([ap])\.?\s?m\.?/g, '$1m')
+    .replace(/\bo'?\s?clock\b/g, '')
+    .replace(/\b(in the morning)\b/g, 'am')
+    .replace(/\b(in the afternoon|in the evening)\b/g, 'pm')
+    .replace(/^(at|around|about) /, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (text === 'noon' || text === 'midday' || text === '12 noon') {
+    return { ok: true, hours: 12, minutes: 0 };
+  }
+
+  const meridiemMatch = text.match(/\s?(am|pm)$/);
+  const meridiem = meridiemMatch ? meridiemMatch[1] : null;
+  text = text.replace(/\s?(am|pm)$/, '').trim();
+
+  let hours = null;
+  let minutes = 0;
+  let explicit24 = false;
+  let match;
+
+  if ((match = text.match(/^(\d{1,2})[:.h](\d{2})$/))) {
+    // 14:30, 14.30, 2:30, 14h30
+    hours = Number(match[1]);
+    minutes = Number(match[2]);
+    explicit24 = hours >= 13 || match[1].length === 2 && match[1].startsWith('0');
+  } else if ((match = text.match(/^(\d{3,4})$/)) && !meridiem) {
+    // 1430, 0930
+    hours = Number(match[1].slice(0, -2));
+    minutes = Number(match[1].slice(-2));
+    explicit24 = true;
+  } else if ((match = text.match(/^(\d{1,2})$/))) {
+    hours = Number(match[1]);
+    explicit24 = hours >= 13;
+  } else if ((match = text.match(/^(half past|quarter past|quarter to|(\w+(?:[ -]\w+)?) (?:minutes )?(?:past|to)) (.+)$/))) {
+    // half past two, quarter to four, twenty past three, ten to five
+    const hour = wordsToNumber(match[3]);
+    if (hour === null) {
+      return timeError(input);
+    }
+    const phrase = match[1];
+    if (phrase === 'half past') {
+      hours = hour;
+      minutes = 30;
+    } else if (phrase === 'quarter past') {
+      hours = hour;
+      minutes = 15;
+    } else if (phrase === 'quarter to') {
+      hours = hour - 1;
+      minutes = 45;
+    } else {
+      const amount = wordsToNumber(match[2]);
+      if (amount === null || amount >= 60) {
+        return timeError(input);
+      }
+      if (phrase.endsWith('to')) {
+        hours = hour - 1;
+        minutes = 60 - amount;
+      } else {
+        hours = hour;
+        minutes = amount;
+      }
+    }
+    if (hours === 0) {
+      hours = 12;
+    }
+  } else {
+    // "two", "two thirty", "ten forty five", "two oh five"
+    const words = text.split(/[ -]/).filter(Boolean);
+    const hour = wordsToNumber(words[0] || '');
+    if (hour === null || hour > 23) {
+      return timeError(input);
+    }
+    hours = hour;
+    if (words.length > 1) {
+      const rest = wordsToNumber(words.slice(1).join(' '));
+      if (rest === null || rest >= 60) {
+        return timeError(input);
+      }
+      minutes = rest;
+    }
+  }
+
+  if (hours === null || hours > 23 || minutes > 59) {
+    return timeError(input);
+  }
+
+  if (meridiem) {
+    if (hours > 12) {
+      return timeError(input);
+    }
+    hours = applyMeridiem(hours, meridiem);
+  } else if (!explicit24) {
+    hours = inferMeridiem(hours);
+  }
+
+  return { ok: true, hours, minutes };
+}
+
+// ---------------------------------------------------------------------------
+// Combined
+// ---------------------------------------------------------------------------
+
+// Resolve a date and time to a UTC ISO string in the tenant's timezone
+// Returns { ok, start, date, hours, minutes } or { ok: false, error, message }
+function parseDateTime(dateInput, timeInput, { timeZone, now = new Date(), allowPast = false } = {}) {
+  const date = parseDate(dateInput, { timeZone, now });
+  if (!date.ok) {
+    return date;
+  }
+
+  const time = parseTime(timeInput);
+  if (!time.ok) {
+    return time;
+  }
+
+  const start = zonedTimeToUtc(date.date, time.hours, time.minutes, timeZone);
+
+  if (!allowPast && start.getTime() < now.getTime()) {
+    return {
+      ok: false,
+      error: 'time_in_past',
+      message: `That time has already passed. Could you choose a time later than ${formatTime(now.toISOString(), timeZone)} today, or another day?`
+    };
+  }
+
+  return {
+    ok: true,
+    start: start.toISOString(),
+    date: date.date,
+    hours: time.hours,
+    minutes: time.minutes
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Formatting for speech
+// ---------------------------------------------------------------------------
+
+// "Monday 2 November"
+// Other languages use their own conventions ("miércoles, 28 de octubre")
+function formatDate(isoOrDate, timeZone, language = 'en') {
+  const value = /^\d{4}-\d{2}-\d{2}$/.test(isoOrDate)
+    ? zonedTimeToUtc(isoOrDate, 12, 0, timeZone)
+    : new Date(isoOrDate);
+  return value.toLocaleDateString(language === 'en' ? 'en-GB' : language, { weekday: 'long', day: 'numeric', month: 'long', timeZone });
+}
+
+// "2:00 PM" ("15:00" in languages that use the 24-hour clock)
+function formatTime(iso, timeZone, language = 'en') {
+  if (language !== 'en') {
+    return new Date(iso).toLocaleTimeString(language, { hour: 'numeric', minute: '2-digit', timeZone });
+  }
+  return new Date(iso).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true, timeZone });
+}
+
+module.exports = {
+  parseDate,
+  parseTime,
+  parseDateTime,
+  zonedTimeToUtc,
+  zonedParts,
+  offsetAt,
+  localDate,
+  todayInZone,
+  addDays,
+  weekdayOf,
+  dayBounds,
+  isValidTimeZone,
+  formatDate,
+  formatTime
+};
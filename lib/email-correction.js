@@ -0,0 +1,236 @@
+/**
+ * Placeholder email correction
+ * Callers who book without an email get a placeholder attendee in Cal.com,
+ * and give us their real details later on confirm-email.html. Fixing the
+ * attendee runs as a state machine, recorded on the booking_corrections row
+ * at every step so an interrupted correction shows where it stopped:
+ *
+ *   updating_attendee -> attendee_updated          edited in place, same booking
+ *          |
+ *          v (Cal.com can't edit it, and the attendee is a placeholder)
+ *   holding -> cancelling -> rebooking -> rebooked  new booking, real attendee
+ *                   |             |
+ *                   v             v
+ *                 kept       rolling_back -> rolled_back   placeholder rebooked
+ *                                   |
+ *                                   v
+ *                                 failed                   the slot was lost
+ *
+ * "kept" means Cal.com still has the original booking unchanged. While the
+ * booking is cancelled and rebooked the slot is held locally (see
+ * listSlotHolds), so our own assistant doesn't offer it to another caller.
+ */
+
+const { CalApiError } = require('./cal');
+const { findByEventTypeId } = require('./appointment-types');
+const { logger } = require('./logger');
+
+const HOLD_SECONDS = 120;
+const BOOK_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 750;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Helper function to tell whether a slot start is covered by one of the holds
+// exceptHoldId skips the hold kept for whoever is booking the slot (a waitlist offer being taken)
+function isHeld(holds, startTime, { exceptBookingUid, exceptHoldId } = {}) {
+  const at = new Date(startTime).getTime();
+  return holds.some(hold => {
+    if ((exceptBookingUid && hold.bookingUid === exceptBookingUid) || (exceptHoldId && hold.id === exceptHoldId)) {
+      return false;
+    }
+    const start = new Date(hold.startTime).getTime();
+    const end = new Date(hold.endTime).getTime();
+    return at === start || (at > start && at < end);
+  });
+}
+
+// calFor: tenant -> Cal.com client
+function createEmailCorrection({
+  store,
+  calFor,
+  holdSeconds = HOLD_SECONDS,
+  bookAttempts = BOOK_ATTEMPTS,
+  retryDelayMs = RETRY_DELAY_MS
+}) {
+  // Book the slot, retrying while Cal.com catches up with the cancellation
+  // Returns { booking } or { error }
+  async function bookSlot(tenant, input) {
+    let lastError;
+    for (let attempt = 0; attempt < bookAttempts; attempt++) {
+      if (attempt > 0) {
+        await sleep(retryDelayMs * 2 ** (attempt - 1));
+      }
+      try {
+        return { booking: await calFor(tenant).createBooking(input) };
+      } catch (error) {
+        if (!(error instanceof CalApiError)) {
+          throw error;
+        }
+        lastError = error;
+        logger.warn('Rebook attempt failed', { attempt: attempt + 1, error });
+      }
+    }
+    return { error: lastError };
+  }
+
+  // Point the stored booking at its replacement
+  async function recordReplacement(tenant, { bookingUid, stored, replacement, booking, name, email, phone, method }) {
+    await store.updateBooking(bookingUid, { status: 'cancelled', replacedByUid: replacement.uid });
+    const record = await store.recordBooking({
+      ...(stored || {}),
+      uid: replacement.uid,
+      tenantId: stored?.tenantId || tenant.id,
+      bookingId: replacement.id,
+      eventTypeId: booking.eventTypeId,
+      startTime: booking.startTime,
+      endTime: replacement.endTime || booking.endTime,
+      customerName: name,
+      customerPhone: phone || stored?.customerPhone,
+      customerEmail: email,
+      emailPending: false,
+      meetingUrl: replacement.meetingUrl || booking.meetingUrl,
+      calendarUid: replacement.iCalUid || stored?.calendarUid,
+      inviteSentAt: null,
+      status: 'booked',
+      replacedByUid: null,
+      source: stored?.source || 'vapi'
+    });
+    await store.recordBookingEvent(bookingUid, 'corrected', { newBookingUid: replacement.uid, method });
+    return record;
+  }
+
+  // booking: the Cal.com booking; stored: our booking record (may be null)
+  // placeholder: whether Cal.com's attendee is a placeholder address, i.e. it
+  // will never send them anything unless the attendee changes
+  // Returns { outcome, bookingUid, booking, record, error } where bookingUid
+  // and booking are the appointment as it now stands in Cal.com
+  async function correct({ tenant, bookingUid, booking, stored, placeholder, email, name, phone, language }) {
+    const cal = calFor(tenant);
+    const attendee = booking.attendees?.[0] || {};
+    const correction = {
+      oldBookingUid: bookingUid,
+      email,
+      name,
+      phone,
+      originalEmail: attendee.email,
+      originalName: attendee.name,
+      method: null,
+      lastError: null
+    };
+
+    async function transition(state, fields = {}) {
+      Object.assign(correction, fields, { state });
+      logger.info('Email correction', { bookingUid, state });
+      await store.recordCorrection(correction);
+    }
+
+    // Nothing changed in Cal.com; keep the details ourselves
+    async function keep(error) {
+      await transition('kept', { method: 'manual-email', lastError: error ? error.message : null });
+      const record = await store.updateBooking(bookingUid, { customerName: name, customerEmail: email, emailPending: false });
+      await store.recordBookingEvent(bookingUid, 'corrected', { method: 'manual-email' });
+      return { outcome: 'kept', bookingUid, booking, record, error: correction.lastError };
+    }
+
+    await transition('updating_attendee');
+    try {
+      const updated = await cal.updateAttendee({ uid: bookingUid, id: booking.id }, { currentEmail: attendee.email, name, email });
+      await transition('attendee_updated', { method: 'attendee_update' });
+      const record = await store.updateBooking(bookingUid, {
+        customerName: name,
+        customerEmail: email,
+        emailPending: false,
+        inviteSentAt: null // Cal.com has the real address and sends any updates now
+      });
+      await store.recordBookingEvent(bookingUid, 'corrected', { method: 'attendee_update' });
+      return { outcome: 'attendee_updated', bookingUid, booking: updated || booking, record };
+    } catch (error) {
+      if (!(error instanceof CalApiError)) {
+        throw error;
+      }
+      logger.warn('Attendee update failed', { bookingUid, error: error.message });
+      correction.lastError = error.message;
+      if (!placeholder) {
+        return keep(error);
+      }
+    }
+
+    // Rebooking: cancel the placeholder booking and book the slot again for the real attendee
+    // Hold times are normalised so they compare as strings with other ISO instants
+    const hold = await store.holdSlot({
+      tenantId: tenant.id,
+      startTime: new Date(booking.startTime).toISOString(),
+      endTime: new Date(booking.endTime || booking.startTime).toISOString(),
+      bookingUid,
+      reason: 'email_correction',
+      expiresAt: new Date(Date.now() + holdSeconds * 1000).toISOString()
+    });
+    await transition('holding');
+
+    try {
+      await transition('cancelling');
+      try {
+        await cal.cancelBooking({ uid: bookingUid, id: booking.id }, { reason: 'Replaced with corrected contact details' });
+      } catch (error) {
+        if (!(error instanceof CalApiError)) {
+          throw error;
+        }
+        logger.error('Failed to cancel placeholder booking', { bookingUid, error: error.message });
+        return keep(error);
+      }
+
+      const input = {
+        eventTypeId: booking.eventTypeId,
+        start: booking.startTime,
+        timeZone: attendee.timeZone || stored?.timeZone || tenant.timeZone,
+        language,
+        location: booking.location || findByEventTypeId(tenant, booking.eventTypeId)?.location || 'integrations:zoom'
+      };
+
+      await transition('rebooking');
+      const rebooked = await bookSlot(tenant, {
+        ...input,
+        name,
+        email,
+        notes: 'Booked via AI Receptionist - Email confirmed by customer'
+      });
+      if (rebooked.booking) {
+        await transition('rebooked', { method: 'rebook', newBookingUid: rebooked.booking.uid, newBookingId: rebooked.booking.id });
+        const record = await recordReplacement(tenant, { bookingUid, stored, replacement: rebooked.booking, booking, name, email, phone, method: 'rebook' });
+        return { outcome: 'rebooked', bookingUid: rebooked.booking.uid, booking: rebooked.booking, record };
+      }
+
+      // Put the original attendee back so the customer keeps their appointment
+      await transition('rolling_back', { lastError: rebooked.error.message });
+      const restored = await bookSlot(tenant, {
+        ...input,
+        name: attendee.name || name,
+        email: attendee.email,
+        notes: 'Booked via AI Receptionist - Email pending via WhatsApp'
+      });
+      if (restored.booking) {
+        await transition('rolled_back', { method: 'rollback', newBookingUid: restored.booking.uid, newBookingId: restored.booking.id });
+        const record = await recordReplacement(tenant, { bookingUid, stored, replacement: restored.booking, booking, name, email, phone, method: 'rollback' });
+        return { outcome: 'rolled_back', bookingUid: restored.booking.uid, booking: restored.booking, record, error: correction.lastError };
+      }
+
+      await transition('failed', { lastError: restored.error.message });
+      const record = await store.updateBooking(bookingUid, { status: 'cancelled' });
+      await store.recordBookingEvent(bookingUid, 'correction_failed', {
+        startTime: booking.startTime,
+        rebookError: rebooked.error.message,
+        rollbackError: restored.error.message
+      });
+      return { outcome: 'failed', bookingUid, booking: null, record, error: correction.lastError };
+    } finally {
+      await store.releaseSlotHold(hold.id);
+    }
+  }
+
+  return { correct };
+}
+
+module.exports = { createEmailCorrection, isHeld };
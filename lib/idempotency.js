@@ -0,0 +1,148 @@
+/**
+ * Idempotent tool calls
+ * Vapi retries a tool call when we are slow to answer, and the assistant
+ * sometimes asks for the same booking twice. Each unit of work runs under a
+ * key (the toolCallId, or a booking fingerprint); repeats get the stored
+ * result back, and a repeat that arrives while the first is still running
+ * waits for it instead of doing the work again.
+ */
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+const PENDING_TIMEOUT_SECONDS = 120;
+const WAIT_FOR_PENDING_MS = 10000;
+const POLL_INTERVAL_MS = 250;
+
+// What the assistant says if a duplicate is still running elsewhere
+// (English; callers localise it with the errors.duplicate_in_progress template)
+const IN_PROGRESS_RESULT = {
+  success: false,
+  error: 'duplicate_in_progress',
+  message: 'I am still working on that for you. Could you give me just a moment?'
+};
+
+// Helper function to build the booking fingerprint (tenant + caller + start time)
+function bookingFingerprint(tenantId, phone, startTime) {
+  const digest = crypto
+    .createHash('sha256')
+    .update(`${tenantId}|${phone}|${new Date(startTime).toISOString()}`)
+    .digest('hex');
+  return `booking:${digest}`;
+}
+
+// True for the result a duplicate gets while the first request is still running
+function isInProgress(result) {
+  return result?.error === IN_PROGRESS_RESULT.error;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function createIdempotency({ store, pendingTimeoutSeconds = PENDING_TIMEOUT_SECONDS, waitMs = WAIT_FOR_PENDING_MS } = {}) {
+  // Work running in this process, so in-process duplicates share one promise
+  const inFlight = new Map();
+
+  const stats = {
+    executed: 0,
+    replayed: 0,
+    joinedInFlight: 0,
+    inProgress: 0
+  };
+
+  async function waitForCompletion(key) {
+    const deadline = Date.now() + waitMs;
+    while (Date.now() < deadline) {
+      await sleep(POLL_INTERVAL_MS);
+      const record = await store.getIdempotencyKey(key);
+      if (!record || record.status === 'completed') {
+        return record;
+      }
+    }
+    return null;
+  }
+
+  async function execute(key, fn, options) {
+    const ttlSeconds = options.ttlSeconds || DEFAULT_TTL_SECONDS;
+    const scope = options.scope || key.split(':')[0];
+    const shouldCache = options.shouldCache || (() => true);
+    const isReusable = options.isReusable || (async () => true);
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const claimed = await store.claimIdempotencyKey(key, {
+        scope,
+        expiresAt: new Date(Date.now() + ttlSeconds * 1000).toISOString(),
+        staleBefore: new Date(Date.now() - pendingTimeoutSeconds * 1000).toISOString()
+      });
+
+      if (claimed) {
+        let result;
+        try {
+          result = await fn();
+        } catch (error) {
+          await store.releaseIdempotencyKey(key);
+          throw error;
+        }
+
+        stats.executed++;
+        if (shouldCache(result)) {
+          await store.completeIdempotencyKey(key, result);
+        } else {
+          await store.releaseIdempotencyKey(key);
+        }
+        return result;
+      }
+
+      let record = await store.getIdempotencyKey(key);
+      if (record && record.status === 'pending') {
+        logger.info('Duplicate still running elsewhere, waiting', { key });
+        record = await waitForCompletion(key);
+        if (!record) {
+          stats.inProgress++;
+          return { ...IN_PROGRESS_RESULT };
+        }
+      }
+
+      if (record && record.status === 'completed') {
+        if (await isReusable(record.result)) {
+          stats.replayed++;
+          logger.info('Returning stored result for duplicate', { key });
+          return record.result;
+        }
+        // The earlier outcome no longer holds (e.g. that booking was cancelled)
+        await store.releaseIdempotencyKey(key);
+      }
+    }
+
+    stats.inProgress++;
+    return { ...IN_PROGRESS_RESULT };
+  }
+
+  // Run fn at most once per key
+  // options: { ttlSeconds, scope, shouldCache(result), isReusable(result) }
+  function run(key, fn, options = {}) {
+    if (inFlight.has(key)) {
+      stats.joinedInFlight++;
+      logger.info('Duplicate arrived while in flight, sharing its result', { key });
+      return inFlight.get(key);
+    }
+
+    const promise = execute(key, fn, options).finally(() => inFlight.delete(key));
+    inFlight.set(key, promise);
+    return promise;
+  }
+
+  async function prune() {
+    const removed = await store.pruneIdempotencyKeys(new Date().toISOString());
+    if (removed > 0) {
+      logger.info('Pruned expired idempotency keys', { removed });
+    }
+    return removed;
+  }
+
+  return { run, prune, stats };
+}
+
+module.exports = { createIdempotency, bookingFingerprint, isInProgress };
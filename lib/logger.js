@@ -0,0 +1,197 @@
+/**
+ * Structured logging
+ * Every log line is one JSON object: { time, level, msg, ...correlation, ...fields }.
+ * The correlation fields follow the work across async calls (AsyncLocalStorage):
+ * requestId for each HTTP request (X-Request-Id, echoed back), then callId
+ * and tenantId once the request knows them, so one call can be followed
+ * through its tool calls, Cal.com requests and notifications.
+ *
+ * Everything is redacted before it is written: values under secret-looking
+ * keys (apiKey, token, password, signature...) and customer names are
+ * replaced, email addresses and phone numbers are masked wherever they
+ * appear in a string, and credentials in URL query strings are removed.
+ *
+ * LOG_LEVEL sets the level (debug, info, warn, error; default info) and
+ * LOG_FORMAT=pretty prints readable lines for local development. A tenant
+ * with logging.debug set gets debug lines for its own requests whatever
+ * LOG_LEVEL says.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MAX_DEPTH = 8;
+const MAX_STRING_LENGTH = 4000;
+
+const SECRET_KEY = /(api[-_]?key|secret|token|password|passwd|authorization|signature|cookie|^auth$|credential)/i;
+const NAME_KEY = /^(name|customerName|originalName|attendeeName|fullName|firstName|lastName)$/i;
+// Objects whose "name" isn't a person's (tool calls' function.name)
+const NAMED_THING_KEY = /^(function|tool)$/i;
+const FREE_TEXT_KEY = /^(transcript|summary|notes|body)$/i;
+
+const EMAIL = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+// Digit runs that look like phone numbers; the digit count is checked separately
+const PHONE = /(?<![\w-])\+?\d[\d\s().-]{6,18}\d(?![\w-])/g;
+const URL_SECRET = /([?&](?:api[-_]?key|key|token|secret|signature|sig)=)[^&\s"]+/gi;
+
+const context = new AsyncLocalStorage();
+
+function maskPhone(match) {
+  const digits = match.replace(/\D/g, '');
+  if (digits.length < 9 || digits.length > 15) {
+    return match;
+  }
+  return `${match.startsWith('+') ? '+' : ''}***${digits.slice(-3)}`;
+}
+
+// Helper function to mask emails, phone numbers and URL credentials in free text
+function redactString(value) {
+  const text = value.length > MAX_STRING_LENGTH ? `${value.slice(0, MAX_STRING_LENGTH)}...[truncated]` : value;
+  return text
+    .replace(URL_SECRET, '$1[redacted]')
+    .replace(EMAIL, '$1***@$2')
+    .replace(PHONE, maskPhone);
+}
+
+// Helper function to make any value safe to log
+function redact(value, key = '', depth = 0, seen = new WeakSet(), parentKey = '') {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  if (key && SECRET_KEY.test(key)) {
+    return '[redacted]';
+  }
+  const personName = NAME_KEY.test(key) && !NAMED_THING_KEY.test(parentKey);
+  if (key && (personName || FREE_TEXT_KEY.test(key)) && typeof value === 'string') {
+    return value ? `[redacted ${value.length} chars]` : value;
+  }
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (typeof value !== 'object') {
+    return value;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value instanceof Error) {
+    return redact(serializeError(value), key, depth, seen);
+  }
+  if (seen.has(value) || depth >= MAX_DEPTH) {
+    return '[...]';
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, '', depth + 1, seen));
+  }
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redact(v, k, depth + 1, seen, key)]));
+}
+
+function serializeError(error) {
+  // "type" rather than "name", which is redacted as a customer name
+  return {
+    type: error.name,
+    message: error.message,
+    ...(error.status !== undefined ? { status: error.status } : {}),
+    ...(error.body !== undefined ? { body: error.body } : {}),
+    stack: error.stack
+  };
+}
+
+function prettyLine(entry) {
+  const { time, level, msg, ...fields } = entry;
+  const extras = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join(' ');
+  return `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} ${msg}${extras ? `  ${extras}` : ''}`;
+}
+
+// options: { level, format, write(line, level) }
+function createLogger(options = {}) {
+  const threshold = LEVELS[options.level || process.env.LOG_LEVEL] || LEVELS.info;
+  const format = options.format || process.env.LOG_FORMAT || 'json';
+  const write = options.write || ((line, level) => (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`));
+
+  function log(level, bound, msg, fields = {}) {
+    const current = context.getStore() || {};
+    if (LEVELS[level] < threshold && !(current.debug && level === 'debug')) {
+      return;
+    }
+
+    const { debug, ...correlation } = current;
+    const entry = redact({
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...correlation,
+      ...bound,
+      ...(fields instanceof Error ? { error: fields } : fields)
+    });
+    write(format === 'pretty' ? prettyLine(entry) : JSON.stringify(entry), level);
+  }
+
+  // bound: fields added to every line from this logger
+  function make(bound) {
+    return {
+      debug: (msg, fields) => log('debug', bound, msg, fields),
+      info: (msg, fields) => log('info', bound, msg, fields),
+      warn: (msg, fields) => log('warn', bound, msg, fields),
+      error: (msg, fields) => log('error', bound, msg, fields),
+      child: fields => make({ ...bound, ...fields })
+    };
+  }
+
+  return make({});
+}
+
+// Run fn with correlation fields attached to everything it logs
+function withContext(fields, fn) {
+  return context.run({ ...(context.getStore() || {}), ...fields }, fn);
+}
+
+// Add correlation fields to the current request or job (e.g. callId once the body is read)
+// debug: true switches on debug lines for the rest of it
+function addContext(fields) {
+  const current = context.getStore();
+  if (current) {
+    Object.assign(current, fields);
+  }
+}
+
+// Express middleware: a requestId for every request, and one line when it finishes
+// Goes after the body parsers, whose callbacks would otherwise drop the context
+function requestLogger(logger) {
+  return (req, res, next) => {
+    const incoming = req.get('x-request-id');
+    const requestId = incoming && /^[\w.-]{1,64}$/.test(incoming) ? incoming : crypto.randomBytes(8).toString('hex');
+    const started = Date.now();
+    res.set('X-Request-Id', requestId);
+
+    withContext({ requestId }, () => {
+      res.on('finish', () => {
+        const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+        logger[level]('request', {
+          method: req.method,
+          path: req.path,
+          status: res.statusCode,
+          durationMs: Date.now() - started
+        });
+      });
+      next();
+    });
+  };
+}
+
+// The logger everything else uses
+const logger = createLogger();
+
+module.exports = {
+  logger,
+  createLogger,
+  withContext,
+  addContext,
+  requestLogger,
+  redact
+};
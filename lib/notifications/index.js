@@ -0,0 +1,274 @@
+/**
+ * Customer notifications
+ * Every WhatsApp, SMS and email goes through here so we know whether each
+ * one actually arrived. A notification is one message to one recipient; it
+ * is tried on its channel, then on the tenant's fallback channels in order
+ * (WhatsApp -> SMS by default). The last channel is retried from a queue,
+ * and Twilio/Resend status callbacks update the delivery status - a
+ * WhatsApp message Twilio later reports as undelivered still falls back.
+ *
+ * Tenants configure this under "notifications":
+ *   { "fallback": { "whatsapp": ["sms"] }, "sink": null }
+ * "sink" set to "console" or "file" replaces every real channel (see ./sink).
+ *
+ * Notification statuses: sending, retrying, sent (accepted by the provider),
+ * delivered, read, failed.
+ */
+
+const { createTwilioChannel } = require('./twilio');
+const { createResendChannel } = require('./resend');
+const { createSinkChannel } = require('./sink');
+const { logger } = require('../logger');
+
+const CHANNELS = ['whatsapp', 'sms', 'email'];
+const PHONE_CHANNELS = ['whatsapp', 'sms'];
+const SINKS = ['console', 'file'];
+
+const DEFAULT_INTERVAL_MS = 30 * 1000;
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAYS_MS = [60 * 1000, 5 * 60 * 1000, 15 * 60 * 1000];
+
+// Status callbacks can arrive out of order; never move backwards
+const STATUS_RANK = { sending: 0, retrying: 0, sent: 1, delivered: 2, read: 3 };
+const FAILURE_STATUSES = ['failed', 'undelivered', 'bounced'];
+
+function defaultChannels() {
+  return {
+    whatsapp: createTwilioChannel('whatsapp'),
+    sms: createTwilioChannel('sms'),
+    email: createResendChannel()
+  };
+}
+
+// channels: { whatsapp, sms, email } adapters, each { name, provider, send(tenant, to, content, { channel }) }
+// send resolves to { success, providerMessageId, status, error, permanent }
+function createNotifier({
+  store,
+  tenants,
+  channels = defaultChannels(),
+  intervalMs = DEFAULT_INTERVAL_MS,
+  maxAttempts = MAX_ATTEMPTS,
+  retryDelaysMs = RETRY_DELAYS_MS
+}) {
+  const sinks = {};
+  let timer = null;
+  let running = false;
+
+  const stats = {
+    sent: 0,
+    fellBack: 0,
+    retried: 0,
+    failed: 0,
+    statusUpdates: 0
+  };
+
+  function adapterFor(tenant, channel) {
+    const sink = tenant.notifications?.sink;
+    if (sink) {
+      sinks[sink] = sinks[sink] || createSinkChannel(sink);
+      return sinks[sink];
+    }
+    return channels[channel] || null;
+  }
+
+  // Send one message; resolves once the first attempt (and any immediate fallbacks) are done
+  // content: { text } for WhatsApp/SMS, { subject, html, text, attachments } for email
+  // Returns { success, queued, notificationId, channel, status, error }
+  async function send({ tenant, channel, to, content, kind = 'message', bookingUid = null }) {
+    if (!to) {
+      return { success: false, error: 'no_recipient' };
+    }
+
+    const fallbacks = (tenant.notifications?.fallback?.[channel] || []).filter(name => name !== channel);
+    const notification = await store.recordNotification({
+      tenantId: tenant.id,
+      bookingUid,
+      kind,
+      recipient: to,
+      content,
+      channel,
+      fallbacks
+    });
+
+    const result = await attempt(notification, tenant);
+    return {
+      success: STATUS_RANK[result.status] >= STATUS_RANK.sent,
+      queued: result.status === 'retrying',
+      notificationId: result.id,
+      channel: result.channel,
+      status: result.status,
+      error: result.lastError
+    };
+  }
+
+  async function attempt(notification, tenant = tenants.get(notification.tenantId)) {
+    const adapter = adapterFor(tenant, notification.channel);
+    const attempts = notification.attempts + 1;
+
+    let result;
+    try {
+      result = adapter
+        ? await adapter.send(tenant, notification.recipient, notification.content, { channel: notification.channel })
+        : { success: false, error: `Unknown channel: ${notification.channel}`, permanent: true };
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    await store.recordDelivery({
+      notificationId: notification.id,
+      channel: notification.channel,
+      provider: adapter ? adapter.provider : 'none',
+      providerMessageId: result.providerMessageId,
+      status: result.success ? result.status || 'sent' : 'failed',
+      error: result.success ? null : String(result.error || 'unknown error').slice(0, 500)
+    });
+
+    if (result.success) {
+      stats.sent++;
+      logger.info('Notification sent', { notificationId: notification.id, channel: notification.channel, kind: notification.kind, providerMessageId: result.providerMessageId });
+      return store.updateNotification(notification.id, {
+        status: result.status || 'sent',
+        attempts,
+        nextAttemptAt: null
+      });
+    }
+
+    return fail({ ...notification, attempts }, result.error, { permanent: result.permanent });
+  }
+
+  // Move on to the next fallback channel, queue a retry, or give up
+  async function fail(notification, error, { permanent = false } = {}) {
+    const message = String(error || 'unknown error').slice(0, 500);
+    const [next, ...rest] = notification.fallbacks;
+
+    if (next) {
+      stats.fellBack++;
+      logger.warn('Notification failed, falling back', { notificationId: notification.id, channel: notification.channel, kind: notification.kind, fallback: next, error: message });
+      const moved = await store.updateNotification(notification.id, {
+        channel: next,
+        fallbacks: rest,
+        status: 'sending',
+        attempts: 0,
+        lastError: message
+      });
+      return attempt(moved);
+    }
+
+    if (!permanent && notification.attempts < maxAttempts) {
+      const delay = retryDelaysMs[Math.min(notification.attempts - 1, retryDelaysMs.length - 1)];
+      logger.warn('Notification failed, will retry', { notificationId: notification.id, channel: notification.channel, kind: notification.kind, error: message });
+      return store.updateNotification(notification.id, {
+        status: 'retrying',
+        attempts: notification.attempts,
+        lastError: message,
+        nextAttemptAt: new Date(Date.now() + delay).toISOString()
+      });
+    }
+
+    stats.failed++;
+    logger.error('Giving up on notification', { notificationId: notification.id, channel: notification.channel, kind: notification.kind, error: message });
+    const failed = await store.updateNotification(notification.id, {
+      status: 'failed',
+      attempts: notification.attempts,
+      lastError: message,
+      nextAttemptAt: null
+    });
+    if (notification.bookingUid) {
+      await store.recordBookingEvent(notification.bookingUid, 'notification_failed', {
+        notificationId: notification.id,
+        kind: notification.kind,
+        channel: notification.channel,
+        error: message
+      });
+    }
+    return failed;
+  }
+
+  // Apply a provider status callback
+  // update: { provider, providerMessageId, status, error, tenantIds } where tenantIds are the tenants
+  // the callback was authenticated for
+  // Returns the notification, or null when the message isn't one of ours (or theirs)
+  async function handleStatus({ provider, providerMessageId, status, error, tenantIds = [] }) {
+    const delivery = providerMessageId ? await store.findDelivery(provider, providerMessageId) : null;
+    if (!delivery || !status) {
+      return null;
+    }
+
+    const notification = await store.getNotification(delivery.notificationId);
+    if (!tenantIds.includes(notification.tenantId)) {
+      logger.warn('Status callback for another tenant\'s message', { provider, notificationId: notification.id, tenantId: notification.tenantId });
+      return null;
+    }
+
+    stats.statusUpdates++;
+    if (FAILURE_STATUSES.includes(delivery.status)) {
+      return notification;
+    }
+
+    if (FAILURE_STATUSES.includes(status)) {
+      await store.updateDelivery(delivery.id, { status, error });
+
+      // Only the latest delivery can fail the notification; an older attempt
+      // failing late (after a retry or fallback went out) is just recorded
+      const latest = (await store.listDeliveries(notification.id)).pop();
+      if (latest.id !== delivery.id || STATUS_RANK[notification.status] >= STATUS_RANK.delivered || notification.status === 'failed') {
+        return notification;
+      }
+      return fail(notification, error || status, { permanent: true });
+    }
+
+    if (STATUS_RANK[status] <= STATUS_RANK[delivery.status]) {
+      return notification;
+    }
+    await store.updateDelivery(delivery.id, { status });
+
+    if (notification.channel === delivery.channel && STATUS_RANK[status] > (STATUS_RANK[notification.status] ?? Infinity)) {
+      return store.updateNotification(notification.id, { status });
+    }
+    return notification;
+  }
+
+  // Retry everything due in the queue; overlapping runs are skipped
+  async function tick(now = new Date()) {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      for (const notification of await store.listDueNotifications(now.toISOString())) {
+        stats.retried++;
+        try {
+          await attempt(notification);
+        } catch (error) {
+          logger.error('Failed to retry notification', { notificationId: notification.id, error });
+        }
+      }
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    if (timer) {
+      return;
+    }
+    const run = () => tick().catch(error => logger.error('Notification retry run failed', { error }));
+    run();
+    timer = setInterval(run, intervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { send, handleStatus, tick, start, stop, stats };
+}
+
+module.exports = {
+  createNotifier,
+  CHANNELS,
+  PHONE_CHANNELS,
+  SINKS
+};
@@ -0,0 +1,81 @@
+/**
+ * Resend email channel
+ * Delivery progress arrives as Resend webhook events (email.delivered,
+ * email.bounced, ...) posted to /resend/webhook. Attachments (calendar
+ * invites) are { filename, content (base64), contentType }.
+ */
+
+const TIMEOUT_MS = 10000;
+
+// Resend webhook event type -> delivery status
+const STATUSES = {
+  'email.sent': 'sent',
+  'email.delivery_delayed': 'sent',
+  'email.delivered': 'delivered',
+  'email.opened': 'read',
+  'email.clicked': 'read',
+  'email.bounced': 'bounced',
+  'email.failed': 'failed'
+};
+
+function createResendChannel() {
+  async function send(tenant, to, { subject, html, text, attachments }) {
+    const apiKey = tenant.resend.apiKey;
+
+    if (!apiKey) {
+      return { success: false, error: 'Resend not configured', permanent: true };
+    }
+
+    let response;
+    try {
+      response = await fetch('https://api.resend.com/emails', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          from: tenant.sender.emailFrom,
+          to,
+          subject,
+          html,
+          text,
+          attachments: attachments && attachments.map(attachment => ({
+            filename: attachment.filename,
+            content: attachment.content,
+            content_type: attachment.contentType
+          }))
+        }),
+        signal: AbortSignal.timeout(TIMEOUT_MS)
+      });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+
+    if (!response.ok) {
+      return {
+        success: false,
+        error: await response.text(),
+        permanent: response.status >= 400 && response.status < 500 && response.status !== 429
+      };
+    }
+
+    const data = await response.json();
+    return { success: true, providerMessageId: data.id, status: 'sent' };
+  }
+
+  return { name: 'email', provider: 'resend', send };
+}
+
+// Read a Resend webhook event into { providerMessageId, status, error }
+function parseWebhookEvent(event = {}) {
+  return {
+    providerMessageId: event.data?.email_id,
+    status: STATUSES[event.type] || null,
+    error: event.type === 'email.bounced'
+      ? `Bounced${event.data?.bounce?.message ? `: ${event.data.bounce.message}` : ''}`
+      : null
+  };
+}
+
+module.exports = { createResendChannel, parseWebhookEvent };
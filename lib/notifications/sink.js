@@ -0,0 +1,33 @@
+/**
+ * Local notification sink for development and testing
+ * Stands in for every real channel when a tenant's notifications.sink is
+ * "console" (log the message) or "file" (append JSON lines to
+ * NOTIFICATIONS_SINK_PATH). Messages count as delivered straight away.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SINK_PATH = './data/notifications.log';
+
+// mode: "console" or "file"
+function createSinkChannel(mode, { filename = process.env.NOTIFICATIONS_SINK_PATH || DEFAULT_SINK_PATH } = {}) {
+  async function send(tenant, to, content, { channel }) {
+    const id = `sink-${crypto.randomUUID()}`;
+
+    if (mode === 'file') {
+      fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+      fs.appendFileSync(filename, `${JSON.stringify({ id, at: new Date().toISOString(), tenantId: tenant.id, channel, to, content })}\n`);
+    } else {
+      const attached = (content.attachments || []).map(attachment => `\n📎 ${attachment.filename}`).join('');
+      console.log(`📭 [${channel} -> ${to}] ${content.subject ? `${content.subject}\n${content.text}` : content.text}${attached}`);
+    }
+
+    return { success: true, providerMessageId: id, status: 'delivered' };
+  }
+
+  return { name: mode, provider: 'sink', send };
+}
+
+module.exports = { createSinkChannel };
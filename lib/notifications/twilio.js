@@ -0,0 +1,83 @@
+/**
+ * Twilio channels: WhatsApp and SMS
+ * Both go through the Messages API; WhatsApp addresses carry a "whatsapp:"
+ * prefix. Twilio reports delivery progress to the status callback, which
+ * carries the tenant ID so the callback signature can be checked.
+ */
+
+const STATUS_CALLBACK_PATH = '/twilio/status';
+const TIMEOUT_MS = 10000;
+
+// Twilio MessageStatus -> delivery status
+const STATUSES = {
+  queued: 'sent',
+  accepted: 'sent',
+  scheduled: 'sent',
+  sending: 'sent',
+  sent: 'sent',
+  delivered: 'delivered',
+  read: 'read',
+  failed: 'failed',
+  undelivered: 'undelivered'
+};
+
+// channel: "whatsapp" or "sms"
+function createTwilioChannel(channel) {
+  const prefix = channel === 'whatsapp' ? 'whatsapp:' : '';
+
+  async function send(tenant, to, { text }) {
+    const { accountSid, authToken, phoneNumber, smsNumber } = tenant.twilio;
+    const from = channel === 'whatsapp' ? phoneNumber : smsNumber || phoneNumber;
+
+    if (!accountSid || !authToken || !from) {
+      return { success: false, error: 'Twilio not configured', permanent: true };
+    }
+
+    const formData = new URLSearchParams({
+      To: `${prefix}${to}`,
+      From: `${prefix}${from}`,
+      Body: text,
+      StatusCallback: `${tenant.publicBaseUrl}${STATUS_CALLBACK_PATH}?tenant=${encodeURIComponent(tenant.id)}`
+    });
+
+    let response;
+    try {
+      response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Basic ${btoa(`${accountSid}:${authToken}`)}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: formData.toString(),
+        signal: AbortSignal.timeout(TIMEOUT_MS)
+      });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+
+    if (!response.ok) {
+      // 4xx other than rate limiting (bad number, not on WhatsApp, opted out) won't succeed on retry
+      return {
+        success: false,
+        error: await response.text(),
+        permanent: response.status >= 400 && response.status < 500 && response.status !== 429
+      };
+    }
+
+    const data = await response.json();
+    return { success: true, providerMessageId: data.sid, status: 'sent' };
+  }
+
+  return { name: channel, provider: 'twilio', send };
+}
+
+// Read a Twilio status callback body into { providerMessageId, status, error }
+function parseStatusCallback(body = {}) {
+  return {
+    providerMessageId: body.MessageSid,
+    status: STATUSES[body.MessageStatus] || null,
+    error: body.ErrorCode ? `Twilio error ${body.ErrorCode}${body.ErrorMessage ? `: ${body.ErrorMessage}` : ''}` : null
+  };
+}
+
+module.exports = { createTwilioChannel, parseStatusCallback, STATUS_CALLBACK_PATH };
@@ -0,0 +1,40 @@
+/**
+ * Phone number normalisation
+ * Callers, Vapi and Twilio all format numbers differently ("07700 900123",
+ * "+44 7700 900123", "whatsapp:+447700900123"); bookings are stored and
+ * matched in E.164 form.
+ */
+
+// Normalise to E.164 ("+447700900123"); national numbers use the tenant's country code
+function normalizePhone(input, defaultCountryCode = '44') {
+  if (!input) {
+    return null;
+  }
+
+  const raw = String(input).replace(/^(whatsapp|sms|tel):/i, '').trim();
+  const digits = raw.replace(/\D/g, '');
+
+  if (!digits) {
+    return null;
+  }
+  if (raw.startsWith('+')) {
+    return `+${digits}`;
+  }
+  if (digits.startsWith('00')) {
+    return `+${digits.slice(2)}`;
+  }
+  if (digits.startsWith('0')) {
+    return `+${defaultCountryCode}${digits.slice(1)}`;
+  }
+  if (digits.startsWith(defaultCountryCode)) {
+    return `+${digits}`;
+  }
+  return `+${defaultCountryCode}${digits}`;
+}
+
+// Last four digits, for reading back without saying the whole number
+function lastDigits(phone, count = 4) {
+  return phone ? phone.replace(/\D/g, '').slice(-count) : '';
+}
+
+module.exports = { normalizePhone, lastDigits };
@@ -0,0 +1,278 @@
+/**
+ * Appointment reminders
+ * Every booking the assistant makes gets reminders (by default 24 hours and
+ * 2 hours before) over WhatsApp, SMS and/or email. Reminders live in the store, so
+ * a restart just picks up whatever is due; each one re-checks the booking
+ * before sending and is skipped if it was cancelled or moved.
+ *
+ * Tenants configure them under "reminders":
+ *   { "enabled": true,
+ *     "schedule": [{ "before": "24h", "channels": ["whatsapp", "email"] }] }
+ * The text comes from the whatsapp.reminder (also used for SMS) and email.reminder templates,
+ * which may use {name}, {type}, {date}, {time}, {when} and {practice}.
+ */
+
+const { findByEventTypeId } = require('./appointment-types');
+const { localDate, todayInZone, addDays, formatDate, formatTime } = require('./datetime');
+const { logger } = require('./logger');
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 5 * 60 * 1000;
+
+// Helper function to read "90", "30m", "2h" or "1d" as minutes
+function parseOffset(value) {
+  const match = /^\s*(\d+)\s*([mhd]?)\s*$/i.exec(String(value));
+  if (!match) {
+    throw new Error(`Invalid reminder offset: ${value}`);
+  }
+  const multiplier = { '': 1, m: 1, h: 60, d: 24 * 60 }[match[2].toLowerCase()];
+  return Number(match[1]) * multiplier;
+}
+
+// Helper function to flatten a tenant's schedule into [{ channel, minutesBefore }]
+function reminderPlan(tenant) {
+  const config = tenant.reminders || {};
+  if (config.enabled === false) {
+    return [];
+  }
+  return (config.schedule || []).flatMap(entry =>
+    (entry.channels || []).map(channel => ({ channel, minutesBefore: parseOffset(entry.before) }))
+  );
+}
+
+// "today", "tomorrow" or "on Monday 2 November"
+function describeWhen(templates, startTime, timeZone, now, options) {
+  const day = localDate(startTime, timeZone);
+  const today = todayInZone(timeZone, now);
+  if (day === today) {
+    return templates.text('common.today', {}, options);
+  }
+  if (day === addDays(today, 1)) {
+    return templates.text('common.tomorrow', {}, options);
+  }
+  return templates.text('common.onDate', { date: formatDate(startTime, timeZone, options.language) }, options);
+}
+
+function templateValues(templates, booking, tenant, now, options) {
+  const timeZone = booking.timeZone || tenant.timeZone;
+  const type = findByEventTypeId(tenant, booking.eventTypeId);
+  return {
+    name: booking.customerName || '',
+    type: type ? type.name : 'appointment',
+    date: formatDate(booking.startTime, timeZone, options.language),
+    time: formatTime(booking.startTime, timeZone, options.language),
+    when: describeWhen(templates, booking.startTime, timeZone, now, options),
+    practice: tenant.sender.name
+  };
+}
+
+// Email reminders need a real address, not the placeholder used until the caller confirms
+function reminderEmail(booking, tenant) {
+  const email = booking.customerEmail;
+  if (!email || booking.emailPending || email.endsWith(`@${tenant.placeholderEmailDomain}`)) {
+    return null;
+  }
+  return email;
+}
+
+// senders: { whatsapp(to, text, tenant, meta), sms(to, text, tenant, meta), email(to, { subject, html, text }, tenant, meta) }
+// meta is { kind: 'reminder', bookingUid }; each sender resolves to { success, queued, error }
+// where queued means the sender took over retrying it
+function createReminderScheduler({ store, tenants, templates, senders, intervalMs = DEFAULT_INTERVAL_MS }) {
+  let timer = null;
+  let running = false;
+
+  const stats = {
+    sent: 0,
+    skipped: 0,
+    failed: 0,
+    lastRunAt: null
+  };
+
+  // Schedule (or re-arm) reminders for a booking from its tenant's plan
+  // Reminders whose time has already passed are not created
+  async function scheduleForBooking(booking, now = new Date()) {
+    const tenant = tenants.get(booking.tenantId);
+    const start = new Date(booking.startTime).getTime();
+    let scheduled = 0;
+
+    for (const { channel, minutesBefore } of reminderPlan(tenant)) {
+      const sendAt = start - minutesBefore * 60 * 1000;
+      if (sendAt <= now.getTime()) {
+        continue;
+      }
+      await store.scheduleReminder({
+        bookingUid: booking.uid,
+        tenantId: tenant.id,
+        channel,
+        minutesBefore,
+        sendAt: new Date(sendAt).toISOString()
+      });
+      scheduled++;
+    }
+
+    if (scheduled > 0) {
+      logger.info('Scheduled reminders', { bookingUid: booking.uid, scheduled });
+    }
+    return scheduled;
+  }
+
+  async function cancelForBooking(bookingUid, reason) {
+    const skipped = await store.skipReminders(bookingUid, reason);
+    if (skipped > 0) {
+      logger.info('Skipped reminders', { bookingUid, skipped, reason });
+    }
+    return skipped;
+  }
+
+  // Returns the reason a due reminder should not go out, or null to send it
+  function skipReason(reminder, booking, tenant, now) {
+    if (!booking) {
+      return 'booking_missing';
+    }
+    if (booking.status !== 'booked') {
+      return `booking_${booking.status}`;
+    }
+
+    const start = new Date(booking.startTime).getTime();
+    if (start <= now.getTime()) {
+      return 'appointment_passed';
+    }
+
+    // After downtime, only the closest overdue reminder on a channel is worth sending
+    const superseded = reminderPlan(tenant).some(other =>
+      other.channel === reminder.channel &&
+      other.minutesBefore < reminder.minutesBefore &&
+      start - other.minutesBefore * 60 * 1000 <= now.getTime()
+    );
+    return superseded ? 'superseded' : null;
+  }
+
+  async function deliver(reminder, booking, tenant, now) {
+    const options = { tenant, language: templates.pickLanguage(tenant, booking.language) };
+    const values = templateValues(templates, booking, tenant, now, options);
+
+    const meta = { kind: 'reminder', bookingUid: booking.uid };
+
+    if (reminder.channel === 'whatsapp' || reminder.channel === 'sms') {
+      if (!booking.customerPhone) {
+        return { skipped: 'no_phone' };
+      }
+      return senders[reminder.channel](booking.customerPhone, templates.text('whatsapp.reminder', values, options), tenant, meta);
+    }
+
+    if (reminder.channel === 'email') {
+      const email = reminderEmail(booking, tenant);
+      if (!email) {
+        return { skipped: 'no_email' };
+      }
+      return senders.email(email, templates.email('email.reminder', values, options), tenant, meta);
+    }
+
+    return { skipped: `unknown_channel_${reminder.channel}` };
+  }
+
+  async function processReminder(reminder, now) {
+    const booking = await store.getBooking(reminder.bookingUid);
+    const tenant = tenants.get(reminder.tenantId || booking?.tenantId);
+
+    // The booking moved without its reminders being re-armed - move this one too
+    if (booking && booking.status === 'booked') {
+      const expected = new Date(new Date(booking.startTime).getTime() - reminder.minutesBefore * 60 * 1000);
+      if (expected.getTime() > now.getTime() && expected.toISOString() !== reminder.sendAt) {
+        await store.updateReminder(reminder.id, { sendAt: expected.toISOString() });
+        return;
+      }
+    }
+
+    const reason = skipReason(reminder, booking, tenant, now);
+    if (reason) {
+      stats.skipped++;
+      await store.updateReminder(reminder.id, { status: 'skipped', lastError: reason });
+      return;
+    }
+
+    let result;
+    try {
+      result = await deliver(reminder, booking, tenant, now);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    if (result.skipped) {
+      stats.skipped++;
+      await store.updateReminder(reminder.id, { status: 'skipped', lastError: result.skipped });
+      return;
+    }
+
+    if (result.success || result.queued) {
+      stats.sent++;
+      logger.info('Sent reminder', { bookingUid: reminder.bookingUid, channel: reminder.channel });
+      await store.updateReminder(reminder.id, { status: 'sent', sentAt: now.toISOString(), attempts: reminder.attempts + 1 });
+      await store.recordBookingEvent(reminder.bookingUid, 'reminder_sent', {
+        channel: reminder.channel,
+        minutesBefore: reminder.minutesBefore
+      });
+      return;
+    }
+
+    const attempts = reminder.attempts + 1;
+    const error = String(result.error || 'unknown error').slice(0, 500);
+    if (attempts >= MAX_ATTEMPTS) {
+      stats.failed++;
+      logger.error('Giving up on reminder', { bookingUid: reminder.bookingUid, channel: reminder.channel, error });
+      await store.updateReminder(reminder.id, { status: 'failed', attempts, lastError: error });
+    } else {
+      logger.warn('Reminder failed, will retry', { bookingUid: reminder.bookingUid, channel: reminder.channel, error });
+      await store.updateReminder(reminder.id, {
+        attempts,
+        lastError: error,
+        sendAt: new Date(now.getTime() + RETRY_DELAY_MS).toISOString()
+      });
+    }
+  }
+
+  // Send everything that is due; overlapping runs are skipped
+  async function tick(now = new Date()) {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      const due = await store.listDueReminders(now.toISOString());
+      for (const reminder of due) {
+        try {
+          await processReminder(reminder, now);
+        } catch (error) {
+          logger.error('Failed to process reminder', { reminderId: reminder.id, error });
+        }
+      }
+      stats.lastRunAt = now.toISOString();
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    if (timer) {
+      return;
+    }
+    const run = () => tick().catch(error => logger.error('Reminder run failed', { error }));
+    run();
+    timer = setInterval(run, intervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { scheduleForBooking, cancelForBooking, tick, start, stop, stats };
+}
+
+module.exports = {
+  createReminderScheduler,
+  parseOffset
+};
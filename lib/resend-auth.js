@@ -0,0 +1,89 @@
+/**
+ * Resend webhook authentication
+ * Resend signs webhooks the Svix way: an HMAC-SHA256 of
+ * "{svix-id}.{svix-timestamp}.{raw body}" keyed with the base64 part of the
+ * "whsec_..." signing secret, sent as "v1,<base64>" in svix-signature.
+ * Events don't say which tenant they belong to, so every tenant's
+ * resend.webhookSecret is tried; the tenants with the matching secret are the
+ * ones the event may touch.
+ */
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { safeEqual } = require('./safe-equal');
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+function computeSignature(secret, id, timestamp, rawBody) {
+  const key = Buffer.from(String(secret).replace(/^whsec_/, ''), 'base64');
+  return crypto.createHmac('sha256', key).update(`${id}.${timestamp}.${rawBody}`).digest('base64');
+}
+
+// Returns { ok: true, secret } (the secret that matched) or { ok: false, reason }
+function verifyRequest({ headers, rawBody, secrets, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Date.now() }) {
+  if (secrets.length === 0) {
+    return { ok: false, reason: 'resend_webhook_not_configured' };
+  }
+
+  const id = headers['svix-id'];
+  const timestamp = headers['svix-timestamp'];
+  const signatures = String(headers['svix-signature'] || '')
+    .split(' ')
+    .filter(entry => entry.startsWith('v1,'))
+    .map(entry => entry.slice(3));
+
+  if (!id || !timestamp || signatures.length === 0) {
+    return { ok: false, reason: 'missing_signature' };
+  }
+  if (!Number.isFinite(Number(timestamp)) || Math.abs(now - Number(timestamp) * 1000) > toleranceSeconds * 1000) {
+    return { ok: false, reason: 'stale_timestamp' };
+  }
+
+  const match = secrets.find(secret => {
+    const expected = computeSignature(secret, id, timestamp, rawBody);
+    return signatures.some(signature => safeEqual(expected, signature));
+  });
+  return match ? { ok: true, secret: match } : { ok: false, reason: 'bad_signature' };
+}
+
+// Express middleware factory
+// Requires express.json() to be configured with a verify hook that stores req.rawBody; sets req.tenants
+function createResendAuth({ tenants }) {
+  const secrets = [...new Set(tenants.list().map(tenant => tenant.resend.webhookSecret).filter(Boolean))];
+
+  const stats = {
+    accepted: 0,
+    rejected: 0,
+    rejectedByReason: {}
+  };
+
+  function middleware(req, res, next) {
+    const result = verifyRequest({
+      headers: req.headers,
+      rawBody: req.rawBody ? req.rawBody.toString('utf8') : '',
+      secrets
+    });
+
+    if (!result.ok) {
+      stats.rejected++;
+      stats.rejectedByReason[result.reason] = (stats.rejectedByReason[result.reason] || 0) + 1;
+      logger.warn('Resend webhook authentication failed', { reason: result.reason });
+      return res.status(401).json({ success: false, error: 'unauthorized', reason: result.reason });
+    }
+
+    stats.accepted++;
+    req.tenants = tenants.list().filter(tenant => tenant.resend.webhookSecret === result.secret);
+    next();
+  }
+
+  middleware.stats = stats;
+  middleware.enabled = secrets.length > 0;
+
+  return middleware;
+}
+
+module.exports = {
+  createResendAuth,
+  computeSignature,
+  verifyRequest
+};
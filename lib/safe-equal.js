@@ -0,0 +1,19 @@
+/**
+ * Constant-time comparison
+ * Used by every webhook and admin check that compares a secret, signature or
+ * token, so a wrong guess takes as long as a nearly right one.
+ */
+
+const crypto = require('crypto');
+
+// Constant-time string comparison that tolerates different lengths
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  if (bufA.length !== bufB.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+module.exports = { safeEqual };
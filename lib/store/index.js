@@ -0,0 +1,87 @@
+/**
+ * Booking store
+ * Persists every booking the assistant creates, every email correction
+ * (and the slot it holds while rebooking), every cancel/reschedule, pending
+ * reminders, every notification sent (with its delivery status), every
+ * assistant call (with its end-of-call report and each tool it invoked) and
+ * the waitlist (with the freed slots offered to it) so state survives restarts.
+ *
+ * Adapters implement the same async interface:
+ *   migrate()                                  -> applied migration IDs
+ *   recordBooking(booking)                     -> booking (insert or update by uid)
+ *   getBooking(uid)                            -> booking | null
+ *   updateBooking(uid, fields)                 -> booking | null
+ *   listBookings({ tenantId, phone, status, from, to, callId, source, emailPending, createdFrom, createdTo, limit }) -> booking[]
+ *   recordBookingEvent(uid, type, details)     -> void
+ *   listBookingEvents(uid)                     -> event[]
+ *   recordCorrection(correction)               -> correction
+ *   getCorrection(oldBookingUid)               -> correction | null
+ *   holdSlot({ tenantId, startTime, endTime, bookingUid, reason, expiresAt }) -> hold
+ *   releaseSlotHold(id)                        -> void
+ *   listSlotHolds({ tenantId, from, to, now }) -> unexpired holds overlapping from..to
+ *   recordConfirmToken({ jti, bookingUid, phone, expiresAt }) -> void
+ *   getConfirmToken(jti)                       -> token | null
+ *   claimConfirmToken(jti)                     -> true if it was unused
+ *   releaseConfirmToken(jti)                   -> void
+ *   claimIdempotencyKey(key, { scope, expiresAt, staleBefore }) -> true if claimed
+ *   getIdempotencyKey(key)                     -> { key, scope, status, result, expiresAt } | null
+ *   completeIdempotencyKey(key, result)        -> void
+ *   releaseIdempotencyKey(key)                 -> void
+ *   pruneIdempotencyKeys(before)               -> number removed
+ *   scheduleReminder({ bookingUid, tenantId, channel, minutesBefore, sendAt }) -> void
+ *   listDueReminders(now, limit)               -> reminder[]
+ *   listReminders(bookingUid)                  -> reminder[]
+ *   updateReminder(id, fields)                 -> void
+ *   skipReminders(bookingUid, reason)          -> number skipped
+ *   recordNotification({ tenantId, bookingUid, kind, recipient, content, channel, fallbacks }) -> notification
+ *   getNotification(id)                        -> notification | null
+ *   updateNotification(id, fields)             -> notification
+ *   listDueNotifications(now, limit)           -> notification[] waiting to be retried
+ *   listNotifications({ tenantId, bookingUid, status, limit }) -> notification[]
+ *   recordDelivery({ notificationId, channel, provider, providerMessageId, status, error }) -> delivery
+ *   findDelivery(provider, providerMessageId)  -> delivery | null
+ *   updateDelivery(id, fields)                 -> void
+ *   listDeliveries(notificationId)             -> delivery[]
+ *   recordCall(call)                           -> call (insert or update by Vapi call id)
+ *   getCall(id)                                -> call | null
+ *   listCalls({ tenantId, outcome, from, to, limit }) -> call[] (newest first)
+ *   recordToolInvocation({ callId, tenantId, callerPhone, toolCallId, functionName, arguments, result, success, error, latencyMs, bookingUid }) -> invocation
+ *   listToolInvocations({ callId, tenantId, functionName, success, from, to, order, limit }) -> invocation[]
+ *   addWaitlistEntry({ tenantId, customerName, customerPhone, eventTypeId, fromDate, toDate, weekdays, partOfDay, language, callId }) -> entry
+ *   getWaitlistEntry(id)                       -> entry | null
+ *   updateWaitlistEntry(id, fields)            -> entry
+ *   listWaitlistEntries({ tenantId, phone, eventTypeId, status, limit }) -> entry[] (oldest first)
+ *   recordWaitlistOffer({ tenantId, entryId, eventTypeId, startTime, endTime, holdId, expiresAt }) -> offer
+ *   getWaitlistOffer(id)                       -> offer | null
+ *   updateWaitlistOffer(id, fields)            -> offer
+ *   moveWaitlistOffer(id, fromStatus, toStatus) -> true if it was still in fromStatus
+ *   listWaitlistOffers({ tenantId, entryId, startTime, status, expiresBefore, limit }) -> offer[] (oldest first)
+ *   close()
+ *
+ * To add Postgres, write lib/store/postgres.js exposing the same methods,
+ * reuse ./migrations, and register it in ADAPTERS below.
+ */
+
+const { createSqliteStore } = require('./sqlite');
+
+const ADAPTERS = {
+  sqlite: options => createSqliteStore(options)
+};
+
+const DEFAULT_DATABASE_PATH = './data/bookings.db';
+
+function createStore(options = {}) {
+  const driver = options.driver || process.env.BOOKING_STORE_DRIVER || 'sqlite';
+  const adapter = ADAPTERS[driver];
+
+  if (!adapter) {
+    throw new Error(`Unknown booking store driver: ${driver}`);
+  }
+
+  return adapter({
+    filename: options.filename || process.env.DATABASE_PATH || DEFAULT_DATABASE_PATH,
+    ...options
+  });
+}
+
+module.exports = { createStore };
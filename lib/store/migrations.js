@@ -0,0 +1,289 @@
+/**
+ * Booking store schema migrations
+ * Each migration runs once, in order, and is recorded in schema_migrations.
+ * The SQL is SQLite's dialect (e.g. INTEGER PRIMARY KEY AUTOINCREMENT); another
+ * adapter needs its own migrations.
+ */
+
+module.exports = [
+  {
+    id: 1,
+    name: 'create_bookings',
+    up: `
+      CREATE TABLE bookings (
+        uid TEXT PRIMARY KEY,
+        booking_id INTEGER,
+        tenant_id TEXT,
+        event_type_id INTEGER,
+        start_time TEXT,
+        end_time TEXT,
+        time_zone TEXT,
+        customer_name TEXT,
+        customer_phone TEXT,
+        customer_email TEXT,
+        email_pending INTEGER NOT NULL DEFAULT 0,
+        status TEXT NOT NULL DEFAULT 'booked',
+        replaced_by_uid TEXT,
+        source TEXT,
+        call_id TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_bookings_phone ON bookings (customer_phone);
+      CREATE INDEX idx_bookings_start ON bookings (start_time);
+    `
+  },
+  {
+    id: 2,
+    name: 'create_booking_events',
+    up: `
+      CREATE TABLE booking_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        booking_uid TEXT NOT NULL,
+        type TEXT NOT NULL,
+        details TEXT,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_booking_events_uid ON booking_events (booking_uid);
+    `
+  },
+  {
+    id: 3,
+    name: 'create_booking_corrections',
+    up: `
+      CREATE TABLE booking_corrections (
+        old_booking_uid TEXT PRIMARY KEY,
+        new_booking_uid TEXT,
+        new_booking_id INTEGER,
+        email TEXT,
+        name TEXT,
+        phone TEXT,
+        original_email TEXT,
+        original_name TEXT,
+        updated_at TEXT NOT NULL
+      );
+    `
+  },
+  {
+    id: 4,
+    name: 'create_confirm_tokens',
+    up: `
+      CREATE TABLE confirm_tokens (
+        jti TEXT PRIMARY KEY,
+        booking_uid TEXT NOT NULL,
+        phone TEXT,
+        expires_at TEXT NOT NULL,
+        used_at TEXT,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_confirm_tokens_booking ON confirm_tokens (booking_uid);
+    `
+  },
+  {
+    id: 5,
+    name: 'create_idempotency_keys',
+    up: `
+      CREATE TABLE idempotency_keys (
+        key TEXT PRIMARY KEY,
+        scope TEXT NOT NULL,
+        status TEXT NOT NULL,
+        result TEXT,
+        expires_at TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_idempotency_keys_expires ON idempotency_keys (expires_at);
+    `
+  },
+  {
+    id: 6,
+    name: 'create_reminders',
+    up: `
+      CREATE TABLE reminders (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        booking_uid TEXT NOT NULL,
+        tenant_id TEXT,
+        channel TEXT NOT NULL,
+        minutes_before INTEGER NOT NULL,
+        send_at TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'scheduled',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        sent_at TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        UNIQUE (booking_uid, channel, minutes_before)
+      );
+      CREATE INDEX idx_reminders_due ON reminders (status, send_at);
+    `
+  },
+  {
+    id: 7,
+    name: 'add_bookings_language',
+    up: `
+      ALTER TABLE bookings ADD COLUMN language TEXT;
+    `
+  },
+  {
+    id: 8,
+    name: 'create_notifications',
+    up: `
+      CREATE TABLE notifications (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        tenant_id TEXT,
+        booking_uid TEXT,
+        kind TEXT NOT NULL,
+        recipient TEXT NOT NULL,
+        content TEXT NOT NULL,
+        channel TEXT NOT NULL,
+        fallbacks TEXT NOT NULL DEFAULT '[]',
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TEXT,
+        last_error TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_notifications_due ON notifications (status, next_attempt_at);
+      CREATE INDEX idx_notifications_booking ON notifications (booking_uid);
+
+      CREATE TABLE notification_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        notification_id INTEGER NOT NULL REFERENCES notifications (id),
+        channel TEXT NOT NULL,
+        provider TEXT NOT NULL,
+        provider_message_id TEXT,
+        status TEXT NOT NULL,
+        error TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_notification_deliveries_provider ON notification_deliveries (provider, provider_message_id);
+      CREATE INDEX idx_notification_deliveries_notification ON notification_deliveries (notification_id);
+    `
+  },
+  {
+    id: 9,
+    name: 'add_bookings_calendar_invite',
+    up: `
+      ALTER TABLE bookings ADD COLUMN meeting_url TEXT;
+      ALTER TABLE bookings ADD COLUMN calendar_uid TEXT;
+      ALTER TABLE bookings ADD COLUMN calendar_sequence INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE bookings ADD COLUMN invite_sent_at TEXT;
+    `
+  },
+  {
+    id: 10,
+    name: 'add_correction_state_and_slot_holds',
+    up: `
+      ALTER TABLE booking_corrections ADD COLUMN state TEXT;
+      ALTER TABLE booking_corrections ADD COLUMN method TEXT;
+      ALTER TABLE booking_corrections ADD COLUMN last_error TEXT;
+
+      CREATE TABLE slot_holds (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        tenant_id TEXT NOT NULL,
+        start_time TEXT NOT NULL,
+        end_time TEXT NOT NULL,
+        booking_uid TEXT,
+        reason TEXT,
+        expires_at TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_slot_holds_tenant ON slot_holds (tenant_id, start_time);
+    `
+  },
+  {
+    id: 11,
+    name: 'create_calls',
+    up: `
+      CREATE TABLE calls (
+        id TEXT PRIMARY KEY,
+        tenant_id TEXT,
+        assistant_id TEXT,
+        phone_number_id TEXT,
+        customer_phone TEXT,
+        status TEXT,
+        ended_reason TEXT,
+        summary TEXT,
+        transcript TEXT,
+        recording_url TEXT,
+        cost REAL,
+        cost_breakdown TEXT,
+        started_at TEXT,
+        ended_at TEXT,
+        duration_seconds INTEGER,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_calls_tenant ON calls (tenant_id, created_at);
+      CREATE INDEX idx_bookings_call ON bookings (call_id);
+    `
+  },
+  {
+    id: 12,
+    name: 'create_tool_invocations',
+    up: `
+      CREATE TABLE tool_invocations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        call_id TEXT,
+        tenant_id TEXT,
+        caller_phone TEXT,
+        tool_call_id TEXT,
+        function_name TEXT NOT NULL,
+        arguments TEXT,
+        result TEXT,
+        success INTEGER NOT NULL,
+        error TEXT,
+        latency_ms INTEGER,
+        booking_uid TEXT,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_tool_invocations_call ON tool_invocations (call_id);
+      CREATE INDEX idx_tool_invocations_tenant ON tool_invocations (tenant_id, created_at);
+
+      ALTER TABLE calls ADD COLUMN outcome TEXT;
+    `
+  },
+  {
+    id: 13,
+    name: 'create_waitlist',
+    up: `
+      CREATE TABLE waitlist_entries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        tenant_id TEXT NOT NULL,
+        customer_name TEXT,
+        customer_phone TEXT NOT NULL,
+        event_type_id INTEGER NOT NULL,
+        from_date TEXT NOT NULL,
+        to_date TEXT NOT NULL,
+        weekdays TEXT,
+        part_of_day TEXT,
+        language TEXT,
+        call_id TEXT,
+        status TEXT NOT NULL DEFAULT 'waiting',
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_waitlist_entries_tenant ON waitlist_entries (tenant_id, status, created_at);
+      CREATE INDEX idx_waitlist_entries_phone ON waitlist_entries (customer_phone);
+
+      CREATE TABLE waitlist_offers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        tenant_id TEXT NOT NULL,
+        entry_id INTEGER NOT NULL REFERENCES waitlist_entries (id),
+        event_type_id INTEGER NOT NULL,
+        start_time TEXT NOT NULL,
+        end_time TEXT NOT NULL,
+        hold_id INTEGER,
+        status TEXT NOT NULL DEFAULT 'offered',
+        booking_uid TEXT,
+        expires_at TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_waitlist_offers_entry ON waitlist_offers (entry_id);
+      CREATE INDEX idx_waitlist_offers_due ON waitlist_offers (status, expires_at);
+    `
+  }
+];
@@ -0,0 +1,888 @@
+/**
+ * SQLite booking store adapter (default)
+ * Uses better-sqlite3; methods are async so the same interface can be
+ * implemented by a networked database adapter such as Postgres.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const migrations = require('./migrations');
+const { logger } = require('../logger');
+
+// Columns the callers are allowed to set, camelCase -> snake_case
+const BOOKING_COLUMNS = {
+  uid: 'uid',
+  bookingId: 'booking_id',
+  tenantId: 'tenant_id',
+  eventTypeId: 'event_type_id',
+  startTime: 'start_time',
+  endTime: 'end_time',
+  timeZone: 'time_zone',
+  customerName: 'customer_name',
+  customerPhone: 'customer_phone',
+  customerEmail: 'customer_email',
+  emailPending: 'email_pending',
+  status: 'status',
+  replacedByUid: 'replaced_by_uid',
+  source: 'source',
+  callId: 'call_id',
+  language: 'language',
+  meetingUrl: 'meeting_url',
+  calendarUid: 'calendar_uid',
+  calendarSequence: 'calendar_sequence',
+  inviteSentAt: 'invite_sent_at'
+};
+
+// Same for calls; costBreakdown is stored as JSON
+const CALL_COLUMNS = {
+  id: 'id',
+  tenantId: 'tenant_id',
+  assistantId: 'assistant_id',
+  phoneNumberId: 'phone_number_id',
+  customerPhone: 'customer_phone',
+  status: 'status',
+  endedReason: 'ended_reason',
+  outcome: 'outcome',
+  summary: 'summary',
+  transcript: 'transcript',
+  recordingUrl: 'recording_url',
+  cost: 'cost',
+  costBreakdown: 'cost_breakdown',
+  startedAt: 'started_at',
+  endedAt: 'ended_at',
+  durationSeconds: 'duration_seconds'
+};
+
+// Helper function to convert a snake_case row into a camelCase object
+function toCamel(row) {
+  if (!row) {
+    return null;
+  }
+
+  const result = {};
+  for (const [key, value] of Object.entries(row)) {
+    result[key.replace(/_([a-z])/g, (_, c) => c.toUpperCase())] = value;
+  }
+  return result;
+}
+
+function toBooking(row) {
+  const booking = toCamel(row);
+  if (booking) {
+    booking.emailPending = !!booking.emailPending;
+  }
+  return booking;
+}
+
+function toEvent(row) {
+  const event = toCamel(row);
+  if (event && event.details) {
+    event.details = JSON.parse(event.details);
+  }
+  return event;
+}
+
+function toIdempotencyRecord(row) {
+  const record = toCamel(row);
+  if (record && record.result) {
+    record.result = JSON.parse(record.result);
+  }
+  return record;
+}
+
+function toNotification(row) {
+  const notification = toCamel(row);
+  if (notification) {
+    notification.content = JSON.parse(notification.content);
+    notification.fallbacks = JSON.parse(notification.fallbacks);
+  }
+  return notification;
+}
+
+function toCall(row) {
+  const call = toCamel(row);
+  if (call && call.costBreakdown) {
+    call.costBreakdown = JSON.parse(call.costBreakdown);
+  }
+  return call;
+}
+
+function toToolInvocation(row) {
+  const invocation = toCamel(row);
+  if (invocation) {
+    invocation.arguments = invocation.arguments ? JSON.parse(invocation.arguments) : null;
+    invocation.result = invocation.result ? JSON.parse(invocation.result) : null;
+    invocation.success = !!invocation.success;
+  }
+  return invocation;
+}
+
+function toWaitlistEntry(row) {
+  const entry = toCamel(row);
+  if (entry) {
+    entry.weekdays = entry.weekdays ? JSON.parse(entry.weekdays) : null;
+  }
+  return entry;
+}
+
+// SQLite only accepts numbers, strings, bigints, buffers and null
+function toSqlValue(value) {
+  if (value === undefined) {
+    return null;
+  }
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  return value;
+}
+
+function createSqliteStore(options = {}) {
+  const filename = options.filename || ':memory:';
+
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+  }
+
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+
+  async function migrate() {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        id INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )
+    `);
+
+    const applied = new Set(db.prepare('SELECT id FROM schema_migrations').all().map(r => r.id));
+    const pending = migrations.filter(m => !applied.has(m.id));
+
+    for (const migration of pending) {
+      db.transaction(() => {
+        db.exec(migration.up);
+        db.prepare('INSERT INTO schema_migrations (id, name, applied_at) VALUES (?, ?, ?)')
+          .run(migration.id, migration.name, new Date().toISOString());
+      })();
+      logger.info('Applied migration', { migration: `${migration.id}_${migration.name}` });
+    }
+
+    return pending.map(m => m.id);
+  }
+
+  async function recordBooking(booking) {
+    const now = new Date().toISOString();
+    const columns = Object.keys(BOOKING_COLUMNS).filter(key => booking[key] !== undefined);
+    const values = columns.map(key => toSqlValue(booking[key]));
+
+    db.prepare(`
+      INSERT INTO bookings (${columns.map(key => BOOKING_COLUMNS[key]).join(', ')}, created_at, updated_at)
+      VALUES (${columns.map(() => '?').join(', ')}, ?, ?)
+      ON CONFLICT (uid) DO UPDATE SET
+        ${columns.filter(key => key !== 'uid').map(key => `${BOOKING_COLUMNS[key]} = excluded.${BOOKING_COLUMNS[key]}`).concat('updated_at = excluded.updated_at').join(', ')}
+    `).run(...values, now, now);
+
+    return getBooking(booking.uid);
+  }
+
+  async function getBooking(uid) {
+    return toBooking(db.prepare('SELECT * FROM bookings WHERE uid = ?').get(uid));
+  }
+
+  async function updateBooking(uid, fields) {
+    const columns = Object.keys(fields).filter(key => BOOKING_COLUMNS[key] && key !== 'uid');
+    if (columns.length === 0) {
+      return getBooking(uid);
+    }
+
+    db.prepare(`
+      UPDATE bookings
+      SET ${columns.map(key => `${BOOKING_COLUMNS[key]} = ?`).join(', ')}, updated_at = ?
+      WHERE uid = ?
+    `).run(...columns.map(key => toSqlValue(fields[key])), new Date().toISOString(), uid);
+
+    return getBooking(uid);
+  }
+
+  // filters: { tenantId, phone, status, from, to, callId, source, emailPending, createdFrom, createdTo, limit }
+  // from/to bound the appointment start; createdFrom/createdTo when it was booked
+  async function listBookings(filters = {}) {
+    const where = [];
+    const params = [];
+
+    if (filters.tenantId) {
+      where.push('tenant_id = ?');
+      params.push(filters.tenantId);
+    }
+    if (filters.callId) {
+      where.push('call_id = ?');
+      params.push(filters.callId);
+    }
+    if (filters.source) {
+      where.push('source = ?');
+      params.push(filters.source);
+    }
+    if (filters.emailPending !== undefined) {
+      where.push('email_pending = ?');
+      params.push(toSqlValue(!!filters.emailPending));
+    }
+    if (filters.createdFrom) {
+      where.push('created_at >= ?');
+      params.push(filters.createdFrom);
+    }
+    if (filters.createdTo) {
+      where.push('created_at <= ?');
+      params.push(filters.createdTo);
+    }
+    if (filters.phone) {
+      where.push('customer_phone = ?');
+      params.push(filters.phone);
+    }
+    if (filters.status) {
+      const statuses = [].concat(filters.status);
+      where.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+      params.push(...statuses);
+    }
+    if (filters.from) {
+      where.push('start_time >= ?');
+      params.push(filters.from);
+    }
+    if (filters.to) {
+      where.push('start_time <= ?');
+      params.push(filters.to);
+    }
+
+    const sql = `
+      SELECT * FROM bookings
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY start_time ASC
+      LIMIT ?
+    `;
+    return db.prepare(sql).all(...params, filters.limit || 100).map(toBooking);
+  }
+
+  async function recordBookingEvent(bookingUid, type, details = {}) {
+    db.prepare('INSERT INTO booking_events (booking_uid, type, details, created_at) VALUES (?, ?, ?, ?)')
+      .run(bookingUid, type, JSON.stringify(details), new Date().toISOString());
+  }
+
+  async function listBookingEvents(bookingUid) {
+    return db.prepare('SELECT * FROM booking_events WHERE booking_uid = ? ORDER BY id ASC')
+      .all(bookingUid)
+      .map(toEvent);
+  }
+
+  async function recordCorrection(correction) {
+    db.prepare(`
+      INSERT INTO booking_corrections
+        (old_booking_uid, new_booking_uid, new_booking_id, email, name, phone, original_email, original_name, state, method, last_error, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (old_booking_uid) DO UPDATE SET
+        new_booking_uid = excluded.new_booking_uid,
+        new_booking_id = excluded.new_booking_id,
+        email = excluded.email,
+        name = excluded.name,
+        phone = excluded.phone,
+        original_email = excluded.original_email,
+        original_name = excluded.original_name,
+        state = excluded.state,
+        method = excluded.method,
+        last_error = excluded.last_error,
+        updated_at = excluded.updated_at
+    `).run(
+      correction.oldBookingUid,
+      toSqlValue(correction.newBookingUid),
+      toSqlValue(correction.newBookingId),
+      toSqlValue(correction.email),
+      toSqlValue(correction.name),
+      toSqlValue(correction.phone),
+      toSqlValue(correction.originalEmail),
+      toSqlValue(correction.originalName),
+      toSqlValue(correction.state),
+      toSqlValue(correction.method),
+      toSqlValue(correction.lastError),
+      new Date().toISOString()
+    );
+
+    return getCorrection(correction.oldBookingUid);
+  }
+
+  async function getCorrection(oldBookingUid) {
+    return toCamel(db.prepare('SELECT * FROM booking_corrections WHERE old_booking_uid = ?').get(oldBookingUid));
+  }
+
+  async function holdSlot(hold) {
+    const result = db.prepare(`
+      INSERT INTO slot_holds (tenant_id, start_time, end_time, booking_uid, reason, expires_at, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(hold.tenantId, hold.startTime, hold.endTime, toSqlValue(hold.bookingUid), toSqlValue(hold.reason), hold.expiresAt, new Date().toISOString());
+    return toCamel(db.prepare('SELECT * FROM slot_holds WHERE id = ?').get(result.lastInsertRowid));
+  }
+
+  async function releaseSlotHold(id) {
+    db.prepare('DELETE FROM slot_holds WHERE id = ?').run(id);
+  }
+
+  // Unexpired holds touching [from, to]
+  async function listSlotHolds({ tenantId, from, to, now = new Date().toISOString() }) {
+    return db.prepare(`
+      SELECT * FROM slot_holds
+      WHERE tenant_id = ? AND start_time <= ? AND end_time >= ? AND expires_at > ?
+      ORDER BY start_time ASC
+    `).all(tenantId, to, from, now).map(toCamel);
+  }
+
+  async function recordConfirmToken(token) {
+    db.prepare('INSERT INTO confirm_tokens (jti, booking_uid, phone, expires_at, created_at) VALUES (?, ?, ?, ?, ?)')
+      .run(token.jti, token.bookingUid, toSqlValue(token.phone), token.expiresAt, new Date().toISOString());
+  }
+
+  async function getConfirmToken(jti) {
+    return toCamel(db.prepare('SELECT * FROM confirm_tokens WHERE jti = ?').get(jti));
+  }
+
+  // Atomically mark a token used; returns false if it was already used
+  async function claimConfirmToken(jti) {
+    const result = db.prepare('UPDATE confirm_tokens SET used_at = ? WHERE jti = ? AND used_at IS NULL')
+      .run(new Date().toISOString(), jti);
+    return result.changes === 1;
+  }
+
+  async function releaseConfirmToken(jti) {
+    db.prepare('UPDATE confirm_tokens SET used_at = NULL WHERE jti = ?').run(jti);
+  }
+
+  // Take a key for this request; succeeds if the key is new, expired, or a
+  // pending claim older than staleBefore (the process handling it died)
+  async function claimIdempotencyKey(key, { scope, expiresAt, staleBefore }) {
+    const now = new Date().toISOString();
+    const result = db.prepare(`
+      INSERT INTO idempotency_keys (key, scope, status, expires_at, created_at, updated_at)
+      VALUES (?, ?, 'pending', ?, ?, ?)
+      ON CONFLICT (key) DO UPDATE SET
+        scope = excluded.scope,
+        status = 'pending',
+        result = NULL,
+        expires_at = excluded.expires_at,
+        created_at = excluded.created_at,
+        updated_at = excluded.updated_at
+      WHERE idempotency_keys.expires_at <= ?
+        OR (idempotency_keys.status = 'pending' AND idempotency_keys.updated_at <= ?)
+    `).run(key, scope, expiresAt, now, now, now, staleBefore);
+    return result.changes === 1;
+  }
+
+  async function getIdempotencyKey(key) {
+    return toIdempotencyRecord(db.prepare('SELECT * FROM idempotency_keys WHERE key = ?').get(key));
+  }
+
+  async function completeIdempotencyKey(key, result) {
+    db.prepare("UPDATE idempotency_keys SET status = 'completed', result = ?, updated_at = ? WHERE key = ?")
+      .run(JSON.stringify(result), new Date().toISOString(), key);
+  }
+
+  async function releaseIdempotencyKey(key) {
+    db.prepare('DELETE FROM idempotency_keys WHERE key = ?').run(key);
+  }
+
+  async function pruneIdempotencyKeys(before) {
+    return db.prepare('DELETE FROM idempotency_keys WHERE expires_at <= ?').run(before).changes;
+  }
+
+  // Insert or re-arm a reminder; re-arming resets it when a booking moves
+  async function scheduleReminder(reminder) {
+    const now = new Date().toISOString();
+    db.prepare(`
+      INSERT INTO reminders (booking_uid, tenant_id, channel, minutes_before, send_at, status, attempts, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, 'scheduled', 0, ?, ?)
+      ON CONFLICT (booking_uid, channel, minutes_before) DO UPDATE SET
+        tenant_id = excluded.tenant_id,
+        send_at = excluded.send_at,
+        status = 'scheduled',
+        attempts = 0,
+        last_error = NULL,
+        sent_at = NULL,
+        updated_at = excluded.updated_at
+    `).run(reminder.bookingUid, toSqlValue(reminder.tenantId), reminder.channel, reminder.minutesBefore, reminder.sendAt, now, now);
+  }
+
+  async function listDueReminders(now, limit = 50) {
+    return db.prepare(`
+      SELECT * FROM reminders
+      WHERE status = 'scheduled' AND send_at <= ?
+      ORDER BY send_at ASC
+      LIMIT ?
+    `).all(now, limit).map(toCamel);
+  }
+
+  async function listReminders(bookingUid) {
+    return db.prepare('SELECT * FROM reminders WHERE booking_uid = ? ORDER BY send_at ASC')
+      .all(bookingUid)
+      .map(toCamel);
+  }
+
+  async function updateReminder(id, fields) {
+    const columns = { status: 'status', sendAt: 'send_at', attempts: 'attempts', lastError: 'last_error', sentAt: 'sent_at' };
+    const keys = Object.keys(fields).filter(key => columns[key]);
+    db.prepare(`
+      UPDATE reminders
+      SET ${keys.map(key => `${columns[key]} = ?`).concat('updated_at = ?').join(', ')}
+      WHERE id = ?
+    `).run(...keys.map(key => toSqlValue(fields[key])), new Date().toISOString(), id);
+  }
+
+  // Skip every reminder still waiting for a booking; returns how many
+  async function skipReminders(bookingUid, reason) {
+    return db.prepare(`
+      UPDATE reminders SET status = 'skipped', last_error = ?, updated_at = ?
+      WHERE booking_uid = ? AND status = 'scheduled'
+    `).run(reason, new Date().toISOString(), bookingUid).changes;
+  }
+
+  async function recordNotification(notification) {
+    const now = new Date().toISOString();
+    const { lastInsertRowid } = db.prepare(`
+      INSERT INTO notifications
+        (tenant_id, booking_uid, kind, recipient, content, channel, fallbacks, status, attempts, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', 0, ?, ?)
+    `).run(
+      toSqlValue(notification.tenantId),
+      toSqlValue(notification.bookingUid),
+      notification.kind,
+      notification.recipient,
+      JSON.stringify(notification.content),
+      notification.channel,
+      JSON.stringify(notification.fallbacks || []),
+      now,
+      now
+    );
+    return getNotification(Number(lastInsertRowid));
+  }
+
+  async function getNotification(id) {
+    return toNotification(db.prepare('SELECT * FROM notifications WHERE id = ?').get(id));
+  }
+
+  async function updateNotification(id, fields) {
+    const columns = {
+      channel: 'channel',
+      fallbacks: 'fallbacks',
+      status: 'status',
+      attempts: 'attempts',
+      nextAttemptAt: 'next_attempt_at',
+      lastError: 'last_error'
+    };
+    const keys = Object.keys(fields).filter(key => columns[key]);
+    const value = key => key === 'fallbacks' ? JSON.stringify(fields[key]) : toSqlValue(fields[key]);
+    db.prepare(`
+      UPDATE notifications
+      SET ${keys.map(key => `${columns[key]} = ?`).concat('updated_at = ?').join(', ')}
+      WHERE id = ?
+    `).run(...keys.map(value), new Date().toISOString(), id);
+    return getNotification(id);
+  }
+
+  // Notifications waiting in the retry queue
+  async function listDueNotifications(now, limit = 50) {
+    return db.prepare(`
+      SELECT * FROM notifications
+      WHERE status = 'retrying' AND next_attempt_at <= ?
+      ORDER BY next_attempt_at ASC
+      LIMIT ?
+    `).all(now, limit).map(toNotification);
+  }
+
+  // filters: { tenantId, bookingUid, status, limit }
+  async function listNotifications(filters = {}) {
+    const where = [];
+    const params = [];
+
+    if (filters.tenantId) {
+      where.push('tenant_id = ?');
+      params.push(filters.tenantId);
+    }
+    if (filters.bookingUid) {
+      where.push('booking_uid = ?');
+      params.push(filters.bookingUid);
+    }
+    if (filters.status) {
+      const statuses = [].concat(filters.status);
+      where.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+      params.push(...statuses);
+    }
+
+    return db.prepare(`
+      SELECT * FROM notifications
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY id DESC
+      LIMIT ?
+    `).all(...params, filters.limit || 100).map(toNotification);
+  }
+
+  async function recordDelivery(delivery) {
+    const now = new Date().toISOString();
+    const { lastInsertRowid } = db.prepare(`
+      INSERT INTO notification_deliveries
+        (notification_id, channel, provider, provider_message_id, status, error, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      delivery.notificationId,
+      delivery.channel,
+      delivery.provider,
+      toSqlValue(delivery.providerMessageId),
+      delivery.status,
+      toSqlValue(delivery.error),
+      now,
+      now
+    );
+    return toCamel(db.prepare('SELECT * FROM notification_deliveries WHERE id = ?').get(Number(lastInsertRowid)));
+  }
+
+  async function findDelivery(provider, providerMessageId) {
+    return toCamel(db.prepare(`
+      SELECT * FROM notification_deliveries WHERE provider = ? AND provider_message_id = ?
+    `).get(provider, providerMessageId));
+  }
+
+  async function updateDelivery(id, fields) {
+    const columns = { status: 'status', error: 'error' };
+    const keys = Object.keys(fields).filter(key => columns[key]);
+    db.prepare(`
+      UPDATE notification_deliveries
+      SET ${keys.map(key => `${columns[key]} = ?`).concat('updated_at = ?').join(', ')}
+      WHERE id = ?
+    `).run(...keys.map(key => toSqlValue(fields[key])), new Date().toISOString(), id);
+  }
+
+  async function listDeliveries(notificationId) {
+    return db.prepare('SELECT * FROM notification_deliveries WHERE notification_id = ? ORDER BY id ASC')
+      .all(notificationId)
+      .map(toCamel);
+  }
+
+  // Insert or update by id; fields left undefined keep their stored value
+  async function recordCall(call) {
+    const now = new Date().toISOString();
+    const columns = Object.keys(CALL_COLUMNS).filter(key => call[key] !== undefined);
+    const value = key => key === 'costBreakdown' && call[key] !== null ? JSON.stringify(call[key]) : toSqlValue(call[key]);
+
+    db.prepare(`
+      INSERT INTO calls (${columns.map(key => CALL_COLUMNS[key]).join(', ')}, created_at, updated_at)
+      VALUES (${columns.map(() => '?').join(', ')}, ?, ?)
+      ON CONFLICT (id) DO UPDATE SET
+        ${columns.filter(key => key !== 'id').map(key => `${CALL_COLUMNS[key]} = excluded.${CALL_COLUMNS[key]}`).concat('updated_at = excluded.updated_at').join(', ')}
+    `).run(...columns.map(value), now, now);
+
+    return getCall(call.id);
+  }
+
+  async function getCall(id) {
+    return toCall(db.prepare('SELECT * FROM calls WHERE id = ?').get(id));
+  }
+
+  // filters: { tenantId, outcome, from, to, limit }; from/to bound when the call was first seen
+  // outcome "none" matches calls that made no tool calls
+  async function listCalls(filters = {}) {
+    const where = [];
+    const params = [];
+
+    if (filters.tenantId) {
+      where.push('tenant_id = ?');
+      params.push(filters.tenantId);
+    }
+    if (filters.outcome) {
+      const outcomes = [].concat(filters.outcome);
+      const named = outcomes.filter(outcome => outcome !== 'none');
+      const clauses = named.length ? [`outcome IN (${named.map(() => '?').join(', ')})`] : [];
+      if (outcomes.includes('none')) {
+        clauses.push('outcome IS NULL');
+      }
+      where.push(`(${clauses.join(' OR ')})`);
+      params.push(...named);
+    }
+    if (filters.from) {
+      where.push('created_at >= ?');
+      params.push(filters.from);
+    }
+    if (filters.to) {
+      where.push('created_at <= ?');
+      params.push(filters.to);
+    }
+
+    return db.prepare(`
+      SELECT * FROM calls
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY created_at DESC
+      LIMIT ?
+    `).all(...params, filters.limit || 100).map(toCall);
+  }
+
+  async function recordToolInvocation(invocation) {
+    const { lastInsertRowid } = db.prepare(`
+      INSERT INTO tool_invocations
+        (call_id, tenant_id, caller_phone, tool_call_id, function_name, arguments, result, success, error, latency_ms, booking_uid, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      toSqlValue(invocation.callId),
+      toSqlValue(invocation.tenantId),
+      toSqlValue(invocation.callerPhone),
+      toSqlValue(invocation.toolCallId),
+      invocation.functionName,
+      JSON.stringify(invocation.arguments ?? null),
+      JSON.stringify(invocation.result ?? null),
+      toSqlValue(!!invocation.success),
+      toSqlValue(invocation.error),
+      toSqlValue(invocation.latencyMs),
+      toSqlValue(invocation.bookingUid),
+      new Date().toISOString()
+    );
+    return toToolInvocation(db.prepare('SELECT * FROM tool_invocations WHERE id = ?').get(Number(lastInsertRowid)));
+  }
+
+  // filters: { callId, tenantId, functionName, success, from, to, order: 'asc' | 'desc', limit }
+  async function listToolInvocations(filters = {}) {
+    const where = [];
+    const params = [];
+
+    if (filters.callId) {
+      where.push('call_id = ?');
+      params.push(filters.callId);
+    }
+    if (filters.tenantId) {
+      where.push('tenant_id = ?');
+      params.push(filters.tenantId);
+    }
+    if (filters.functionName) {
+      where.push('function_name = ?');
+      params.push(filters.functionName);
+    }
+    if (filters.success !== undefined) {
+      where.push('success = ?');
+      params.push(toSqlValue(!!filters.success));
+    }
+    if (filters.from) {
+      where.push('created_at >= ?');
+      params.push(filters.from);
+    }
+    if (filters.to) {
+      where.push('created_at <= ?');
+      params.push(filters.to);
+    }
+
+    return db.prepare(`
+      SELECT * FROM tool_invocations
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY id ${filters.order === 'desc' ? 'DESC' : 'ASC'}
+      LIMIT ?
+    `).all(...params, filters.limit || 500).map(toToolInvocation);
+  }
+
+  async function addWaitlistEntry(entry) {
+    const now = new Date().toISOString();
+    const { lastInsertRowid } = db.prepare(`
+      INSERT INTO waitlist_entries
+        (tenant_id, customer_name, customer_phone, event_type_id, from_date, to_date, weekdays, part_of_day, language, call_id, status, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'waiting', ?, ?)
+    `).run(
+      entry.tenantId,
+      toSqlValue(entry.customerName),
+      entry.customerPhone,
+      entry.eventTypeId,
+      entry.fromDate,
+      entry.toDate,
+      entry.weekdays ? JSON.stringify(entry.weekdays) : null,
+      toSqlValue(entry.partOfDay),
+      toSqlValue(entry.language),
+      toSqlValue(entry.callId),
+      now,
+      now
+    );
+    return getWaitlistEntry(Number(lastInsertRowid));
+  }
+
+  async function getWaitlistEntry(id) {
+    return toWaitlistEntry(db.prepare('SELECT * FROM waitlist_entries WHERE id = ?').get(id));
+  }
+
+  async function updateWaitlistEntry(id, fields) {
+    const columns = { status: 'status', toDate: 'to_date' };
+    const keys = Object.keys(fields).filter(key => columns[key]);
+    db.prepare(`
+      UPDATE waitlist_entries
+      SET ${keys.map(key => `${columns[key]} = ?`).concat('updated_at = ?').join(', ')}
+      WHERE id = ?
+    `).run(...keys.map(key => toSqlValue(fields[key])), new Date().toISOString(), id);
+    return getWaitlistEntry(id);
+  }
+
+  // filters: { tenantId, phone, eventTypeId, status, limit }; first come, first served
+  async function listWaitlistEntries(filters = {}) {
+    const where = [];
+    const params = [];
+
+    if (filters.tenantId) {
+      where.push('tenant_id = ?');
+      params.push(filters.tenantId);
+    }
+    if (filters.phone) {
+      where.push('customer_phone = ?');
+      params.push(filters.phone);
+    }
+    if (filters.eventTypeId) {
+      where.push('event_type_id = ?');
+      params.push(filters.eventTypeId);
+    }
+    if (filters.status) {
+      const statuses = [].concat(filters.status);
+      where.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+      params.push(...statuses);
+    }
+
+    return db.prepare(`
+      SELECT * FROM waitlist_entries
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY id ASC
+      LIMIT ?
+    `).all(...params, filters.limit || 500).map(toWaitlistEntry);
+  }
+
+  async function recordWaitlistOffer(offer) {
+    const now = new Date().toISOString();
+    const { lastInsertRowid } = db.prepare(`
+      INSERT INTO waitlist_offers
+        (tenant_id, entry_id, event_type_id, start_time, end_time, hold_id, status, expires_at, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, 'offered', ?, ?, ?)
+    `).run(
+      offer.tenantId,
+      offer.entryId,
+      offer.eventTypeId,
+      offer.startTime,
+      offer.endTime,
+      toSqlValue(offer.holdId),
+      offer.expiresAt,
+      now,
+      now
+    );
+    return getWaitlistOffer(Number(lastInsertRowid));
+  }
+
+  async function getWaitlistOffer(id) {
+    return toCamel(db.prepare('SELECT * FROM waitlist_offers WHERE id = ?').get(id));
+  }
+
+  async function updateWaitlistOffer(id, fields) {
+    const columns = { status: 'status', bookingUid: 'booking_uid', holdId: 'hold_id' };
+    const keys = Object.keys(fields).filter(key => columns[key]);
+    db.prepare(`
+      UPDATE waitlist_offers
+      SET ${keys.map(key => `${columns[key]} = ?`).concat('updated_at = ?').join(', ')}
+      WHERE id = ?
+    `).run(...keys.map(key => toSqlValue(fields[key])), new Date().toISOString(), id);
+    return getWaitlistOffer(id);
+  }
+
+  // Atomically change an offer's status; returns false if it had already left fromStatus
+  async function moveWaitlistOffer(id, fromStatus, toStatus) {
+    const result = db.prepare('UPDATE waitlist_offers SET status = ?, updated_at = ? WHERE id = ? AND status = ?')
+      .run(toStatus, new Date().toISOString(), id, fromStatus);
+    return result.changes === 1;
+  }
+
+  // filters: { tenantId, entryId, startTime, status, expiresBefore, limit }
+  async function listWaitlistOffers(filters = {}) {
+    const where = [];
+    const params = [];
+
+    if (filters.tenantId) {
+      where.push('tenant_id = ?');
+      params.push(filters.tenantId);
+    }
+    if (filters.entryId) {
+      where.push('entry_id = ?');
+      params.push(filters.entryId);
+    }
+    if (filters.startTime) {
+      where.push('start_time = ?');
+      params.push(filters.startTime);
+    }
+    if (filters.status) {
+      const statuses = [].concat(filters.status);
+      where.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+      params.push(...statuses);
+    }
+    if (filters.expiresBefore) {
+      where.push('expires_at <= ?');
+      params.push(filters.expiresBefore);
+    }
+
+    return db.prepare(`
+      SELECT * FROM waitlist_offers
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY id ASC
+      LIMIT ?
+    `).all(...params, filters.limit || 500).map(toCamel);
+  }
+
+  async function close() {
+    db.close();
+  }
+
+  return {
+    driver: 'sqlite',
+    db,
+    migrate,
+    recordBooking,
+    getBooking,
+    updateBooking,
+    listBookings,
+    recordBookingEvent,
+    listBookingEvents,
+    recordCorrection,
+    getCorrection,
+    holdSlot,
+    releaseSlotHold,
+    listSlotHolds,
+    recordConfirmToken,
+    getConfirmToken,
+    claimConfirmToken,
+    releaseConfirmToken,
+    claimIdempotencyKey,
+    getIdempotencyKey,
+    completeIdempotencyKey,
+    releaseIdempotencyKey,
+    pruneIdempotencyKeys,
+    scheduleReminder,
+    listDueReminders,
+    listReminders,
+    updateReminder,
+    skipReminders,
+    recordNotification,
+    getNotification,
+    updateNotification,
+    listDueNotifications,
+    listNotifications,
+    recordDelivery,
+    findDelivery,
+    updateDelivery,
+    listDeliveries,
+    recordCall,
+    getCall,
+    listCalls,
+    recordToolInvocation,
+    listToolInvocations,
+    addWaitlistEntry,
+    getWaitlistEntry,
+    updateWaitlistEntry,
+    listWaitlistEntries,
+    recordWaitlistOffer,
+    getWaitlistOffer,
+    updateWaitlistOffer,
+    moveWaitlistOffer,
+    listWaitlistOffers,
+    close
+  };
+}
+
+module.exports = { createSqliteStore };
@@ -0,0 +1,126 @@
+/**
+ * English templates (the fallback for every other language)
+ * Keys are grouped by where the text ends up: voice.* is read out by the
+ * assistant, whatsapp.* and email.* go to the customer, web.* is shown on
+ * confirm-email.html, calendar.* fills in calendar invites and links. Email keys have .subject, .html and optionally .text;
+ * without .text the plain-text part is generated from the HTML.
+ */
+
+module.exports = {
+  // Shared fragments
+  'common.yourAppointment': 'your appointment',
+  'common.timeOnDate': '{time} on {date}',
+  'common.today': 'today',
+  'common.tomorrow': 'tomorrow',
+  'common.onDate': 'on {date}',
+
+  // Calendar invites (.ics) and add-to-calendar links
+  'calendar.summary': '{type} with {practice}',
+  'calendar.description': '{#meetingLink}Join the meeting: {meetingLink}\n\n{/meetingLink}To cancel or change this appointment, reply to our WhatsApp message or give us a call.\n\n{practice}',
+
+  // Voice assistant
+  'voice.confirmAction': 'Just to confirm, you would like to {action}?',
+  'voice.actionCancel': 'cancel {appointment}',
+  'voice.actionMove': 'move {appointment} to {newTime}',
+  'voice.phoneNeededForChange': 'Could you tell me the phone number you used when you booked?',
+  'voice.typesOne': 'We offer {types}. Would you like to book one?',
+  'voice.typesMany': 'We offer {types}. Which would you like to book?',
+  'voice.noSlotsOnDate': 'I do not have any {type} slots available on {date}{preferences}. Would you like to try a different date?',
+  'voice.slotsOnDate': 'I have the following times available for {typeWithArticle} on {date}: {times}. Which time works best for you?',
+  'voice.noSlotsInRange': 'I do not have any {type} slots{preferences} between {from} and {to}. Would you like me to look further ahead?',
+  'voice.slotsInRange': 'I have a few options{preferences}: {options}. Which would suit you best?',
+  'voice.noNextSlots': "I'm sorry, I couldn't find any {type} slots{preferences} in the next few weeks. Would you like to try different days or times?",
+  'voice.nextSlots': 'The next available {type} slots{preferences} are: {options}. Would any of those work for you?',
+  'voice.calendarError': 'I apologize, but I am having trouble checking the calendar right now. Please try again in a moment.',
+  'voice.phoneNeededForBooking': 'Could I take a mobile number for your booking confirmation?',
+  'voice.bookingFailed': 'I apologize, but I was unable to create the booking. The time slot may no longer be available. Would you like to try a different time?',
+  'voice.bookedPendingEmail': 'Perfect! I have booked your {type} for {time} on {date}. You will receive a WhatsApp message with a link to confirm your email address{#video} and get your Zoom meeting link{/video}. Is there anything else I can help you with?',
+  'voice.booked': 'Perfect! I have booked your {type} for {time} on {date}. You will receive email and WhatsApp confirmations shortly. Is there anything else I can help you with?',
+  'voice.bookingError': 'I apologize, but I encountered an error while booking your appointment. Please try again.',
+  'voice.phoneNeededForLookup': 'I cannot see your phone number on this call. Could you tell me the number you used when you booked?',
+  'voice.noAppointmentsForNumber': 'I cannot find any upcoming appointments for the number ending {lastDigits}. Did you book with a different phone number?',
+  'voice.appointmentsFound': '{appointments} What would you like to do?',
+  'voice.lookupError': 'I apologize, but I am having trouble looking up your appointments right now.',
+  'voice.cancelled': 'I have cancelled {appointment}. You will receive a confirmation email shortly. Is there anything else I can help you with?',
+  'voice.cancelFailed': 'I apologize, but I was unable to cancel that appointment. Could you provide your booking confirmation number?',
+  'voice.cancelError': 'I apologize, but I encountered an error while cancelling your appointment.',
+  'voice.rescheduled': 'Perfect! I have rescheduled your {type} to {newTime}. You will receive an updated confirmation email. Is there anything else I can help you with?',
+  'voice.rescheduleFailed': 'I apologize, but I was unable to reschedule that appointment. The new time may not be available.',
+  'voice.rescheduleError': 'I apologize, but I encountered an error while rescheduling your appointment.',
+  'voice.unknownFunction': 'I apologize, but I am not able to perform that action right now.',
+  'voice.unexpectedError': 'I apologize, but I encountered an unexpected error. Please try again.',
+  'voice.toolTimeout': 'I am sorry, that is taking longer than it should. Give me a moment and I will try again.',
+  'voice.waitlistJoined': "I've put you on the waitlist for {typeWithArticle}{preferences} {#oneDay}on {from}{/oneDay}{^oneDay}between {from} and {to}{/oneDay}. If a time comes free we'll send you a WhatsApp message, and we'll hold it for you for {minutes} minutes while you reply. Is there anything else I can help you with?",
+  'voice.waitlistClosed': "I'm sorry, we don't keep a waitlist at the moment. Would you like me to look at other days instead?",
+  'voice.transferring': 'Of course. I will put you through to a member of the {practice} team now, please hold.',
+
+  // WhatsApp
+  'whatsapp.bookedPendingEmail': 'Hi {name}! Your {type} is confirmed for {date} at {time}.\n\nPlease click this link to confirm your name and email address:\n{confirmLink}{calendarLinks}\n\nReply C to confirm, CANCEL to cancel, or MOVE with a new day and time.\n\nThank you! - {practice}',
+  'whatsapp.booked': 'Hi {name}! Your {type} is confirmed for {date} at {time}.\n\nYou will receive {#video}a calendar invite and Zoom link{/video}{^video}a calendar invite{/video} at {email}.{calendarLinks}\n\nReply C to confirm, CANCEL to cancel, or MOVE with a new day and time.\n\nThank you! - {practice}',
+  'whatsapp.reminder': 'Hi{#name} {name}{/name}! Just a reminder that your {type} is {when} at {time}.\n\nReply C to confirm, CANCEL to cancel, or MOVE with a new day and time.\n\nThank you! - {practice}',
+  'whatsapp.calendarLinks': '\n\nAdd it to your calendar:\nGoogle: {googleLink}\nOutlook: {outlookLink}',
+  'whatsapp.replyHelp': 'Reply C to confirm your appointment, CANCEL to cancel it, or MOVE followed by a new day and time (for example "MOVE to Friday 3pm").',
+  'whatsapp.replyNoBooking': "We couldn't find an upcoming appointment for this number. Please give us a call if you need any help. - {practice}",
+  'whatsapp.replyOthers': ' (This was about your next appointment. To change your other {#several}appointments{/several}{^several}appointment{/several}, please give us a call.)',
+  'whatsapp.replyConfirmed': 'Thank you! Your {type} on {date} at {time} is confirmed. See you then!{others}',
+  'whatsapp.replyCancelled': "Your {type} on {date} at {time} has been cancelled. Give us a call whenever you'd like to book again.{others}",
+  'whatsapp.replyCancelFailed': "Sorry, we couldn't cancel your {type} on {date} at {time} just now. Please give us a call and we'll sort it out.",
+  'whatsapp.replyAskNewTime': 'What day and time would you like instead? For example "MOVE to Friday 3pm".',
+  'whatsapp.replyMoved': 'Done! Your {type} on {date} at {time} has been moved to {newTime} on {newDate}.{others}{calendarLinks}',
+  'whatsapp.replyMoveFailed': "Sorry, we couldn't move your {type} to {newTime} on {newDate} - that time may not be available. Reply MOVE with another day and time, or give us a call.",
+  'whatsapp.confirmLinkResent': 'Hi{#name} {name}{/name}, here is a new link to confirm your name and email address for your {type} on {date} at {time}:\n{confirmLink}\n\nThank you! - {practice}',
+  'whatsapp.bookingCancelled': "Hi{#name} {name}{/name}, your {type} on {date} at {time} has been cancelled. Please give us a call if you'd like to book another time. - {practice}",
+  'whatsapp.bookingMoved': 'Hi{#name} {name}{/name}, your {type} on {date} at {time} has been moved to {newTime} on {newDate}.\n\nReply C to confirm, CANCEL to cancel, or MOVE with a new day and time.{calendarLinks}\n\nThank you! - {practice}',
+  'whatsapp.correctionNewReference': 'Thanks for confirming your details{#name}, {name}{/name}! Your {type} on {date} at {time} has a new booking reference: {reference}. Please quote it if you contact us about this appointment. - {practice}',
+  'whatsapp.correctionFailed': "We're sorry{#name}, {name}{/name} - while updating your details we lost your {type} slot on {date} at {time}. Please give us a call and we'll find you a new time. - {practice}",
+  'whatsapp.waitlistOffer': 'Hi{#name} {name}{/name}, good news - {typeWithArticle} has come free on {date} at {time}. We are holding it for you for {minutes} minutes.\n\nReply YES to book it or NO to pass it on.\n\nThank you! - {practice}',
+  'whatsapp.waitlistClaimed': "Great, the {type} on {date} at {time} is yours! Your booking confirmation is on its way.",
+  'whatsapp.waitlistClaimFailed': "Sorry, we couldn't book the {type} on {date} at {time} - it may just have been taken. You're still on our waitlist and we'll message you if another time comes free.",
+  'whatsapp.waitlistDeclined': "No problem, we've passed it on. You're still on our waitlist and we'll message you if another time comes free.",
+  'whatsapp.waitlistOfferGone': "Sorry, the {type} on {date} at {time} is no longer being held for you. You're still on our waitlist and we'll message you if another time comes free.",
+  'whatsapp.replyError': 'Sorry, something went wrong on our side. Please give us a call. - {practice}',
+
+  // Email
+  'email.confirmation.subject': 'Appointment Confirmed - {date}',
+  'email.confirmation.html': '<h2>Your Appointment is Confirmed!</h2>' +
+    '<p>Hi {name},</p>' +
+    '<p>Thank you for confirming your details. Your appointment is scheduled for:</p>' +
+    '<ul><li><strong>Date:</strong> {date}</li><li><strong>Time:</strong> {time}</li>' +
+    '{#meetingLink}<li><strong>Meeting Link:</strong> <a href="{meetingLink}">Join Meeting</a></li>{/meetingLink}</ul>' +
+    '<p>Open the attached invitation to add it to your calendar.</p>' +
+    '<p>If you need to cancel or reschedule, please call us.</p>' +
+    '<p>Thank you!</p>',
+  'email.updated.subject': 'Appointment Changed - {date}',
+  'email.updated.html': '<h2>Your Appointment Has Changed</h2>' +
+    '<p>Hi{#name} {name}{/name},</p>' +
+    '<p>Your {type} is now scheduled for:</p>' +
+    '<ul><li><strong>Date:</strong> {date}</li><li><strong>Time:</strong> {time}</li>' +
+    '{#meetingLink}<li><strong>Meeting Link:</strong> <a href="{meetingLink}">Join Meeting</a></li>{/meetingLink}</ul>' +
+    '<p>Open the attached invitation to update your calendar.</p>' +
+    '<p>Thank you!<br>{practice}</p>',
+  'email.cancelled.subject': 'Appointment Cancelled - {date}',
+  'email.cancelled.html': '<h2>Your Appointment Has Been Cancelled</h2>' +
+    '<p>Hi{#name} {name}{/name},</p>' +
+    '<p>Your {type} on {date} at {time} has been cancelled. Open the attached file to remove it from your calendar.</p>' +
+    '<p>Give us a call whenever you would like to book again.</p>' +
+    '<p>Thank you!<br>{practice}</p>',
+  'email.reminder.subject': 'Reminder: your {type} on {date}',
+  'email.reminder.html': '<h2>Appointment Reminder</h2>' +
+    '<p>Hi{#name} {name}{/name},</p>' +
+    '<p>Just a reminder that your {type} is {when} at <strong>{time}</strong>.</p>' +
+    '<p>If you need to cancel or reschedule, please give us a call.</p>' +
+    '<p>Thank you!<br>{practice}</p>',
+
+  // confirm-email.html
+  'web.linkInvalid': 'This link is not valid. Please contact us to confirm your details.',
+  'web.linkExpired': 'This link has expired. Please contact us to confirm your details.',
+  'web.linkUsed': 'These details have already been confirmed using this link.',
+  'web.missingFields': 'Confirmation link and email are required',
+  'web.serverError': 'Server error. Please try again.',
+  'web.bookingUnverifiable': 'Unable to verify booking. The link may be invalid or expired.',
+  'web.bookingNotFound': 'Booking not found. The link may be invalid or expired.',
+  'web.confirmedRebooked': 'Email confirmed successfully! Your booking reference is now {reference}. You will receive a confirmation email from Cal.com with your meeting link shortly.',
+  'web.confirmedRolledBack': 'Your details are saved and your appointment on {date} at {time} is unchanged. Its booking reference is now {reference}. You will receive a confirmation email from us shortly.',
+  'web.correctionFailed': "We're sorry - something went wrong while updating your booking and your appointment on {date} at {time} could not be kept. Please call us and we'll find you a new time.",
+  'web.confirmed': 'Email confirmed successfully! You will receive a confirmation email shortly.'
+};
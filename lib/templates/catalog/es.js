@@ -0,0 +1,118 @@
+/**
+ * Spanish templates
+ * Covers what the customer reads (WhatsApp, email, confirm page) and the
+ * date/time parsing and booking rule errors they can hit by WhatsApp.
+ * Anything missing falls back to the tenant's default language, then
+ * English. Voice prompts have
+ * no Spanish versions: the assistant's own phrasing of dates, options and
+ * bookings is English, so tenants override voice.* per language themselves.
+ */
+
+module.exports = {
+  'common.yourAppointment': 'su cita',
+  'common.timeOnDate': 'el {date} a las {time}',
+  'common.today': 'hoy',
+  'common.tomorrow': 'mañana',
+  'common.onDate': 'el {date}',
+
+  // Calendar invites (.ics) and add-to-calendar links
+  'calendar.summary': '{type} con {practice}',
+  'calendar.description': '{#meetingLink}Enlace de la reunión: {meetingLink}\n\n{/meetingLink}Para cancelar o cambiar esta cita, responda a nuestro mensaje de WhatsApp o llámenos.\n\n{practice}',
+
+  // WhatsApp
+  'whatsapp.bookedPendingEmail': '¡Hola {name}! Su {type} está confirmada para el {date} a las {time}.\n\nPulse este enlace para confirmar su nombre y correo electrónico:\n{confirmLink}{calendarLinks}\n\nResponda C para confirmar, CANCEL para cancelar o MOVE con un nuevo día y hora.\n\n¡Gracias! - {practice}',
+  'whatsapp.booked': '¡Hola {name}! Su {type} está confirmada para el {date} a las {time}.\n\nRecibirá {#video}una invitación de calendario y un enlace de Zoom{/video}{^video}una invitación de calendario{/video} en {email}.{calendarLinks}\n\nResponda C para confirmar, CANCEL para cancelar o MOVE con un nuevo día y hora.\n\n¡Gracias! - {practice}',
+  'whatsapp.reminder': '¡Hola{#name} {name}{/name}! Le recordamos su {type} {when} a las {time}.\n\nResponda C para confirmar, CANCEL para cancelar o MOVE con un nuevo día y hora.\n\n¡Gracias! - {practice}',
+  'whatsapp.calendarLinks': '\n\nAñádala a su calendario:\nGoogle: {googleLink}\nOutlook: {outlookLink}',
+  'whatsapp.replyHelp': 'Responda C para confirmar su cita, CANCEL para cancelarla o MOVE seguido de un nuevo día y hora (por ejemplo "MOVE to Friday 3pm").',
+  'whatsapp.replyNoBooking': 'No hemos encontrado ninguna cita próxima para este número. Llámenos si necesita ayuda. - {practice}',
+  'whatsapp.replyOthers': ' (Esto se refiere a su próxima cita. Para cambiar {#several}sus otras citas{/several}{^several}su otra cita{/several}, llámenos.)',
+  'whatsapp.replyConfirmed': '¡Gracias! Su {type} del {date} a las {time} está confirmada. ¡Hasta pronto!{others}',
+  'whatsapp.replyCancelled': 'Su {type} del {date} a las {time} ha sido cancelada. Llámenos cuando quiera reservar de nuevo.{others}',
+  'whatsapp.replyCancelFailed': 'Lo sentimos, no hemos podido cancelar su {type} del {date} a las {time}. Llámenos y lo solucionaremos.',
+  'whatsapp.replyAskNewTime': '¿Qué día y hora prefiere? Por ejemplo "MOVE to Friday 3pm".',
+  'whatsapp.replyMoved': '¡Hecho! Su {type} del {date} a las {time} se ha cambiado al {newDate} a las {newTime}.{others}{calendarLinks}',
+  'whatsapp.replyMoveFailed': 'Lo sentimos, no hemos podido cambiar su {type} al {newDate} a las {newTime}; puede que esa hora no esté disponible. Responda MOVE con otro día y hora, o llámenos.',
+  'whatsapp.confirmLinkResent': 'Hola{#name} {name}{/name}: aquí tiene un nuevo enlace para confirmar su nombre y correo electrónico para su {type} del {date} a las {time}:\n{confirmLink}\n\n¡Gracias! - {practice}',
+  'whatsapp.bookingCancelled': 'Hola{#name} {name}{/name}: su {type} del {date} a las {time} ha sido cancelada. Llámenos si quiere reservar otra hora. - {practice}',
+  'whatsapp.bookingMoved': 'Hola{#name} {name}{/name}: su {type} del {date} a las {time} se ha cambiado al {newDate} a las {newTime}.\n\nResponda C para confirmar, CANCEL para cancelar o MOVE con un nuevo día y hora.{calendarLinks}\n\n¡Gracias! - {practice}',
+  'whatsapp.correctionNewReference': '¡Gracias por confirmar sus datos{#name}, {name}{/name}! Su {type} del {date} a las {time} tiene una nueva referencia de reserva: {reference}. Indíquela si se pone en contacto con nosotros por esta cita. - {practice}',
+  'whatsapp.correctionFailed': 'Lo sentimos{#name}, {name}{/name}: al actualizar sus datos hemos perdido su hora para {type} del {date} a las {time}. Llámenos y le buscaremos una nueva hora. - {practice}',
+  'whatsapp.waitlistOffer': 'Hola{#name} {name}{/name}: ¡buenas noticias! Ha quedado libre una hora para {type} el {date} a las {time}. Se la reservamos durante {minutes} minutos.\n\nResponda YES para reservarla o NO para cederla.\n\n¡Gracias! - {practice}',
+  'whatsapp.waitlistClaimed': '¡Perfecto! La hora para {type} del {date} a las {time} es suya. En breve recibirá la confirmación de la reserva.',
+  'whatsapp.waitlistClaimFailed': 'Lo sentimos, no hemos podido reservar la hora para {type} del {date} a las {time}; puede que alguien acabe de ocuparla. Sigue en nuestra lista de espera y le escribiremos si queda libre otra hora.',
+  'whatsapp.waitlistDeclined': 'De acuerdo, la cedemos. Sigue en nuestra lista de espera y le escribiremos si queda libre otra hora.',
+  'whatsapp.waitlistOfferGone': 'Lo sentimos, ya no le estamos reservando la hora para {type} del {date} a las {time}. Sigue en nuestra lista de espera y le escribiremos si queda libre otra hora.',
+  'whatsapp.replyError': 'Lo sentimos, algo ha fallado. Por favor, llámenos. - {practice}',
+
+  // Email
+  'email.confirmation.subject': 'Cita confirmada - {date}',
+  'email.confirmation.html': '<h2>¡Su cita está confirmada!</h2>' +
+    '<p>Hola {name}:</p>' +
+    '<p>Gracias por confirmar sus datos. Su cita es:</p>' +
+    '<ul><li><strong>Fecha:</strong> {date}</li><li><strong>Hora:</strong> {time}</li>' +
+    '{#meetingLink}<li><strong>Enlace de la reunión:</strong> <a href="{meetingLink}">Unirse</a></li>{/meetingLink}</ul>' +
+    '<p>Abra la invitación adjunta para añadirla a su calendario.</p>' +
+    '<p>Si necesita cancelar o cambiar la cita, llámenos.</p>' +
+    '<p>¡Gracias!</p>',
+  'email.updated.subject': 'Cita modificada - {date}',
+  'email.updated.html': '<h2>Su cita ha cambiado</h2>' +
+    '<p>Hola{#name} {name}{/name}:</p>' +
+    '<p>Su {type} es ahora:</p>' +
+    '<ul><li><strong>Fecha:</strong> {date}</li><li><strong>Hora:</strong> {time}</li>' +
+    '{#meetingLink}<li><strong>Enlace de la reunión:</strong> <a href="{meetingLink}">Unirse</a></li>{/meetingLink}</ul>' +
+    '<p>Abra la invitación adjunta para actualizar su calendario.</p>' +
+    '<p>¡Gracias!<br>{practice}</p>',
+  'email.cancelled.subject': 'Cita cancelada - {date}',
+  'email.cancelled.html': '<h2>Su cita ha sido cancelada</h2>' +
+    '<p>Hola{#name} {name}{/name}:</p>' +
+    '<p>Su {type} del {date} a las {time} ha sido cancelada. Abra el archivo adjunto para quitarla de su calendario.</p>' +
+    '<p>Llámenos cuando quiera reservar de nuevo.</p>' +
+    '<p>¡Gracias!<br>{practice}</p>',
+  'email.reminder.subject': 'Recordatorio: su {type} del {date}',
+  'email.reminder.html': '<h2>Recordatorio de cita</h2>' +
+    '<p>Hola{#name} {name}{/name}:</p>' +
+    '<p>Le recordamos su {type} {when} a las <strong>{time}</strong>.</p>' +
+    '<p>Si necesita cancelar o cambiar la cita, llámenos.</p>' +
+    '<p>¡Gracias!<br>{practice}</p>',
+
+  // confirm-email.html
+  'web.linkInvalid': 'Este enlace no es válido. Póngase en contacto con nosotros para confirmar sus datos.',
+  'web.linkExpired': 'Este enlace ha caducado. Póngase en contacto con nosotros para confirmar sus datos.',
+  'web.linkUsed': 'Estos datos ya se han confirmado con este enlace.',
+  'web.missingFields': 'Se necesitan el enlace de confirmación y el correo electrónico',
+  'web.serverError': 'Error del servidor. Inténtelo de nuevo.',
+  'web.bookingUnverifiable': 'No se ha podido verificar la cita. Puede que el enlace no sea válido o haya caducado.',
+  'web.bookingNotFound': 'No se ha encontrado la cita. Puede que el enlace no sea válido o haya caducado.',
+  'web.confirmedRebooked': '¡Correo confirmado! Su referencia de reserva es ahora {reference}. En breve recibirá un correo de confirmación de Cal.com con el enlace de la reunión.',
+  'web.confirmedRolledBack': 'Sus datos se han guardado y su cita del {date} a las {time} sigue igual. Su referencia de reserva es ahora {reference}. En breve recibirá un correo de confirmación nuestro.',
+  'web.correctionFailed': 'Lo sentimos: algo ha fallado al actualizar su reserva y no hemos podido mantener su cita del {date} a las {time}. Llámenos y le buscaremos una nueva hora.',
+  'web.confirmed': '¡Correo confirmado! En breve recibirá un correo de confirmación.',
+
+  // Parsing errors (English versions come from lib/datetime.js)
+  'errors.invalid_date': 'Lo sentimos, no hemos entendido la fecha. Indíquela de nuevo, por ejemplo "next Tuesday".',
+  'errors.invalid_time': 'Lo sentimos, no hemos entendido la hora. Indíquela de nuevo, por ejemplo "3pm".',
+  'errors.time_in_past': 'Esa hora ya ha pasado. Elija otra hora u otro día.',
+
+  // Tool arguments (English versions come from lib/tools/schemas.js)
+  'errors.invalid_arguments': 'Lo siento, algo ha fallado por mi parte. ¿Podría repetírmelo?',
+  'errors.missing_argument': 'Para continuar necesito un dato más. ¿Podría indicármelo?',
+  'errors.invalid_argument': '{#email}Lo siento, esa dirección de correo no parece correcta. ¿Podría deletreármela?{/email}{#phone}Lo siento, no he entendido ese número de teléfono. ¿Podría repetirlo dígito a dígito?{/phone}{#other}Lo siento, no lo he entendido bien. ¿Podría repetirlo?{/other}',
+
+  // A repeated request while the first is still running (English version comes from lib/idempotency.js)
+  'errors.duplicate_in_progress': 'Sigo con ello. ¿Me concede un momento?',
+
+  // Tool call guards (English versions come from lib/tools/middleware.js and webhook-server.js)
+  'errors.booking_not_found': 'No encuentro esa cita. ¿Podría indicarme la fecha y la hora de la cita?',
+  'errors.rate_limited': 'Lo siento, no puedo hacer más cambios en esta llamada. El equipo de la clínica le ayudará con mucho gusto si necesita algo más.',
+
+  // Booking rules (English versions come from lib/booking-rules.js)
+  'errors.too_soon': 'Esa hora es demasiado pronto para reservar. Elija una hora más tarde.',
+  'errors.too_far_ahead': 'Solo podemos reservar con un máximo de {days} días de antelación. Elija una fecha más próxima.',
+  'errors.practice_closed': 'La clínica está cerrada el {date}{#name} ({name}){/name}. Elija otro día.',
+  'errors.closed_on_day': 'La clínica no abre ese día ({day}). Elija otro día.',
+  'errors.outside_opening_hours': 'Esa hora está fuera de nuestro horario. El {day} abrimos de {opens} a {closes}. Elija una hora dentro de ese horario.',
+  'errors.blocked_number': 'Lo sentimos, no podemos gestionar citas para este número. Póngase en contacto directamente con la clínica.',
+  'errors.change_too_late': 'Lo sentimos, ya no es posible {#cancel}cancelar{/cancel}{^cancel}cambiar{/cancel} una cita tan cerca de su hora de inicio. Póngase en contacto directamente con la clínica.',
+  'errors.too_many_bookings': 'Ya tiene {count} citas próximas con nosotros, que es el máximo que podemos reservar para un mismo número. ¿Desea cambiar una de ellas?'
+};
@@ -0,0 +1,69 @@
+/**
+ * Template rendering
+ *   {name}                   value (HTML-escaped when rendering HTML)
+ *   {#video}...{/video}      only when `video` is truthy
+ *   {^video}...{/video}      only when `video` is falsy
+ * Placeholders with no value at all are left in place so typos show up in
+ * previews; values explicitly set to null render as nothing.
+ */
+
+const SECTION_PATTERN = /\{([#^])(\w+)\}([\s\S]*?)\{\/\2\}/g;
+const VARIABLE_PATTERN = /\{(\w+)\}/g;
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : !!value;
+}
+
+function render(template, values = {}, { html = false } = {}) {
+  let text = String(template ?? '');
+
+  // Sections first (repeated so nested sections resolve), then variables
+  let previous;
+  do {
+    previous = text;
+    text = text.replace(SECTION_PATTERN, (match, kind, key, inner) =>
+      isTruthy(values[key]) === (kind === '#') ? inner : ''
+    );
+  } while (text !== previous);
+
+  return text.replace(VARIABLE_PATTERN, (placeholder, key) => {
+    if (!(key in values)) {
+      return placeholder;
+    }
+    const value = values[key] ?? '';
+    return html ? escapeHtml(value) : String(value);
+  });
+}
+
+// Plain-text fallback for an HTML email
+function htmlToText(html) {
+  return String(html)
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => `${label} (${href})`)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '- ')
+    .replace(/<\/(p|h[1-6]|ul|ol|div)>/gi, '\n\n')
+    .replace(/<\/li>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .split('\n')
+    .map(line => line.trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+module.exports = { render, htmlToText, escapeHtml };
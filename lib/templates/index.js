@@ -0,0 +1,170 @@
+/**
+ * Message templates
+ * Every customer- and caller-facing string comes from here. Built-in
+ * catalogs live in ./catalog/<language>.js; tenants override any key per
+ * language in config:
+ *   "language": "en",
+ *   "templates": { "en": { "whatsapp.reminder": "..." }, "es": { ... } }
+ *
+ * Lookup order for a key: tenant override in the requested language,
+ * built-in catalog in that language, then the same two for the tenant's
+ * default language, then English.
+ */
+
+const { render, htmlToText } = require('./engine');
+const { formatDate, formatTime } = require('../datetime');
+
+const CATALOGS = {
+  en: require('./catalog/en'),
+  es: require('./catalog/es')
+};
+
+// Values used by the preview endpoint; {date}, {time}, {when}, {newDate} and
+// {newTime} are formatted in the previewed language from these instants
+const SAMPLE_START = '2026-10-28T14:00:00Z';
+const SAMPLE_NEW_START = '2026-10-30T09:00:00Z';
+const SAMPLE_VALUES = {
+  name: 'Alex Smith',
+  type: 'Check-up',
+  typeWithArticle: 'a Check-up',
+  types: 'a Check-up (30 minutes) or a Hygienist (45 minutes)',
+  from: 'Monday 26 October',
+  to: 'Friday 30 October',
+  times: '9:00 AM, 1:30 PM, 4:00 PM',
+  options: 'on Tuesday 27 October I have 9:00 AM or 1:30 PM; and on Thursday 29 October I have 10:00 AM',
+  preferences: ' in the morning',
+  appointment: 'your Check-up on Wednesday 28 October at 2:00 PM',
+  appointments: 'You have one upcoming appointment: your Check-up on Wednesday 28 October at 2:00 PM.',
+  action: 'cancel your Check-up on Wednesday 28 October at 2:00 PM',
+  lastDigits: '0123',
+  email: 'alex@example.com',
+  confirmLink: 'https://example.com/confirm-email.html?token=sample',
+  reference: 'bk_3f9a2c71',
+  meetingLink: 'https://zoom.us/j/123456789',
+  googleLink: 'https://calendar.google.com/calendar/render?action=TEMPLATE&text=Check-up',
+  outlookLink: 'https://outlook.live.com/calendar/0/deeplink/compose?subject=Check-up',
+  calendarLinks: '',
+  video: true,
+  several: false,
+  oneDay: false,
+  minutes: 15,
+  others: '',
+  practice: 'AI Front Desk'
+};
+
+// "es-ES" / "ES" / "es_MX" -> "es"
+function normaliseLanguage(value) {
+  const match = /^([a-z]{2,3})(?:[-_].*)?$/i.exec(String(value || '').trim());
+  return match ? match[1].toLowerCase() : null;
+}
+
+function createTemplates({ catalogs = CATALOGS } = {}) {
+  function layers(tenant, language) {
+    const wanted = normaliseLanguage(language) || tenant.language;
+    return [...new Set([wanted, tenant.language, 'en'])].flatMap(lang => [
+      tenant.templates?.[lang],
+      catalogs[lang]
+    ]);
+  }
+
+  // Raw template text; throws for keys nobody defines (a typo in code)
+  function lookup(key, { tenant, language }) {
+    for (const layer of layers(tenant, language)) {
+      if (layer && typeof layer[key] === 'string') {
+        return layer[key];
+      }
+    }
+    throw new Error(`Unknown template: ${key}`);
+  }
+
+  function has(key, { tenant, language }) {
+    return layers(tenant, language).some(layer => layer && typeof layer[key] === 'string');
+  }
+
+  // Only the requested language counts, no fallbacks
+  function hasExact(key, { tenant, language }) {
+    const lang = normaliseLanguage(language) || tenant.language;
+    return typeof tenant.templates?.[lang]?.[key] === 'string' || typeof catalogs[lang]?.[key] === 'string';
+  }
+
+  function text(key, values, options) {
+    return render(lookup(key, options), values);
+  }
+
+  // Returns { subject, html, text }
+  function email(key, values, options) {
+    const html = render(lookup(`${key}.html`, options), values, { html: true });
+    return {
+      subject: render(lookup(`${key}.subject`, options), values),
+      html,
+      text: has(`${key}.text`, options) ? render(lookup(`${key}.text`, options), values) : htmlToText(html)
+    };
+  }
+
+  // Use a translated version of a library error message when one exists,
+  // otherwise keep the (English) message the library produced
+  function localiseError(result, options) {
+    const key = `errors.${result.error}`;
+    if (result.error && hasExact(key, options)) {
+      return text(key, result.values || {}, options);
+    }
+    return result.message;
+  }
+
+  // First supported language from the candidates, else the tenant default
+  function pickLanguage(tenant, ...candidates) {
+    const supported = languages(tenant);
+    for (const candidate of candidates) {
+      const lang = normaliseLanguage(candidate);
+      if (lang && supported.includes(lang)) {
+        return lang;
+      }
+    }
+    return tenant.language;
+  }
+
+  function languages(tenant) {
+    return [...new Set([...Object.keys(catalogs), ...Object.keys(tenant.templates || {})])];
+  }
+
+  // Every key a tenant can override, with the languages it exists in
+  function list(tenant) {
+    const keys = new Set();
+    for (const lang of languages(tenant)) {
+      Object.keys(catalogs[lang] || {}).forEach(key => keys.add(key));
+      Object.keys(tenant.templates?.[lang] || {}).forEach(key => keys.add(key));
+    }
+    return [...keys].sort().map(key => ({
+      key,
+      languages: languages(tenant).filter(lang => typeof catalogs[lang]?.[key] === 'string' || typeof tenant.templates?.[lang]?.[key] === 'string'),
+      overriddenIn: Object.keys(tenant.templates || {}).filter(lang => typeof tenant.templates[lang]?.[key] === 'string')
+    }));
+  }
+
+  // Render a key (or an unsaved draft) with sample values
+  function preview({ tenant, language, key, template, values = {} }) {
+    const options = { tenant, language: pickLanguage(tenant, language) };
+    const merged = {
+      ...SAMPLE_VALUES,
+      date: formatDate(SAMPLE_START, 'UTC', options.language),
+      time: formatTime(SAMPLE_START, 'UTC', options.language),
+      when: text('common.tomorrow', {}, options),
+      newDate: formatDate(SAMPLE_NEW_START, 'UTC', options.language),
+      newTime: formatTime(SAMPLE_NEW_START, 'UTC', options.language),
+      practice: tenant.sender.name,
+      ...values
+    };
+
+    if (template !== undefined) {
+      return { text: render(template, merged), html: render(template, merged, { html: true }) };
+    }
+    if (!has(key, options) && has(`${key}.html`, options)) {
+      return email(key, merged, options);
+    }
+    return { text: text(key, merged, options) };
+  }
+
+  return { text, email, has, localiseError, pickLanguage, languages, list, preview };
+}
+
+module.exports = { createTemplates, normaliseLanguage, SAMPLE_VALUES };
@@ -0,0 +1,295 @@
+/**
+ * Tenant configuration
+ * One deployment serves several practices. Each tenant has its own Cal.com
+ * account and event type, timezone, sender identity and public base URL, and
+ * is matched to incoming Vapi messages by assistant ID or phone number ID.
+ *
+ * Appointment types (see lib/appointment-types.js), reminder schedules (see
+ * lib/reminders.js), message templates (see lib/templates) and notification
+ * fallbacks (see lib/notifications) are set per tenant, as are booking rules
+ * (see lib/booking-rules.js), the waitlist (see lib/waitlist.js), extra tools
+ * (see lib/tools) and debug logging (see lib/logger.js).
+ *
+ * Tenants are loaded from TENANTS_CONFIG (a JSON file holding an array, or a
+ * directory of one JSON file per tenant). Every tenant is merged over the
+ * built-in default below, so a tenant file only lists what differs.
+ * String values of the form "env:NAME" are read from process.env so secrets
+ * stay out of the config files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isValidTimeZone } = require('./datetime');
+const { parseOffset } = require('./reminders');
+const { validateRules } = require('./booking-rules');
+const { CHANNELS, PHONE_CHANNELS, SINKS } = require('./notifications');
+const { getAssistantId, getPhoneNumberId } = require('./vapi-auth');
+
+const DEFAULT_CONFIG_PATH = './config/tenants.json';
+
+// The original single-practice setup, still used when no tenant matches
+function defaultTenant() {
+  return {
+    id: 'default',
+    name: 'AI Front Desk',
+    default: true,
+    assistantIds: [],
+    phoneNumberIds: [],
+    timeZone: 'Europe/London',
+    defaultCountryCode: '44',
+    language: 'en',
+    templates: {},
+    placeholderEmailDomain: 'scteeth.temp',
+    publicBaseUrl: process.env.PUBLIC_BASE_URL || 'https://vapiwebhook.onrender.com',
+    cal: {
+      apiKey: process.env.CAL_API_KEY || process.env.EXPO_PUBLIC_CAL_API_KEY,
+      apiVersion: process.env.CAL_API_VERSION || 'v1',
+      apiBaseUrl: process.env.CAL_API_BASE_URL || null, // null = the version's public API
+      timeoutMs: Number(process.env.CAL_TIMEOUT_MS) || 8000,
+      retries: 2,
+      username: 'sonic-iq-6ttuqv',
+      eventTypeId: Number(process.env.CAL_EVENT_TYPE_ID) || 3917527, // 30 Min Meeting
+      eventTypeSlug: '30min',
+      webhookSecret: process.env.CAL_WEBHOOK_SECRET || null // secret on the Cal.com webhook pointed at /cal/webhook
+    },
+    sender: {
+      name: 'AI Front Desk',
+      emailFrom: 'AI Receptionist <onboarding@resend.dev>',
+      address: null // location on calendar invites for in-person appointments
+    },
+    twilio: {
+      accountSid: process.env.TWILIO_ACCOUNT_SID,
+      authToken: process.env.TWILIO_AUTH_TOKEN,
+      phoneNumber: process.env.TWILIO_PHONE_NUMBER, // WhatsApp sender
+      smsNumber: process.env.TWILIO_SMS_NUMBER || null // null = phoneNumber
+    },
+    resend: {
+      apiKey: process.env.RESEND_API_KEY || process.env.EXPO_PUBLIC_RESEND_API_KEY,
+      webhookSecret: process.env.RESEND_WEBHOOK_SECRET || null
+    },
+    // assistantId / assistant answer assistant-request messages for the tenant's numbers
+    // (a saved assistant's ID, or an inline assistant config, which gets our tool
+    // definitions unless its model lists its own); transfer is where
+    // transfer-destination-request sends callers (an E.164 number or a SIP URI)
+    vapi: {
+      secret: null,
+      assistantId: null,
+      assistant: null,
+      transfer: {
+        number: null,
+        sipUri: null
+      }
+    },
+    // See lib/reminders.js; "before" accepts minutes, "30m", "2h" or "1d"
+    // The messages themselves are the whatsapp.reminder and email.reminder templates
+    reminders: {
+      enabled: true,
+      schedule: [
+        { before: '24h', channels: ['whatsapp', 'email'] },
+        { before: '2h', channels: ['whatsapp'] }
+      ]
+    },
+    // See lib/notifications; channels tried in order when one fails
+    // bookingChanges: how customers hear about cancellations and moves made in Cal.com itself
+    // ([] to stay quiet); "email" only goes out for bookings we sent our own calendar invite for
+    notifications: {
+      fallback: { whatsapp: ['sms'] },
+      sink: process.env.NOTIFICATIONS_SINK || null,
+      bookingChanges: ['whatsapp', 'email']
+    },
+    // See lib/booking-rules.js; every rule is off until set
+    rules: {
+      minNoticeMinutes: null,
+      maxDaysAhead: null,
+      holidays: [],
+      openingHours: null,
+      maxActiveBookingsPerPhone: null,
+      blockedNumbers: [],
+      cancellationCutoffHours: null
+    },
+    // See lib/waitlist.js; holdMinutes is how long a freed slot is kept for the caller it was offered to,
+    // maxDays how far ahead callers can ask to wait
+    waitlist: {
+      enabled: true,
+      holdMinutes: 15,
+      maxDays: 28
+    },
+    // See lib/tools; directory holds extra tool modules for this tenant only,
+    // disabled names shared tools this tenant's assistant can't call
+    tools: {
+      directory: null,
+      disabled: []
+    },
+    // See lib/logger.js; debug logs this tenant's requests in full (still redacted) whatever LOG_LEVEL says
+    logging: {
+      debug: false
+    }
+  };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Helper function to merge tenant overrides into the defaults
+function deepMerge(base, override) {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    result[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? deepMerge(base[key], value)
+      : value;
+  }
+  return result;
+}
+
+// Helper function to replace "env:NAME" strings with environment values
+function resolveEnv(value) {
+  if (typeof value === 'string' && value.startsWith('env:')) {
+    return process.env[value.slice(4)];
+  }
+  if (Array.isArray(value)) {
+    return value.map(resolveEnv);
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, resolveEnv(v)]));
+  }
+  return value;
+}
+
+function readTenantFiles(configPath) {
+  if (!fs.existsSync(configPath)) {
+    return [];
+  }
+
+  if (fs.statSync(configPath).isDirectory()) {
+    return fs.readdirSync(configPath)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .flatMap(file => [].concat(JSON.parse(fs.readFileSync(path.join(configPath, file), 'utf8'))));
+  }
+
+  return [].concat(JSON.parse(fs.readFileSync(configPath, 'utf8')));
+}
+
+function loadTenants(options = {}) {
+  const configPath = options.configPath || process.env.TENANTS_CONFIG || DEFAULT_CONFIG_PATH;
+  const base = defaultTenant();
+
+  const configured = (options.tenants || readTenantFiles(configPath))
+    .map(raw => ({ ...deepMerge(base, resolveEnv(raw)), id: raw.id, default: raw.default === true }));
+
+  for (const tenant of configured) {
+    if (!tenant.id) {
+      throw new Error(`Tenant config entries need an "id" (${configPath})`);
+    }
+    if (!Number.isFinite(Number(tenant.cal.eventTypeId))) {
+      throw new Error(`Tenant ${tenant.id} has no valid cal.eventTypeId`);
+    }
+    if (!isValidTimeZone(tenant.timeZone)) {
+      throw new Error(`Tenant ${tenant.id} has an unknown timeZone: ${tenant.timeZone}`);
+    }
+    if (!['v1', 'v2'].includes(tenant.cal.apiVersion)) {
+      throw new Error(`Tenant ${tenant.id} has an unknown cal.apiVersion: ${tenant.cal.apiVersion}`);
+    }
+    if (!/^[a-z]{2,3}$/.test(tenant.language)) {
+      throw new Error(`Tenant ${tenant.id} needs a two-letter language code, got: ${tenant.language}`);
+    }
+    for (const entry of tenant.reminders.schedule || []) {
+      parseOffset(entry.before);
+      const unknown = (entry.channels || []).filter(channel => !CHANNELS.includes(channel));
+      if (unknown.length > 0) {
+        throw new Error(`Tenant ${tenant.id} has unknown reminder channels: ${unknown.join(', ')}`);
+      }
+    }
+    // Fallbacks have to reach the same recipient, so only phone channels can stand in for each other
+    for (const [channel, fallbacks] of Object.entries(tenant.notifications.fallback || {})) {
+      const invalid = [channel, ...[].concat(fallbacks)].filter(name => !PHONE_CHANNELS.includes(name));
+      if (invalid.length > 0) {
+        throw new Error(`Tenant ${tenant.id} has notification fallbacks outside ${PHONE_CHANNELS.join('/')}: ${invalid.join(', ')}`);
+      }
+    }
+    const unknownChangeChannels = (tenant.notifications.bookingChanges || []).filter(channel => !CHANNELS.includes(channel));
+    if (unknownChangeChannels.length > 0) {
+      throw new Error(`Tenant ${tenant.id} has unknown notifications.bookingChanges channels: ${unknownChangeChannels.join(', ')}`);
+    }
+    if (tenant.vapi.assistant !== null && !isPlainObject(tenant.vapi.assistant)) {
+      throw new Error(`Tenant ${tenant.id} has a vapi.assistant that isn't an object`);
+    }
+    if (tenant.vapi.secret && tenant.assistantIds.length === 0 && tenant.phoneNumberIds.length === 0) {
+      throw new Error(`Tenant ${tenant.id} has a vapi.secret but no assistantIds or phoneNumberIds to use it for`);
+    }
+    if (tenant.vapi.transfer?.number && !/^\+[1-9]\d{6,14}$/.test(tenant.vapi.transfer.number)) {
+      throw new Error(`Tenant ${tenant.id} needs an E.164 vapi.transfer.number, got: ${tenant.vapi.transfer.number}`);
+    }
+    if (!Array.isArray(tenant.tools.disabled)) {
+      throw new Error(`Tenant ${tenant.id} needs tools.disabled to be a list of tool names`);
+    }
+    const rulesProblem = validateRules(tenant.rules);
+    if (rulesProblem) {
+      throw new Error(`Tenant ${tenant.id} has invalid rules: ${rulesProblem}`);
+    }
+    for (const key of ['holdMinutes', 'maxDays']) {
+      if (!Number.isInteger(tenant.waitlist[key]) || tenant.waitlist[key] < 1) {
+        throw new Error(`Tenant ${tenant.id} needs waitlist.${key} to be a whole number above 0, got: ${tenant.waitlist[key]}`);
+      }
+    }
+    if (typeof tenant.logging.debug !== 'boolean') {
+      throw new Error(`Tenant ${tenant.id} needs logging.debug to be true or false, got: ${tenant.logging.debug}`);
+    }
+    if (tenant.notifications.sink && !SINKS.includes(tenant.notifications.sink)) {
+      throw new Error(`Tenant ${tenant.id} has an unknown notifications.sink: ${tenant.notifications.sink}`);
+    }
+  }
+
+  const tenants = configured.length > 0 ? configured : [base];
+  const byId = new Map(tenants.map(tenant => [tenant.id, tenant]));
+  const fallback = tenants.find(tenant => tenant.default) || tenants[0];
+
+  if (byId.size !== tenants.length) {
+    throw new Error(`Duplicate tenant id in ${configPath}`);
+  }
+
+  // Find the tenant for a Vapi server message
+  function resolve(message) {
+    const assistantId = getAssistantId(message);
+    const phoneNumberId = getPhoneNumberId(message);
+
+    return tenants.find(t => assistantId && t.assistantIds.includes(assistantId)) ||
+      tenants.find(t => phoneNumberId && t.phoneNumberIds.includes(phoneNumberId)) ||
+      fallback;
+  }
+
+  // Find the tenant whose Twilio WhatsApp sender received an inbound message
+  // to: "whatsapp:+447700900000" as sent by Twilio
+  function resolveByWhatsAppNumber(to) {
+    const digits = String(to || '').replace(/\D/g, '');
+    return tenants.find(t => digits && String(t.twilio.phoneNumber || '').replace(/\D/g, '') === digits) || fallback;
+  }
+
+  function get(id) {
+    return (id && byId.get(id)) || fallback;
+  }
+
+  // Vapi secrets declared in tenant config, bound to the tenant's assistants and phone numbers
+  // (assistant-request messages only carry the phone number)
+  function vapiSecrets() {
+    return tenants
+      .filter(tenant => tenant.vapi?.secret)
+      .flatMap(tenant => [
+        ...tenant.assistantIds.map(assistantId => ({ tenantId: tenant.id, assistantId, phoneNumberId: null, secret: tenant.vapi.secret })),
+        ...tenant.phoneNumberIds.map(phoneNumberId => ({ tenantId: tenant.id, assistantId: null, phoneNumberId, secret: tenant.vapi.secret }))
+      ]);
+  }
+
+  return {
+    configPath,
+    list: () => tenants,
+    get,
+    resolve,
+    resolveByWhatsAppNumber,
+    fallback,
+    vapiSecrets
+  };
+}
+
+module.exports = { loadTenants };
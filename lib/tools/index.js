@@ -0,0 +1,268 @@
+/**
+ * Tool registry
+ * Every tool the assistant can call is registered here with its name,
+ * schema (see ./schemas.js), handler and optional middleware; the /webhook
+ * tool-calls handler just hands the toolCallList to run().
+ *
+ * A tool is an object:
+ *   { name, schema: { description, parameters }, handler: async (params, context) -> result,
+ *     concurrent, deadlineMs, middleware: [async (call, next) -> result] }
+ * concurrent: true marks a tool that only reads, so it can run alongside its
+ * neighbours in the same toolCallList; the others run one at a time, in order.
+ *
+ * Tools can also be modules in a directory (loadDirectory), each exporting a
+ * tool or a function (deps) -> tool. Tools registered for a tenant replace a
+ * shared tool of the same name for that tenant only, and a tenant can switch
+ * shared tools off with tools.disabled.
+ *
+ * Middleware is called as (call, next) where call is
+ * { name, toolCallId, args, params, context, tool, fail({ error, message }) }
+ * and returns the result, by calling next() or by answering itself (see
+ * ./middleware.js). Shared middleware (use) runs first, then argument
+ * validation, then the tool's own middleware, then the handler.
+ *
+ * Each tool call gets a deadline (deadlineMs, or the tool's own), cut short
+ * when the whole toolCallList has used up budgetMs, so a slow Cal.com request
+ * can't hold the answer past Vapi's timeout. Work that misses its deadline
+ * keeps running and is still recorded; the assistant is told it timed out.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../logger');
+const { validateArguments, toVapiTool } = require('./schemas');
+
+const DEFAULT_DEADLINE_MS = 10000;
+const DEFAULT_BUDGET_MS = 18000; // Vapi gives up on a tool call after 20s by default
+
+const TIMED_OUT = Symbol('timed out');
+
+// Helper function to check a tool before it is registered
+function checkTool(tool, source) {
+  if (!tool || typeof tool.name !== 'string' || !/^[A-Za-z][\w-]{0,63}$/.test(tool.name)) {
+    throw new Error(`Tool from ${source} needs a name (letters, digits, - and _)`);
+  }
+  if (typeof tool.handler !== 'function') {
+    throw new Error(`Tool ${tool.name} from ${source} needs a handler function`);
+  }
+  if (!tool.schema || typeof tool.schema.description !== 'string' || typeof tool.schema.parameters !== 'object') {
+    throw new Error(`Tool ${tool.name} from ${source} needs a schema with a description and parameters`);
+  }
+  if (tool.middleware !== undefined && !(Array.isArray(tool.middleware) && tool.middleware.every(fn => typeof fn === 'function'))) {
+    throw new Error(`Tool ${tool.name} from ${source} has middleware that isn't a list of functions`);
+  }
+}
+
+// Helper function to run a middleware chain ending in the handler
+function runChain(chain, call) {
+  const step = index => chain[index](call, () => step(index + 1));
+  return step(0);
+}
+
+// options: { deadlineMs, budgetMs, fail(call, { error, message }), onUnknown(call), onError(call, error), onTimeout(call) }
+// fail turns a refusal into a tool result; the others build the results for a tool we don't have,
+// a handler that threw and one that ran out of time
+function createToolRegistry(options = {}) {
+  const deadlineMs = options.deadlineMs || Number(process.env.TOOL_DEADLINE_MS) || DEFAULT_DEADLINE_MS;
+  const budgetMs = options.budgetMs || Number(process.env.TOOL_BUDGET_MS) || DEFAULT_BUDGET_MS;
+  const fail = options.fail || ((call, { error, message }) => ({ success: false, error, message }));
+  const onUnknown = options.onUnknown || (call => ({ success: false, error: `Unknown function: ${call.name}` }));
+  const onError = options.onError || ((call, error) => ({ success: false, error: error.message }));
+  const onTimeout = options.onTimeout || (() => ({ success: false, error: 'timeout' }));
+
+  const shared = new Map();
+  // tenantId -> Map(name -> tool)
+  const byTenant = new Map();
+  const middleware = [];
+
+  const stats = {
+    calls: 0,
+    rejected: 0,
+    failed: 0,
+    timedOut: 0,
+    unknown: 0
+  };
+
+  // tenantId: register for that tenant only
+  function register(tool, { tenantId = null, source = 'code' } = {}) {
+    checkTool(tool, source);
+    const tools = tenantId ? byTenant.get(tenantId) || new Map() : shared;
+    if (tools.has(tool.name)) {
+      throw new Error(`Tool ${tool.name} is registered twice${tenantId ? ` for tenant ${tenantId}` : ''}`);
+    }
+    tools.set(tool.name, tool);
+    if (tenantId) {
+      byTenant.set(tenantId, tools);
+    }
+    return tool;
+  }
+
+  // Register every .js module in a directory, in name order
+  // Modules export a tool, or a function (deps) -> tool
+  function loadDirectory(dir, deps = {}, { tenantId = null } = {}) {
+    const resolved = path.resolve(dir);
+    const files = fs.readdirSync(resolved).filter(file => file.endsWith('.js')).sort();
+    const loaded = [];
+    for (const file of files) {
+      const exported = require(path.join(resolved, file));
+      const tool = typeof exported === 'function' ? exported(deps) : exported;
+      loaded.push(register(tool, { tenantId, source: path.join(dir, file) }).name);
+    }
+    logger.info('Loaded tools', { dir, tenantId, tools: loaded });
+    return loaded;
+  }
+
+  // Shared middleware, run for every tool call before validation
+  function use(fn) {
+    middleware.push(fn);
+  }
+
+  function get(name, tenant) {
+    const own = byTenant.get(tenant?.id)?.get(name);
+    if (own) {
+      return own;
+    }
+    const disabled = tenant?.tools?.disabled || [];
+    return disabled.includes(name) ? null : shared.get(name) || null;
+  }
+
+  // The tools a tenant's assistant can call
+  function list(tenant) {
+    const names = new Set([...shared.keys(), ...(byTenant.get(tenant?.id)?.keys() || [])]);
+    return [...names].map(name => get(name, tenant)).filter(Boolean);
+  }
+
+  // Vapi tool definitions for a tenant's assistant (model.tools)
+  function definitions(tenant, { serverUrl = null } = {}) {
+    return list(tenant).map(tool => toVapiTool(tool.name, tool.schema, { tenant, serverUrl }));
+  }
+
+  // Validation sits between the shared middleware and the tool's own
+  async function validate(call, next) {
+    const validation = validateArguments(call.tool.schema, call.args);
+    if (!validation.ok) {
+      stats.rejected++;
+      logger.warn('Tool call arguments rejected', {
+        toolCallId: call.toolCallId,
+        functionName: call.name,
+        field: validation.field,
+        reason: validation.error
+      });
+      return { ...call.fail(validation), field: validation.field };
+    }
+    call.params = validation.params;
+    return next();
+  }
+
+  function failed(call, error) {
+    stats.failed++;
+    logger.error('Error processing tool call', { toolCallId: call.toolCallId, functionName: call.name, error });
+    return onError(call, error);
+  }
+
+  // Helper function to run one tool call to completion, whatever the deadline
+  // A handler that throws still passes its error result back out through the middleware (and the audit)
+  async function execute(call) {
+    const chain = [
+      ...middleware,
+      validate,
+      ...(call.tool.middleware || []),
+      async () => {
+        try {
+          return await call.tool.handler(call.params, call.context);
+        } catch (error) {
+          return failed(call, error);
+        }
+      }
+    ];
+
+    try {
+      return await runChain(chain, call);
+    } catch (error) {
+      return failed(call, error);
+    }
+  }
+
+  // Helper function to run one tool call against its deadline
+  async function runOne(toolCall, context, budgetEnd) {
+    const { id, function: func } = toolCall;
+    const name = func?.name;
+    stats.calls++;
+    logger.info('Tool call', { toolCallId: id, functionName: name });
+    logger.debug('Tool call parameters', { toolCallId: id, params: func?.arguments });
+
+    const call = {
+      name,
+      toolCallId: id,
+      args: func?.arguments,
+      params: func?.arguments,
+      context,
+      tool: get(name, context.tenant),
+      fail: refusal => fail(call, refusal)
+    };
+
+    if (!call.tool) {
+      stats.unknown++;
+      logger.warn('Unknown function', { functionName: name });
+      return onUnknown(call);
+    }
+
+    const allowedMs = Math.min(call.tool.deadlineMs || deadlineMs, budgetEnd - Date.now());
+    if (allowedMs <= 0) {
+      stats.timedOut++;
+      logger.warn('No time left for tool call', { toolCallId: id, functionName: name });
+      return onTimeout(call);
+    }
+
+    let timer;
+    const deadline = new Promise(resolve => {
+      timer = setTimeout(() => resolve(TIMED_OUT), allowedMs);
+    });
+    const result = await Promise.race([execute(call), deadline]);
+    clearTimeout(timer);
+
+    if (result === TIMED_OUT) {
+      stats.timedOut++;
+      logger.warn('Tool call missed its deadline', { toolCallId: id, functionName: name, deadlineMs: allowedMs });
+      return onTimeout(call);
+    }
+
+    logger.debug('Tool call result', { toolCallId: id, result });
+    return result;
+  }
+
+  // Run a message's toolCallList; returns Vapi's results array, in the list's order
+  // Runs of concurrent tools go together; anything else waits for what came before it
+  // A list that isn't one (a malformed message) has nothing to run
+  async function run(toolCallList, context) {
+    const budgetEnd = Date.now() + budgetMs;
+    const calls = (Array.isArray(toolCallList) ? toolCallList : []).filter(toolCall => {
+      if (toolCall?.type !== 'function') {
+        logger.warn('Skipping non-function tool call', { type: toolCall?.type });
+        return false;
+      }
+      return true;
+    });
+
+    const results = [];
+    let index = 0;
+    while (index < calls.length) {
+      const batch = [calls[index]];
+      const isConcurrent = toolCall => get(toolCall.function?.name, context.tenant)?.concurrent === true;
+      if (isConcurrent(calls[index])) {
+        while (index + batch.length < calls.length && isConcurrent(calls[index + batch.length])) {
+          batch.push(calls[index + batch.length]);
+        }
+      }
+
+      const batchResults = await Promise.all(batch.map(toolCall => runOne(toolCall, context, budgetEnd)));
+      batch.forEach((toolCall, i) => results.push({ toolCallId: toolCall.id, result: batchResults[i] }));
+      index += batch.length;
+    }
+    return results;
+  }
+
+  return { register, loadDirectory, use, get, list, definitions, run, stats };
+}
+
+module.exports = { createToolRegistry };
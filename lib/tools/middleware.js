@@ -0,0 +1,120 @@
+/**
+ * Tool middleware
+ * Hooks for the tool registry (see ./index.js), each (call, next) -> result.
+ * audit and idempotent wrap every tool; bookingOwner and rateLimit are added
+ * by the tools that change bookings.
+ */
+
+const { logger } = require('../logger');
+const { normalizePhone } = require('../phone');
+const { isInProgress } = require('../idempotency');
+
+// Record every tool call, whatever its result, against its call (see lib/call-audit.js)
+function audit(callAudit) {
+  return async (call, next) => {
+    const startedAt = Date.now();
+    const result = await next();
+    await callAudit.recordToolCall({
+      tenant: call.context.tenant,
+      call: call.context.call,
+      toolCallId: call.toolCallId,
+      functionName: call.name,
+      params: call.params,
+      result,
+      latencyMs: Date.now() - startedAt
+    });
+    return result;
+  };
+}
+
+// Retries of the same tool call (Vapi resends when we are slow) get the first result back
+// A retry that arrives while the first is still running is asked to wait, in the caller's language
+function idempotent(idempotency) {
+  return async (call, next) => {
+    if (!call.toolCallId) {
+      return next();
+    }
+    const result = await idempotency.run(`tool:${call.toolCallId}`, next);
+    return isInProgress(result) ? call.fail(result) : result;
+  };
+}
+
+// Only act on an explicit bookingUid that we hold for this practice and that belongs to this caller:
+// booked during this call or under the number they are calling from (a number they say isn't proof)
+function bookingOwner({ store }) {
+  return async (call, next) => {
+    const { bookingUid } = call.params;
+    if (!bookingUid) {
+      return next();
+    }
+
+    const { tenant, call: vapiCall } = call.context;
+    const booking = await store.getBooking(bookingUid);
+    const callerPhone = normalizePhone(vapiCall?.customer?.number, tenant.defaultCountryCode);
+    const owned = booking && booking.tenantId === tenant.id &&
+      ((vapiCall?.id && booking.callId === vapiCall.id) || (callerPhone && booking.customerPhone === callerPhone));
+
+    if (!owned) {
+      logger.warn('Tool call refused for a booking the caller does not own', { functionName: call.name, bookingUid, known: Boolean(booking) });
+      return call.fail({
+        error: 'booking_not_found',
+        message: 'I can\'t find that appointment under the number you\'re calling from. Could you tell me the date and time of the appointment instead?'
+      });
+    }
+    return next();
+  };
+}
+
+// At most limit calls of a tool per call within windowMs (per caller number when there is no call ID)
+// Only calls that book or change something count: a slot is taken up front, so calls running side by
+// side can't all get through, and handed back when the call is refused or asks the caller to confirm
+function rateLimit({ limit, windowMs = 60 * 60 * 1000 }) {
+  // key -> [timestamps]
+  const seen = new Map();
+
+  return async (call, next) => {
+    const caller = call.context.call?.id || call.context.call?.customer?.number;
+    if (!caller) {
+      return next();
+    }
+
+    const now = Date.now();
+    const key = `${call.context.tenant.id}:${caller}:${call.name}`;
+    const recent = (seen.get(key) || []).filter(at => now - at < windowMs);
+
+    // Drop callers whose windows have all run out
+    for (const [other, times] of seen) {
+      if (times.every(at => now - at >= windowMs)) {
+        seen.delete(other);
+      }
+    }
+
+    if (recent.length >= limit) {
+      seen.set(key, recent);
+      logger.warn('Tool call rate limited', { functionName: call.name, limit });
+      return call.fail({
+        error: 'rate_limited',
+        message: 'I\'m sorry, I can\'t make any more changes on this call. The practice team will be happy to help if you need anything else.'
+      });
+    }
+
+    seen.set(key, [...recent, now]);
+    const result = await next();
+
+    if (!result?.success || result.confirmationRequired) {
+      const times = seen.get(key) || [];
+      const index = times.indexOf(now);
+      if (index !== -1) {
+        times.splice(index, 1);
+      }
+    }
+    return result;
+  };
+}
+
+module.exports = {
+  audit,
+  idempotent,
+  bookingOwner,
+  rateLimit
+};
@@ -0,0 +1,450 @@
+/**
+ * Tool argument schemas
+ * Every tool declares a schema: { description, parameters }. Arguments are
+ * checked and coerced against it before the handler runs, so handlers can
+ * rely on strings being strings and numbers being numbers, and a missing or
+ * garbled argument is read back to the caller instead of failing inside the
+ * handler.
+ *
+ * The same schemas produce the Vapi tool definitions (toVapiTool), so the
+ * assistant's tools can be exported from the server rather than kept by hand.
+ * TOOL_SCHEMAS holds the schemas of the built-in tools.
+ *
+ * Parameter fields: type (string, integer, boolean, email, phone),
+ * description (for the model), label (how the assistant refers to it when
+ * asking again), required, minimum / maximum (integers), maxLength (strings),
+ * choices (tenant -> values offered to the model; not enforced here).
+ */
+
+const { listAppointmentTypes } = require('../appointment-types');
+
+const DEFAULT_MAX_LENGTH = 200;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Arguments shared by the tools that look up a caller's existing booking
+const BOOKING_LOOKUP = {
+  bookingUid: {
+    type: 'string',
+    description: 'The booking UID, if already known from an earlier tool result.',
+    label: 'the booking reference'
+  },
+  phone: {
+    type: 'phone',
+    description: 'The phone number the booking was made with. Defaults to the number the caller is calling from.',
+    label: 'the phone number you booked with'
+  },
+  customerName: {
+    type: 'string',
+    description: 'The name the booking was made under, to tell apart bookings on a shared number.',
+    label: 'the name on the booking'
+  },
+  appointmentDate: {
+    type: 'string',
+    description: 'Date of the appointment the caller means, as they said it (e.g. "Tuesday", "March 3rd").',
+    label: 'the date of the appointment'
+  },
+  appointmentTime: {
+    type: 'string',
+    description: 'Time of the appointment the caller means, as they said it (e.g. "2pm").',
+    label: 'the time of the appointment'
+  },
+  appointmentNumber: {
+    type: 'integer',
+    minimum: 1,
+    description: 'Which appointment from the list read out by findMyAppointments (1 = first).',
+    label: 'which appointment you mean'
+  },
+  confirmed: {
+    type: 'boolean',
+    description: 'Set to true only after the caller has confirmed the change you read back to them.',
+    label: 'whether you would like to go ahead'
+  },
+  reason: {
+    type: 'string',
+    maxLength: 500,
+    description: 'The reason the caller gave, if any.',
+    label: 'the reason'
+  }
+};
+
+// Arguments shared by the availability tools
+const PREFERENCES = {
+  weekdays: {
+    type: 'string',
+    description: 'Days the caller prefers, e.g. "Tuesday and Thursday", "weekdays", "weekend".',
+    label: 'which days suit you'
+  },
+  partOfDay: {
+    type: 'string',
+    description: 'Part of the day the caller prefers: "morning", "afternoon" or "evening".',
+    label: 'whether you prefer the morning, afternoon or evening'
+  }
+};
+
+// The tenant's own appointment type keys are offered to the model; what callers say is still matched by alias
+const APPOINTMENT_TYPE = {
+  type: 'string',
+  choices: tenant => listAppointmentTypes(tenant).map(type => type.key),
+  description: 'The kind of appointment. Leave out for the practice\'s default type.',
+  label: 'the kind of appointment'
+};
+
+const TOOL_SCHEMAS = {
+  listAppointmentTypes: {
+    description: 'List the kinds of appointment the practice offers.',
+    parameters: {}
+  },
+
+  getAvailableSlots: {
+    description: 'Check free appointment times on a date, or across a range of dates. Without a date, looks at the next two weeks.',
+    parameters: {
+      appointmentType: APPOINTMENT_TYPE,
+      date: {
+        type: 'string',
+        description: 'A single date as the caller said it, e.g. "tomorrow", "next Tuesday", "2024-03-05".',
+        label: 'the date'
+      },
+      startDate: {
+        type: 'string',
+        description: 'Start of a date range, for "next week" or "between Monday and Thursday".',
+        label: 'the first date'
+      },
+      endDate: {
+        type: 'string',
+        description: 'End of a date range (inclusive).',
+        label: 'the last date'
+      },
+      ...PREFERENCES
+    }
+  },
+
+  findNextAvailable: {
+    description: 'Find the soonest free appointment times, for "what\'s your next available?".',
+    parameters: {
+      appointmentType: APPOINTMENT_TYPE,
+      fromDate: {
+        type: 'string',
+        description: 'Date to start looking from. Defaults to today.',
+        label: 'the date to look from'
+      },
+      ...PREFERENCES,
+      maxDays: {
+        type: 'integer',
+        minimum: 1,
+        maximum: 90,
+        description: 'How many days ahead to search (default 28).',
+        label: 'how far ahead to look'
+      },
+      limit: {
+        type: 'integer',
+        minimum: 1,
+        maximum: 5,
+        description: 'How many days with free times to offer (default 3).',
+        label: 'how many options you would like'
+      }
+    }
+  },
+
+  bookAppointment: {
+    description: 'Book an appointment once the caller has chosen a free time. Sends the confirmation by WhatsApp.',
+    parameters: {
+      customerName: {
+        type: 'string',
+        required: true,
+        description: 'The caller\'s full name.',
+        label: 'your full name'
+      },
+      date: {
+        type: 'string',
+        required: true,
+        description: 'The appointment date as the caller said it.',
+        label: 'the date you would like'
+      },
+      time: {
+        type: 'string',
+        required: true,
+        description: 'The appointment time as the caller said it, e.g. "2pm", "half past ten".',
+        label: 'the time you would like'
+      },
+      appointmentType: APPOINTMENT_TYPE,
+      customerPhone: {
+        type: 'phone',
+        description: 'Number for the WhatsApp confirmation. Defaults to the number the caller is calling from.',
+        label: 'your mobile number'
+      },
+      customerEmail: {
+        type: 'email',
+        description: 'The caller\'s email, only if they offer it. Otherwise they are sent a link to add it.',
+        label: 'your email address'
+      },
+      notes: {
+        type: 'string',
+        maxLength: 1000,
+        description: 'Anything the practice should know before the appointment.',
+        label: 'the notes'
+      },
+      language: {
+        type: 'string',
+        description: 'Language for the confirmation messages, e.g. "en" or "es". Defaults to the call\'s language.',
+        label: 'the language'
+      }
+    }
+  },
+
+  joinWaitlist: {
+    description: 'Put the caller on the waitlist when no time suits them. If a matching time frees up they are offered it by WhatsApp and reply to take it. Without dates, waits for any time in the next four weeks.',
+    parameters: {
+      customerName: {
+        type: 'string',
+        required: true,
+        description: 'The caller\'s full name.',
+        label: 'your full name'
+      },
+      appointmentType: APPOINTMENT_TYPE,
+      date: {
+        type: 'string',
+        description: 'A single date the caller wants, as they said it.',
+        label: 'the date'
+      },
+      startDate: {
+        type: 'string',
+        description: 'First date the caller could come in.',
+        label: 'the first date'
+      },
+      endDate: {
+        type: 'string',
+        description: 'Last date the caller could come in (inclusive).',
+        label: 'the last date'
+      },
+      ...PREFERENCES,
+      customerPhone: {
+        type: 'phone',
+        description: 'Number for the WhatsApp offer. Defaults to the number the caller is calling from.',
+        label: 'your mobile number'
+      },
+      language: {
+        type: 'string',
+        description: 'Language for the WhatsApp messages, e.g. "en" or "es". Defaults to the call\'s language.',
+        label: 'the language'
+      }
+    }
+  },
+
+  findMyAppointments: {
+    description: 'Look up the caller\'s upcoming appointments by phone number.',
+    parameters: {
+      phone: BOOKING_LOOKUP.phone,
+      customerName: BOOKING_LOOKUP.customerName
+    }
+  },
+
+  cancelAppointment: {
+    description: 'Cancel an upcoming appointment. The first call reads the appointment back; call again with confirmed true once the caller agrees.',
+    parameters: {
+      ...BOOKING_LOOKUP
+    }
+  },
+
+  rescheduleAppointment: {
+    description: 'Move an upcoming appointment to a new time. The first call reads the change back; call again with confirmed true once the caller agrees.',
+    parameters: {
+      newDate: {
+        type: 'string',
+        required: true,
+        description: 'The new date as the caller said it.',
+        label: 'the new date'
+      },
+      newTime: {
+        type: 'string',
+        required: true,
+        description: 'The new time as the caller said it.',
+        label: 'the new time'
+      },
+      appointmentType: {
+        ...APPOINTMENT_TYPE,
+        description: 'Only if the caller wants a different kind of appointment.'
+      },
+      ...BOOKING_LOOKUP
+    }
+  }
+};
+
+function isMissing(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+// Helper function to coerce one argument to its declared type
+// Returns { ok: true, value } or { ok: false }
+function coerce(spec, value) {
+  switch (spec.type) {
+    case 'integer': {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      if (!Number.isInteger(number)) {
+        return { ok: false };
+      }
+      if ((spec.minimum !== undefined && number < spec.minimum) || (spec.maximum !== undefined && number > spec.maximum)) {
+        return { ok: false };
+      }
+      return { ok: true, value: number };
+    }
+
+    case 'boolean': {
+      if (typeof value === 'boolean') {
+        return { ok: true, value };
+      }
+      const word = String(value).trim().toLowerCase();
+      if (['true', 'yes', '1'].includes(word)) {
+        return { ok: true, value: true };
+      }
+      if (['false', 'no', '0'].includes(word)) {
+        return { ok: true, value: false };
+      }
+      return { ok: false };
+    }
+
+    case 'email': {
+      const email = String(value).trim().replace(/\s+/g, '').toLowerCase();
+      return EMAIL.test(email) ? { ok: true, value: email } : { ok: false };
+    }
+
+    case 'phone': {
+      const phone = String(value).trim();
+      const digits = phone.replace(/\D/g, '').length;
+      return digits >= 7 && digits <= 15 ? { ok: true, value: phone } : { ok: false };
+    }
+
+    default: {
+      // Models sometimes send a list where one phrase was expected ("weekdays": ["Tue", "Thu"])
+      const text = Array.isArray(value) ? value.join(' and ') : value;
+      if (typeof text !== 'string' && typeof text !== 'number') {
+        return { ok: false };
+      }
+      const trimmed = String(text).trim();
+      return trimmed.length <= (spec.maxLength || DEFAULT_MAX_LENGTH) ? { ok: true, value: trimmed } : { ok: false };
+    }
+  }
+}
+
+// Helper function to describe an argument that didn't make sense
+// values feed the errors.invalid_argument template in other languages
+function invalidArgument(field, spec) {
+  const values = { label: spec.label, email: spec.type === 'email', phone: spec.type === 'phone' };
+  values.other = !values.email && !values.phone;
+
+  let message = `Sorry, I didn't quite catch ${spec.label}. Could you say that again?`;
+  if (values.email) {
+    message = 'Sorry, that email address doesn\'t look quite right. Could you spell it out for me?';
+  } else if (values.phone) {
+    message = 'Sorry, I didn\'t catch that phone number. Could you say it again, digit by digit?';
+  }
+  return { ok: false, error: 'invalid_argument', field, message, values };
+}
+
+// Check and coerce a tool call's arguments against the tool's schema
+// Vapi sends arguments as an object, or occasionally as a JSON string
+// Arguments the schema doesn't list are dropped
+// Returns { ok: true, params } or { ok: false, error, field, message, values } where message can be read back
+// to the caller (English; other languages come from the errors.<error> templates)
+function validateArguments(schema, args) {
+  let input = args ?? {};
+  if (typeof input === 'string') {
+    try {
+      input = input.trim() ? JSON.parse(input) : {};
+    } catch {
+      input = null;
+    }
+  }
+
+  // Garbled JSON, or JSON that isn't a set of named arguments
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return {
+      ok: false,
+      error: 'invalid_arguments',
+      field: null,
+      message: 'Sorry, something went wrong on my side. Could you tell me that again?',
+      values: {}
+    };
+  }
+
+  const params = {};
+  for (const [field, spec] of Object.entries(schema.parameters)) {
+    const value = input[field];
+    if (isMissing(value)) {
+      if (spec.required) {
+        return {
+          ok: false,
+          error: 'missing_argument',
+          field,
+          message: `To go ahead, I just need ${spec.label}. Could you tell me ${spec.label}?`,
+          values: { label: spec.label }
+        };
+      }
+      continue;
+    }
+
+    const coerced = coerce(spec, value);
+    if (!coerced.ok) {
+      return invalidArgument(field, spec);
+    }
+    params[field] = coerced.value;
+  }
+
+  return { ok: true, params };
+}
+
+// Helper function to turn one parameter into JSON Schema for the model
+function toJsonSchema(spec, tenant) {
+  const property = { description: spec.description };
+
+  switch (spec.type) {
+    case 'integer':
+      property.type = 'integer';
+      if (spec.minimum !== undefined) property.minimum = spec.minimum;
+      if (spec.maximum !== undefined) property.maximum = spec.maximum;
+      break;
+    case 'boolean':
+      property.type = 'boolean';
+      break;
+    case 'email':
+      property.type = 'string';
+      property.format = 'email';
+      break;
+    default:
+      property.type = 'string';
+  }
+
+  if (spec.choices && tenant) {
+    property.enum = spec.choices(tenant);
+  }
+  return property;
+}
+
+// Vapi tool definition for an assistant's model.tools
+// tenant (optional) fills in choices such as the tenant's appointment types; serverUrl (optional) points the tool at this server
+function toVapiTool(name, schema, { tenant = null, serverUrl = null } = {}) {
+  const properties = {};
+  const required = [];
+  for (const [field, spec] of Object.entries(schema.parameters)) {
+    properties[field] = toJsonSchema(spec, tenant);
+    if (spec.required) {
+      required.push(field);
+    }
+  }
+
+  return {
+    type: 'function',
+    async: false,
+    function: {
+      name,
+      description: schema.description,
+      parameters: { type: 'object', properties, required }
+    },
+    ...(serverUrl ? { server: { url: serverUrl } } : {})
+  };
+}
+
+module.exports = {
+  validateArguments,
+  toVapiTool,
+  TOOL_SCHEMAS
+};
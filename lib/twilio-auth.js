@@ -0,0 +1,76 @@
+/**
+ * Twilio webhook authentication
+ * Verifies the X-Twilio-Signature header on inbound WhatsApp messages and
+ * message status callbacks.
+ * Twilio signs the full public URL it called plus the sorted POST
+ * parameters, so the URL is rebuilt from the tenant's publicBaseUrl.
+ */
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { safeEqual } = require('./safe-equal');
+
+const SIGNATURE_HEADER = 'x-twilio-signature';
+
+// HMAC-SHA1 (base64) of the URL followed by each POST parameter name and value, sorted by name
+function computeSignature(authToken, url, params = {}) {
+  const payload = Object.keys(params)
+    .sort()
+    .reduce((acc, key) => acc + key + params[key], url);
+  return crypto.createHmac('sha1', authToken).update(payload).digest('base64');
+}
+
+// Returns { ok: true } or { ok: false, reason }
+function verifyRequest({ authToken, url, params, signature }) {
+  if (!authToken) {
+    return { ok: false, reason: 'twilio_not_configured' };
+  }
+  if (!signature) {
+    return { ok: false, reason: 'missing_signature' };
+  }
+  return safeEqual(computeSignature(authToken, url, params), signature)
+    ? { ok: true }
+    : { ok: false, reason: 'bad_signature' };
+}
+
+// Express middleware factory
+// Needs the form body parsed (express.urlencoded()) first; sets req.tenant to the tenant owning the "To" number,
+// or to whichever tenant resolveTenant(req) picks (status callbacks are addressed to the customer)
+function createTwilioAuth({ tenants, resolveTenant = req => tenants.resolveByWhatsAppNumber(req.body?.To) }) {
+  const stats = {
+    accepted: 0,
+    rejected: 0,
+    rejectedByReason: {}
+  };
+
+  function middleware(req, res, next) {
+    const tenant = resolveTenant(req);
+    const result = verifyRequest({
+      authToken: tenant.twilio.authToken,
+      url: `${tenant.publicBaseUrl}${req.originalUrl}`,
+      params: req.body || {},
+      signature: req.headers[SIGNATURE_HEADER]
+    });
+
+    if (!result.ok) {
+      stats.rejected++;
+      stats.rejectedByReason[result.reason] = (stats.rejectedByReason[result.reason] || 0) + 1;
+      logger.warn('Twilio webhook authentication failed', { reason: result.reason });
+      return res.status(403).type('text/plain').send('Forbidden');
+    }
+
+    stats.accepted++;
+    req.tenant = tenant;
+    next();
+  }
+
+  middleware.stats = stats;
+
+  return middleware;
+}
+
+module.exports = {
+  createTwilioAuth,
+  computeSignature,
+  verifyRequest
+};
@@ -0,0 +1,189 @@
+/**
+ * Vapi webhook authentication
+ * Verifies the server secret / HMAC signature Vapi attaches to every
+ * server message before any tool call is allowed to touch Cal.com
+ */
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { safeEqual } = require('./safe-equal');
+
+const SECRET_HEADER = 'x-vapi-secret';
+const SIGNATURE_HEADER = 'x-vapi-signature';
+const TIMESTAMP_HEADER = 'x-vapi-timestamp';
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+// Parse VAPI_WEBHOOK_SECRETS into a list of { assistantId, phoneNumberId, secret }
+// Format: "secret" or "assistantId:secret", comma separated
+function parseSecrets(value) {
+  if (!value) {
+    return [];
+  }
+
+  return value
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      if (separator === -1) {
+        return { assistantId: null, phoneNumberId: null, secret: entry };
+      }
+      return {
+        assistantId: entry.slice(0, separator).trim() || null,
+        phoneNumberId: null,
+        secret: entry.slice(separator + 1).trim()
+      };
+    })
+    .filter(entry => entry.secret);
+}
+
+// Vapi puts the assistant ID in a few places depending on message type
+// (lib/tenants.js resolves the tenant from the same fields)
+function getAssistantId(message) {
+  return message?.call?.assistantId || message?.assistant?.id || message?.call?.assistant?.id || null;
+}
+
+// ...and the phone number ID, the only one an assistant-request carries
+function getPhoneNumberId(message) {
+  return message?.call?.phoneNumberId || message?.phoneNumber?.id || null;
+}
+
+// Secrets bound to this assistant or phone number plus any unbound (shared) secrets
+// A tenant's own secret only counts for messages that run as that tenant (tenantId), so one
+// practice's secret can't be used with another practice's assistant
+function candidateSecrets(secrets, assistantId, phoneNumberId, tenantId) {
+  const bound = secrets.filter(s => (!s.tenantId || s.tenantId === tenantId) &&
+    ((assistantId && s.assistantId === assistantId) || (phoneNumberId && s.phoneNumberId === phoneNumberId)));
+  const shared = secrets.filter(s => !s.assistantId && !s.phoneNumberId);
+  return [...bound, ...shared].map(s => s.secret);
+}
+
+function computeSignature(secret, timestamp, rawBody) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+}
+
+// Helper function to check a message was sent within the tolerance
+// Accepts both seconds and milliseconds since epoch; returns null or the reason to refuse
+function checkTimestamp(timestamp, toleranceSeconds, now) {
+  const seconds = Number(timestamp);
+  if (!timestamp || !Number.isFinite(seconds)) {
+    return 'missing_timestamp';
+  }
+  const timestampMs = seconds > 1e12 ? seconds : seconds * 1000;
+  return Math.abs(now - timestampMs) > toleranceSeconds * 1000 ? 'stale_timestamp' : null;
+}
+
+// Returns { ok: true } or { ok: false, reason }
+// tenantId: the tenant the message will be handled as
+function verifyRequest({ headers, rawBody, body, secrets, tenantId = null, toleranceSeconds, requireSignature = false, now = Date.now() }) {
+  const message = body?.message;
+  const candidates = candidateSecrets(secrets, getAssistantId(message), getPhoneNumberId(message), tenantId);
+
+  if (candidates.length === 0) {
+    return { ok: false, reason: 'unknown_assistant' };
+  }
+
+  const signature = headers[SIGNATURE_HEADER];
+  if (signature) {
+    const timestamp = headers[TIMESTAMP_HEADER];
+    const stale = checkTimestamp(timestamp, toleranceSeconds, now);
+    if (stale) {
+      return { ok: false, reason: stale };
+    }
+
+    const provided = String(signature).replace(/^sha256=/, '');
+    const matches = candidates.some(secret =>
+      safeEqual(computeSignature(secret, timestamp, rawBody || ''), provided)
+    );
+    return matches ? { ok: true } : { ok: false, reason: 'bad_signature' };
+  }
+
+  // A plain secret doesn't cover the body, so a captured request could be sent again as it is:
+  // only fresh messages are accepted, and VAPI_REQUIRE_SIGNATURE turns plain secrets off altogether
+  const providedSecret = headers[SECRET_HEADER];
+  if (providedSecret) {
+    if (requireSignature) {
+      return { ok: false, reason: 'signature_required' };
+    }
+    const matches = candidates.some(secret => safeEqual(secret, providedSecret));
+    if (!matches) {
+      return { ok: false, reason: 'bad_secret' };
+    }
+    const stale = checkTimestamp(headers[TIMESTAMP_HEADER] || message?.timestamp, toleranceSeconds, now);
+    return stale ? { ok: false, reason: stale } : { ok: true };
+  }
+
+  return { ok: false, reason: 'missing_credentials' };
+}
+
+// Express middleware factory
+// Requires express.json() to be configured with a verify hook that stores req.rawBody
+// options.tenantFor(message) names the tenant a message will be handled as (secrets carrying a tenantId)
+function createVapiAuth(options = {}) {
+  const secrets = [
+    ...(options.secrets || parseSecrets(process.env.VAPI_WEBHOOK_SECRETS || process.env.VAPI_SERVER_SECRET)),
+    ...(options.extraSecrets || [])
+  ];
+  const toleranceSeconds = Number(options.toleranceSeconds || process.env.VAPI_SIGNATURE_TOLERANCE_SECONDS) || DEFAULT_TOLERANCE_SECONDS;
+  const requireSignature = options.requireSignature ?? process.env.VAPI_REQUIRE_SIGNATURE === 'true';
+  // Running without authentication has to be asked for (VAPI_AUTH_DISABLED=true, e.g. for local testing)
+  const disabled = options.disabled ?? process.env.VAPI_AUTH_DISABLED === 'true';
+
+  const stats = {
+    accepted: 0,
+    rejected: 0,
+    rejectedByReason: {}
+  };
+
+  function middleware(req, res, next) {
+    if (disabled) {
+      return next();
+    }
+
+    const result = secrets.length === 0
+      ? { ok: false, reason: 'vapi_auth_not_configured' }
+      : verifyRequest({
+        headers: req.headers,
+        rawBody: req.rawBody ? req.rawBody.toString('utf8') : '',
+        body: req.body,
+        secrets,
+        tenantId: options.tenantFor ? options.tenantFor(req.body?.message) : null,
+        toleranceSeconds,
+        requireSignature
+      });
+
+    if (!result.ok) {
+      stats.rejected++;
+      stats.rejectedByReason[result.reason] = (stats.rejectedByReason[result.reason] || 0) + 1;
+      logger.warn('Vapi webhook authentication failed', { reason: result.reason });
+      return res.status(result.reason === 'vapi_auth_not_configured' ? 503 : 401).json({
+        success: false,
+        error: 'unauthorized',
+        reason: result.reason
+      });
+    }
+
+    stats.accepted++;
+    next();
+  }
+
+  middleware.stats = stats;
+  middleware.enabled = !disabled;
+  middleware.configured = secrets.length > 0;
+  middleware.secretCount = secrets.length;
+
+  return middleware;
+}
+
+module.exports = {
+  createVapiAuth,
+  parseSecrets,
+  verifyRequest,
+  computeSignature,
+  getAssistantId,
+  getPhoneNumberId
+};
@@ -0,0 +1,98 @@
+/**
+ * Vapi server messages
+ * Vapi posts every server message to /webhook with message.type saying what
+ * it is. Some need an answer before the call can go on (tool-calls,
+ * assistant-request, transfer-destination-request); the rest are reports we
+ * record (status-update, end-of-call-report, hang). The router sends each
+ * type to its handler and answers everything else with an empty object.
+ *
+ * Handlers are async (message) -> response body.
+ */
+
+const { logger } = require('./logger');
+
+const MESSAGE_TYPES = [
+  'tool-calls',
+  'assistant-request',
+  'status-update',
+  'end-of-call-report',
+  'transfer-destination-request',
+  'hang'
+];
+
+// handlers: { [type]: async (message) -> response body }
+function createMessageRouter({ handlers }) {
+  const stats = {
+    received: {},
+    unhandled: 0,
+    failed: 0
+  };
+
+  // Returns the response body for the message
+  async function route(message) {
+    const type = message?.type;
+    const handler = MESSAGE_TYPES.includes(type) ? handlers[type] : null;
+
+    if (!handler) {
+      stats.unhandled++;
+      logger.debug('Unhandled Vapi message type', { type });
+      return {};
+    }
+
+    stats.received[type] = (stats.received[type] || 0) + 1;
+    try {
+      return (await handler(message)) || {};
+    } catch (error) {
+      stats.failed++;
+      throw error;
+    }
+  }
+
+  return { route, stats };
+}
+
+// Helper function to read an end-of-call report into the fields we store
+// Newer reports keep the transcript and recording under artifact, the summary under analysis
+function parseCallReport(message) {
+  const call = message.call || {};
+  const artifact = message.artifact || {};
+  const recording = artifact.recording || {};
+  const startedAt = message.startedAt || call.startedAt || null;
+  const endedAt = message.endedAt || call.endedAt || null;
+
+  let durationSeconds = message.durationSeconds ?? null;
+  if (durationSeconds === null && startedAt && endedAt) {
+    durationSeconds = Math.round((new Date(endedAt) - new Date(startedAt)) / 1000);
+  }
+
+  return {
+    id: call.id || null,
+    status: 'ended',
+    endedReason: message.endedReason || call.endedReason || null,
+    summary: message.analysis?.summary ?? message.summary ?? null,
+    transcript: artifact.transcript ?? message.transcript ?? null,
+    recordingUrl: recording.mono?.combinedUrl || artifact.recordingUrl || message.recordingUrl || null,
+    cost: Number.isFinite(Number(message.cost)) ? Number(message.cost) : null,
+    costBreakdown: message.costBreakdown || null,
+    startedAt,
+    endedAt,
+    durationSeconds
+  };
+}
+
+// Helper function to pick out who is on the call and which number they rang
+function callParties(message) {
+  const call = message.call || {};
+  return {
+    customerPhone: call.customer?.number || message.customer?.number || null,
+    phoneNumberId: call.phoneNumberId || message.phoneNumber?.id || null,
+    assistantId: call.assistantId || message.assistant?.id || null
+  };
+}
+
+module.exports = {
+  createMessageRouter,
+  parseCallReport,
+  callParties,
+  MESSAGE_TYPES
+};
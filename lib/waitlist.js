@@ -0,0 +1,325 @@
+/**
+ * Waitlist
+ * Callers who can't find a time that suits them can ask to wait for one.
+ * When a booking is cancelled (by the assistant, a WhatsApp reply, the front
+ * desk or in Cal.com) the freed slot is offered over WhatsApp to the waiting
+ * callers whose dates, days and part of day it matches, first come first
+ * served and one at a time. The slot is held for each of them for the
+ * tenant's waitlist.holdMinutes: they reply YES to book it or NO to pass, and
+ * a pass or a hold that runs out moves the offer on to the next caller.
+ *
+ * Entries go waiting -> offered -> booked, back to waiting after a pass or an
+ * expired hold, and to expired once their last date has gone (replaced when
+ * the caller joins again for the same kind of appointment).
+ * Offers go offered -> claiming -> claimed (or failed), or offered -> declined,
+ * expired or failed. Each step only happens from the status before it, so a
+ * YES, a NO and a hold running out can't act on the same offer twice.
+ */
+
+const { todayInZone, formatDate, formatTime } = require('./datetime');
+const { filterAndGroup } = require('./availability');
+const { findByEventTypeId, withArticle } = require('./appointment-types');
+const { checkStartTime } = require('./booking-rules');
+const { logger } = require('./logger');
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+// Late replies to an offer are still recognised for this long
+const RECENT_OFFER_MS = 24 * 60 * 60 * 1000;
+
+// Helper function to check a slot against an entry's dates, weekdays and part of day
+function matchesEntry(entry, startTime, timeZone, now) {
+  return filterAndGroup([{ time: startTime }], {
+    timeZone,
+    fromDate: entry.fromDate,
+    toDate: entry.toDate,
+    weekdays: entry.weekdays,
+    partOfDay: entry.partOfDay,
+    now
+  }).length > 0;
+}
+
+// send(to, text, tenant, meta) delivers the offer (WhatsApp, with the tenant's fallbacks)
+// and resolves to { success, queued, error }
+function createWaitlist({ store, tenants, templates, send, intervalMs = DEFAULT_INTERVAL_MS }) {
+  let timer = null;
+  let running = false;
+
+  const stats = {
+    joined: 0,
+    offered: 0,
+    claimed: 0,
+    declined: 0,
+    expired: 0,
+    lastRunAt: null
+  };
+
+  const holdMs = tenant => tenant.waitlist.holdMinutes * 60 * 1000;
+
+  function offerValues(tenant, entry, offer, options) {
+    const type = findByEventTypeId(tenant, offer.eventTypeId);
+    return {
+      name: entry.customerName || '',
+      type: type ? type.name : 'appointment',
+      typeWithArticle: type ? withArticle(type.name) : 'an appointment',
+      date: formatDate(offer.startTime, tenant.timeZone, options.language),
+      time: formatTime(offer.startTime, tenant.timeZone, options.language),
+      minutes: tenant.waitlist.holdMinutes,
+      practice: tenant.sender.name
+    };
+  }
+
+  // Add a caller to the waitlist; an earlier entry for the same kind of appointment is replaced
+  // entry: { customerName, customerPhone, eventTypeId, fromDate, toDate, weekdays, partOfDay, language, callId }
+  async function join(tenant, entry) {
+    const previous = await store.listWaitlistEntries({
+      tenantId: tenant.id,
+      phone: entry.customerPhone,
+      eventTypeId: entry.eventTypeId,
+      status: 'waiting'
+    });
+    for (const old of previous) {
+      await store.updateWaitlistEntry(old.id, { status: 'replaced' });
+    }
+
+    const added = await store.addWaitlistEntry({ ...entry, tenantId: tenant.id });
+    stats.joined++;
+    logger.info('Joined waitlist', { entryId: added.id, fromDate: added.fromDate, toDate: added.toDate, replaced: previous.length });
+    return added;
+  }
+
+  // The caller's latest offer from the last day, with its entry, or null
+  async function latestOffer(tenant, phone, now = new Date()) {
+    const entries = await store.listWaitlistEntries({ tenantId: tenant.id, phone });
+    let latest = null;
+    for (const entry of entries) {
+      for (const offer of await store.listWaitlistOffers({ entryId: entry.id })) {
+        if (now.getTime() - new Date(offer.createdAt).getTime() > RECENT_OFFER_MS) {
+          continue;
+        }
+        if (!latest || offer.id > latest.offer.id) {
+          latest = { offer, entry };
+        }
+      }
+    }
+    return latest;
+  }
+
+  function isOpen(offer, now) {
+    return offer.status === 'offered' && offer.expiresAt > now.toISOString();
+  }
+
+  // Helper function to hold a slot for one entry and send the offer
+  // Returns the offer, or null when it couldn't be sent
+  async function makeOffer(tenant, entry, slot, now) {
+    const expiresAt = new Date(now.getTime() + holdMs(tenant)).toISOString();
+    const hold = await store.holdSlot({
+      tenantId: tenant.id,
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      bookingUid: null,
+      reason: 'waitlist_offer',
+      expiresAt
+    });
+    const offer = await store.recordWaitlistOffer({
+      tenantId: tenant.id,
+      entryId: entry.id,
+      eventTypeId: slot.eventTypeId,
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      holdId: hold.id,
+      expiresAt
+    });
+    await store.updateWaitlistEntry(entry.id, { status: 'offered' });
+
+    const options = { tenant, language: templates.pickLanguage(tenant, entry.language) };
+    const text = templates.text('whatsapp.waitlistOffer', offerValues(tenant, entry, offer, options), options);
+
+    let result;
+    try {
+      result = await send(entry.customerPhone, text, tenant, { kind: 'waitlist_offer' });
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    if (!result.success && !result.queued) {
+      logger.warn('Waitlist offer could not be sent', { entryId: entry.id, offerId: offer.id, error: result.error });
+      await store.updateWaitlistOffer(offer.id, { status: 'failed' });
+      await store.releaseSlotHold(hold.id);
+      await store.updateWaitlistEntry(entry.id, { status: 'waiting' });
+      return null;
+    }
+
+    stats.offered++;
+    logger.info('Offered freed slot to waitlist', { entryId: entry.id, offerId: offer.id, startTime: slot.startTime, expiresAt });
+    return offer;
+  }
+
+  // Offer a freed slot ({ eventTypeId, startTime, endTime }) to the first matching caller who hasn't had it yet
+  // Slots too close to start for a hold, or that the booking rules don't allow, aren't offered
+  // Returns the offer, or null when nobody was offered it
+  async function offerSlot(tenant, slot, now = new Date()) {
+    if (!tenant.waitlist.enabled || !slot.startTime || !slot.eventTypeId) {
+      return null;
+    }
+
+    const type = findByEventTypeId(tenant, slot.eventTypeId);
+    const start = new Date(slot.startTime);
+    const startTime = start.toISOString();
+    const endTime = slot.endTime && new Date(slot.endTime) > start
+      ? new Date(slot.endTime).toISOString()
+      : new Date(start.getTime() + (type ? type.durationMinutes : 30) * 60 * 1000).toISOString();
+
+    if (start.getTime() - now.getTime() <= holdMs(tenant)) {
+      return null;
+    }
+    if (!checkStartTime(tenant, startTime, { durationMinutes: type?.durationMinutes || 0, now }).ok) {
+      return null;
+    }
+
+    // One caller at a time (including one who is booking it now), and nobody twice for the same slot
+    const earlier = await store.listWaitlistOffers({ tenantId: tenant.id, startTime });
+    if (earlier.some(offer => isOpen(offer, now) || offer.status === 'claiming')) {
+      return null;
+    }
+    const alreadyOffered = new Set(earlier.map(offer => offer.entryId));
+
+    const entries = await store.listWaitlistEntries({ tenantId: tenant.id, eventTypeId: slot.eventTypeId, status: 'waiting' });
+    for (const entry of entries) {
+      if (alreadyOffered.has(entry.id) || !matchesEntry(entry, startTime, tenant.timeZone, now)) {
+        continue;
+      }
+      // A YES has to be unambiguous, so a caller only has one open offer at a time
+      const current = await latestOffer(tenant, entry.customerPhone, now);
+      if (current && isOpen(current.offer, now)) {
+        continue;
+      }
+
+      const offer = await makeOffer(tenant, entry, { eventTypeId: slot.eventTypeId, startTime, endTime }, now);
+      if (offer) {
+        return offer;
+      }
+    }
+
+    logger.info('No one on the waitlist for a freed slot', { startTime });
+    return null;
+  }
+
+  // Helper function to let go of an offer's hold on its slot
+  async function releaseHold(offer) {
+    if (offer.holdId) {
+      await store.releaseSlotHold(offer.holdId);
+      await store.updateWaitlistOffer(offer.id, { holdId: null });
+    }
+  }
+
+  // Helper function to move an offer the caller didn't take on to the next caller
+  // Returns false (and does nothing) when the offer has already left fromStatus
+  async function passOn(tenant, { offer, entry }, status, now, fromStatus = 'offered') {
+    if (!await store.moveWaitlistOffer(offer.id, fromStatus, status)) {
+      return false;
+    }
+    await releaseHold(offer);
+    const current = await store.getWaitlistEntry(entry.id);
+    if (current?.status === 'offered') {
+      await store.updateWaitlistEntry(entry.id, { status: 'waiting' });
+    }
+    await offerSlot(tenant, offer, now);
+    return true;
+  }
+
+  // Take an open offer; book() makes the booking (past the offer's hold) and resolves to
+  // { ok: true, bookingUid } or { ok: false, error, slotStillFree } - a slot
+  // that is still free (the caller wasn't allowed it) moves on to the next caller
+  // Returns { ok: true, bookingUid } or { ok: false, error }
+  async function claim(tenant, { offer, entry }, book, now = new Date()) {
+    if (!isOpen(offer, now) || !await store.moveWaitlistOffer(offer.id, 'offered', 'claiming')) {
+      return { ok: false, error: 'offer_expired' };
+    }
+
+    // The hold keeps everyone else off the slot while book() takes it for the caller it was held
+    // for (book skips the offer's own hold); it goes once the slot is booked or moves on
+    const booked = await book();
+    if (!booked.ok) {
+      logger.warn('Waitlist offer could not be booked', { offerId: offer.id, error: booked.error });
+      if (booked.slotStillFree) {
+        await passOn(tenant, { offer, entry }, 'failed', now, 'claiming');
+      } else {
+        await store.moveWaitlistOffer(offer.id, 'claiming', 'failed');
+        await releaseHold(offer);
+        await store.updateWaitlistEntry(entry.id, { status: 'waiting' });
+      }
+      return { ok: false, error: booked.error };
+    }
+
+    await releaseHold(offer);
+    await store.updateWaitlistOffer(offer.id, { status: 'claimed', bookingUid: booked.bookingUid });
+    await store.updateWaitlistEntry(entry.id, { status: 'booked' });
+    stats.claimed++;
+    logger.info('Waitlist offer claimed', { offerId: offer.id, bookingUid: booked.bookingUid });
+    return { ok: true, bookingUid: booked.bookingUid };
+  }
+
+  // Pass on an open offer; the caller stays on the waitlist for other slots
+  async function decline(tenant, { offer, entry }, now = new Date()) {
+    if (!isOpen(offer, now) || !await passOn(tenant, { offer, entry }, 'declined', now)) {
+      return { ok: false, error: 'offer_expired' };
+    }
+    stats.declined++;
+    logger.info('Waitlist offer declined', { offerId: offer.id });
+    return { ok: true };
+  }
+
+  // Move on offers whose hold has run out and retire entries whose dates have passed
+  async function tick(now = new Date()) {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      const lapsed = await store.listWaitlistOffers({ status: 'offered', expiresBefore: now.toISOString() });
+      for (const offer of lapsed) {
+        try {
+          const tenant = tenants.get(offer.tenantId);
+          const entry = await store.getWaitlistEntry(offer.entryId);
+          // Skipped when the caller replied in the meantime
+          if (await passOn(tenant, { offer, entry }, 'expired', now)) {
+            stats.expired++;
+            logger.info('Waitlist offer expired', { offerId: offer.id });
+          }
+        } catch (error) {
+          logger.error('Failed to move on a waitlist offer', { offerId: offer.id, error });
+        }
+      }
+
+      for (const entry of await store.listWaitlistEntries({ status: 'waiting' })) {
+        const tenant = tenants.get(entry.tenantId);
+        if (entry.toDate < todayInZone(tenant.timeZone, now)) {
+          await store.updateWaitlistEntry(entry.id, { status: 'expired' });
+        }
+      }
+      stats.lastRunAt = now.toISOString();
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    if (timer) {
+      return;
+    }
+    const run = () => tick().catch(error => logger.error('Waitlist run failed', { error }));
+    run();
+    timer = setInterval(run, intervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { join, offerSlot, latestOffer, isOpen, claim, decline, tick, start, stop, stats };
+}
+
+module.exports = { createWaitlist };
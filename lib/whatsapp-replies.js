@@ -0,0 +1,62 @@
+/**
+ * WhatsApp reply parsing
+ * Customers answer the booking confirmation and reminders with short
+ * replies: "C" to confirm, "CANCEL", or "MOVE to Friday 3pm", and waitlist
+ * offers with "YES" (or "BOOK") to take the slot or "NO" to pass.
+ */
+
+const CONFIRM_WORDS = ['c', 'confirm', 'confirmed', 'yes', 'y', 'yep', 'ok', 'okay'];
+const CANCEL_WORDS = ['cancel', 'cancelled', 'canceled'];
+const MOVE_WORDS = ['move', 'reschedule', 'change', 'rebook'];
+const CLAIM_WORDS = ['book', 'claim', 'take'];
+// Of the confirm words, only these answer a waitlist offer ("Reply YES to book it"); C, OK and
+// CONFIRM stay with the booking they were asked about in confirmations and reminders
+const YES_WORDS = ['yes', 'y', 'yep'];
+const DECLINE_WORDS = ['no', 'n', 'nope', 'pass', 'skip'];
+const HELP_WORDS = ['help', '?', 'options', 'menu'];
+
+// A time of day anywhere in the text: "3pm", "3:30 pm", "15:00", "noon"
+const TIME_PATTERN = /\b(\d{1,2}(?:[:.]\d{2})?\s*(?:am|pm|a\.m\.|p\.m\.)|\d{1,2}:\d{2}|noon|midday)(?![\w:])/i;
+
+// Helper function to split "Friday at 3pm" into { date: "Friday", time: "3pm" }
+// Either part may be null when the customer only gave one of them
+function splitDateTime(text) {
+  const match = TIME_PATTERN.exec(text);
+  const time = match ? match[1].trim() : null;
+  const date = (match ? text.slice(0, match.index) + text.slice(match.index + match[0].length) : text)
+    .replace(/\b(at|on|for|to|it|my|the|appointment|please)\b/gi, ' ')
+    .replace(/[,.!]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return { date: date || null, time };
+}
+
+// Returns { intent: 'confirm' | 'cancel' | 'reschedule' | 'claim' | 'decline' | 'help' | 'unknown', date, time, yes }
+// yes marks a confirm that also takes a waitlist offer when the customer has one open
+function parseReply(text) {
+  const body = String(text || '').trim();
+  const words = body.toLowerCase().replace(/[!.]+$/, '').split(/\s+/).filter(Boolean);
+  const first = words[0] || '';
+
+  if (CONFIRM_WORDS.includes(first) || body === '👍') {
+    return { intent: 'confirm', yes: YES_WORDS.includes(first) };
+  }
+  if (CANCEL_WORDS.includes(first)) {
+    return { intent: 'cancel' };
+  }
+  if (MOVE_WORDS.includes(first)) {
+    return { intent: 'reschedule', ...splitDateTime(body.slice(body.toLowerCase().indexOf(first) + first.length)) };
+  }
+  if (CLAIM_WORDS.includes(first)) {
+    return { intent: 'claim' };
+  }
+  if (DECLINE_WORDS.includes(first) || body === '👎') {
+    return { intent: 'decline' };
+  }
+  if (HELP_WORDS.includes(first)) {
+    return { intent: 'help' };
+  }
+  return { intent: 'unknown' };
+}
+
+module.exports = { parseReply, splitDateTime };
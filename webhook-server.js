@@ -5,297 +5,782 @@
 
 const express = require('express');
 const cors = require('cors');
+const { createVapiAuth } = require('./lib/vapi-auth');
+const { createTwilioAuth } = require('./lib/twilio-auth');
+const { createAdminAuth } = require('./lib/admin-auth');
+const { createResendAuth } = require('./lib/resend-auth');
+const { createCalAuth } = require('./lib/cal-auth');
+const { createStore } = require('./lib/store');
+const { createConfirmTokens } = require('./lib/confirm-tokens');
+const { createIdempotency, bookingFingerprint, isInProgress } = require('./lib/idempotency');
+const { createReminderScheduler } = require('./lib/reminders');
+const { createWaitlist } = require('./lib/waitlist');
+const { createEmailCorrection, isHeld } = require('./lib/email-correction');
+const { createNotifier } = require('./lib/notifications');
+const { parseStatusCallback } = require('./lib/notifications/twilio');
+const { parseWebhookEvent } = require('./lib/notifications/resend');
+const { loadTenants } = require('./lib/tenants');
+const { createTemplates } = require('./lib/templates');
+const { createCalClient, CalApiError } = require('./lib/cal');
+const { parseWebhook: parseCalWebhook } = require('./lib/cal/webhooks');
+const { createMessageRouter, parseCallReport, callParties } = require('./lib/vapi-messages');
+const { logger, addContext, requestLogger } = require('./lib/logger');
+const { createCallAudit, OUTCOMES: CALL_OUTCOMES } = require('./lib/call-audit');
+const { createToolRegistry } = require('./lib/tools');
+const { TOOL_SCHEMAS } = require('./lib/tools/schemas');
+const toolMiddleware = require('./lib/tools/middleware');
+const { toCsv } = require('./lib/csv');
+const { checkDaysAhead, lastDateAhead, checkDate, checkStartTime, filterSlots, checkCaller, checkChange } = require('./lib/booking-rules');
+const {
+  listAppointmentTypes,
+  findByEventTypeId,
+  defaultAppointmentType,
+  resolveAppointmentType,
+  describeTypes,
+  withArticle,
+  isVideoLocation
+} = require('./lib/appointment-types');
+const { parseDateTime, formatDate, formatTime, localDate, dayBounds, todayInZone } = require('./lib/datetime');
+const {
+  parseWeekdays,
+  parsePartOfDay,
+  filterAndGroup,
+  pickOptions,
+  phraseOptions,
+  describePreferences,
+  resolveRange,
+  fetchRange,
+  findNext
+} = require('./lib/availability');
+const { normalizePhone, lastDigits } = require('./lib/phone');
+const {
+  findUpcomingBookings,
+  selectBooking,
+  describeBooking,
+  listBookings
+} = require('./lib/appointment-lookup');
+const { parseReply } = require('./lib/whatsapp-replies');
+const {
+  buildIcs,
+  icsAttachment,
+  googleCalendarLink,
+  outlookCalendarLink,
+  calendarUidFor,
+  parseAddress
+} = require('./lib/calendar-invite');
 
 const app = express();
 const PORT = process.env.WEBHOOK_PORT || 3001;
 
+// Render puts one proxy in front of the app, so req.ip (and with it the admin login lockout) comes
+// from X-Forwarded-For. TRUST_PROXY: the number of proxies to trust, their addresses, or false
+const TRUST_PROXY = process.env.TRUST_PROXY || '1';
+app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY !== 'false' && TRUST_PROXY);
+
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body around so webhook signatures can be verified
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+// Twilio posts form-encoded webhooks
+app.use(express.urlencoded({ extended: false }));
+
+// Request IDs and a log line per request; after the body parsers so the log context survives them
+app.use(requestLogger(logger));
 
 // Serve static files from public directory
 app.use(express.static('public'));
 
-// Cal.com API configuration
-const CAL_API_KEY = process.env.CAL_API_KEY || process.env.EXPO_PUBLIC_CAL_API_KEY;
-const CAL_API_BASE_URL = 'https://api.cal.com/v1';
-const CAL_USERNAME = 'sonic-iq-6ttuqv';
-const CAL_EVENT_TYPE_ID = 3917527; // 30 Min Meeting
-const CAL_EVENT_TYPE_SLUG = '30min';
-
-// Twilio WhatsApp configuration
-const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID;
-const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN;
-const TWILIO_PHONE_NUMBER = process.env.TWILIO_PHONE_NUMBER;
-
-// Debug: Log environment variable status on startup
-console.log('🔍 Environment Check:');
-console.log('  process.env.CAL_API_KEY:', process.env.CAL_API_KEY ? 'SET' : 'MISSING');
-console.log('  process.env.EXPO_PUBLIC_CAL_API_KEY:', process.env.EXPO_PUBLIC_CAL_API_KEY ? 'SET' : 'MISSING');
-console.log('  Final CAL_API_KEY value:', CAL_API_KEY ? 'SET' : 'MISSING');
-console.log('  All env keys:', Object.keys(process.env).filter(k => k.includes('CAL') || k.includes('API')).join(', '));
-
-// Helper function to parse date and time
-function parseDateTime(dateString, timeString) {
-  // dateString format: YYYY-MM-DD
-  // timeString format: "2:00 PM" or "14:00"
-
-  const date = new Date(dateString);
-
-  // Parse time
-  let hours, minutes;
-  if (timeString.includes('AM') || timeString.includes('PM')) {
-    // 12-hour format
-    const [time, period] = timeString.split(' ');
-    const [h, m] = time.split(':');
-    hours = parseInt(h);
-    minutes = parseInt(m) || 0;
-
-    if (period === 'PM' && hours !== 12) hours += 12;
-    if (period === 'AM' && hours === 12) hours = 0;
-  } else {
-    // 24-hour format
-    const [h, m] = timeString.split(':');
-    hours = parseInt(h);
-    minutes = parseInt(m) || 0;
+// Per-practice configuration: Cal.com account, event type, timezone, senders (TENANTS_CONFIG)
+const tenants = loadTenants();
+
+// One Cal.com client per tenant, created on first use
+const calClients = new Map();
+function calFor(tenant) {
+  if (!calClients.has(tenant.id)) {
+    calClients.set(tenant.id, createCalClient(tenant.cal));
   }
+  return calClients.get(tenant.id);
+}
+
+// Vapi webhook authentication (VAPI_WEBHOOK_SECRETS plus per-tenant secrets)
+const vapiAuth = createVapiAuth({
+  extraSecrets: tenants.vapiSecrets(),
+  tenantFor: message => tenants.resolve(message).id
+});
+
+// Twilio signature check for inbound WhatsApp replies (per-tenant auth token)
+const twilioAuth = createTwilioAuth({ tenants });
+
+// Same check for message status callbacks, which name their tenant in the URL
+const twilioStatusAuth = createTwilioAuth({ tenants, resolveTenant: req => tenants.get(req.query.tenant) });
+
+// Signature check for Resend delivery webhooks (RESEND_WEBHOOK_SECRET or per-tenant resend.webhookSecret)
+const resendAuth = createResendAuth({ tenants });
+
+// Cal.com booking webhooks, checked against each tenant's cal.webhookSecret (CAL_WEBHOOK_SECRET)
+const calAuth = createCalAuth({ tenants });
+
+// Bearer token for the /admin endpoints (ADMIN_API_TOKEN), or a dashboard session (DASHBOARD_PASSWORD)
+const adminAuth = createAdminAuth();
+
+// Every spoken, WhatsApp, email and web message, per language with tenant overrides
+const templates = createTemplates();
+
+// Persistent booking store (DATABASE_PATH, defaults to ./data/bookings.db)
+const store = createStore();
+
+// Signed, single-use tokens for the confirm-email link (CONFIRM_TOKEN_SECRET)
+const confirmTokens = createConfirmTokens({ store });
+
+// Replays results for retried tool calls and repeated bookings
+const idempotency = createIdempotency({ store });
+
+// Every tool call with its caller, arguments, result and latency, for /admin/calls
+const callAudit = createCallAudit({ store });
+
+// The tools the assistant can call (TOOL_DEADLINE_MS per call, TOOL_BUDGET_MS per message)
+const toolRegistry = createToolRegistry({
+  fail: (call, refusal) => failure(call.context, refusal),
+  onUnknown: call => ({
+    success: false,
+    error: `Unknown function: ${call.name}`,
+    message: say(call.context, 'voice.unknownFunction')
+  }),
+  onError: (call, error) => ({
+    success: false,
+    error: error.message,
+    message: say(call.context, 'voice.unexpectedError')
+  }),
+  onTimeout: call => ({
+    success: false,
+    error: 'timeout',
+    message: say(call.context, 'voice.toolTimeout')
+  })
+});
+toolRegistry.use(toolMiddleware.audit(callAudit));
+toolRegistry.use(toolMiddleware.idempotent(idempotency));
+
+// WhatsApp/SMS/email delivery with fallback, retries and delivery status (NOTIFICATIONS_SINK for local testing)
+const notifier = createNotifier({ store, tenants });
+
+// WhatsApp/SMS/email reminders before each appointment (REMINDER_INTERVAL_SECONDS)
+const reminders = createReminderScheduler({
+  store,
+  tenants,
+  templates,
+  senders: {
+    whatsapp: (to, text, tenant, meta) => sendWhatsAppMessage(to, text, tenant, meta),
+    sms: (to, text, tenant, meta) => notifier.send({ tenant, channel: 'sms', to, content: { text }, ...meta }),
+    email: (to, content, tenant, meta) => sendEmail(to, content, tenant, meta)
+  },
+  intervalMs: (Number(process.env.REMINDER_INTERVAL_SECONDS) || 60) * 1000
+});
+
+// Offers slots freed by cancellations to callers on the waitlist; lapsed holds move on (WAITLIST_INTERVAL_SECONDS)
+const waitlist = createWaitlist({
+  store,
+  tenants,
+  templates,
+  send: (to, text, tenant, meta) => sendWhatsAppMessage(to, text, tenant, meta),
+  intervalMs: (Number(process.env.WAITLIST_INTERVAL_SECONDS) || 60) * 1000
+});
+
+// Fixes placeholder attendees in Cal.com once customers confirm their email
+const emailCorrection = createEmailCorrection({ store, calFor });
+
+// A repeat of the same caller + start time inside this window is treated as the same booking
+const BOOKING_FINGERPRINT_TTL_SECONDS = 15 * 60;
+
+// What the confirm-email page is told for each unusable token state
+const TOKEN_STATE_RESPONSES = {
+  invalid: { status: 400, key: 'web.linkInvalid' },
+  expired: { status: 410, key: 'web.linkExpired' },
+  used: { status: 409, key: 'web.linkUsed' }
+};
+
+// What the confirm-email page is told for each successful correction outcome (see lib/email-correction.js)
+const CORRECTION_RESPONSES = {
+  attendee_updated: 'web.confirmed',
+  kept: 'web.confirmed',
+  rebooked: 'web.confirmedRebooked',
+  rolled_back: 'web.confirmedRolledBack'
+};
+
+// Which tenants are configured, without any of their secrets
+for (const tenant of tenants.list()) {
+  logger.info('Tenant loaded', {
+    tenantId: tenant.id,
+    default: tenant === tenants.fallback,
+    configPath: tenants.configPath,
+    calApiVersion: tenant.cal.apiVersion,
+    calConfigured: !!tenant.cal.apiKey,
+    eventTypeId: tenant.cal.eventTypeId,
+    timeZone: tenant.timeZone,
+    debugLogging: !!tenant.logging.debug
+  });
+}
 
-  date.setHours(hours, minutes, 0, 0);
-  return date.toISOString();
+// Helper function to tag the rest of this request's log lines with its tenant (and call)
+// Tenants with logging.debug get debug lines for their requests
+function logContext(tenant, fields = {}) {
+  addContext({ tenantId: tenant.id, debug: !!tenant.logging.debug, ...fields });
 }
 
-// Helper function to format time slots
-function formatSlots(slots) {
-  if (!slots || slots.length === 0) {
-    return [];
+// Helper function to persist booking state without failing the caller's request
+async function persist(description, fn) {
+  try {
+    await fn();
+  } catch (error) {
+    logger.error('Failed to persist state', { what: description, error });
   }
+}
 
-  return slots.map(slot => {
-    const date = new Date(slot.time);
-    return date.toLocaleTimeString('en-US', {
-      hour: 'numeric',
-      minute: '2-digit',
-      hour12: true,
-      timeZone: 'Europe/London'
-    });
+// Helper function to send a WhatsApp message, falling back to SMS if the tenant allows it
+// meta: { kind, bookingUid } for the delivery log
+// Returns { success, queued, notificationId, channel, status, error }
+async function sendWhatsAppMessage(to, message, tenant = tenants.fallback, meta = {}) {
+  return notifier.send({ tenant, channel: 'whatsapp', to, content: { text: message }, ...meta });
+}
+
+// Helper function to send an email
+// content is { subject, html, text } as rendered by templates.email
+async function sendEmail(to, content, tenant = tenants.fallback, meta = {}) {
+  return notifier.send({ tenant, channel: 'email', to, content, ...meta });
+}
+
+// Helper function to send confirmation email
+// values: { name, date, time, meetingLink }; attachments is usually the calendar invite
+async function sendConfirmationEmail(email, values, { tenant = tenants.fallback, language, bookingUid, attachments } = {}) {
+  logger.info('Sending confirmation email', { bookingUid });
+  return sendEmail(email, {
+    ...templates.email('email.confirmation', values, { tenant, language }),
+    attachments
+  }, tenant, {
+    kind: 'confirmation',
+    bookingUid
   });
 }
 
-// Helper function to send WhatsApp message via Twilio
-async function sendWhatsAppMessage(to, message) {
-  if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_PHONE_NUMBER) {
-    console.log('⚠️  Twilio not configured, skipping WhatsApp message');
-    return { success: false, error: 'Twilio not configured' };
+// Helper function to describe a stored booking as a calendar event
+// Used for .ics invites and add-to-calendar links alike
+function calendarEvent(tenant, booking, language = bookingLanguage(tenant, booking)) {
+  const options = { tenant, language };
+  const type = findByEventTypeId(tenant, booking.eventTypeId);
+  const start = booking.startTime;
+  const end = booking.endTime || new Date(new Date(start).getTime() + (type ? type.durationMinutes : 30) * 60 * 1000).toISOString();
+  const inPerson = type && !isVideoLocation(type.location);
+  const organizer = parseAddress(tenant.sender.emailFrom);
+
+  return {
+    uid: booking.calendarUid || calendarUidFor(booking.uid, tenant.publicBaseUrl),
+    sequence: booking.calendarSequence || 0,
+    start,
+    end,
+    timeZone: booking.timeZone || tenant.timeZone,
+    summary: templates.text('calendar.summary', { type: type ? type.name : 'appointment', practice: tenant.sender.name }, options),
+    description: templates.text('calendar.description', { meetingLink: booking.meetingUrl, practice: tenant.sender.name }, options),
+    location: booking.meetingUrl || (inPerson ? tenant.sender.address : null),
+    url: booking.meetingUrl,
+    organizer: { name: tenant.sender.name, email: organizer.email },
+    attendee: booking.customerEmail && !booking.emailPending
+      ? { name: booking.customerName, email: booking.customerEmail }
+      : null
+  };
+}
+
+// Helper function to render the add-to-calendar links appended to WhatsApp messages
+function calendarLinks(tenant, booking, language) {
+  const event = calendarEvent(tenant, booking, language);
+  return templates.text('whatsapp.calendarLinks', {
+    googleLink: googleCalendarLink(event),
+    outlookLink: outlookCalendarLink(event)
+  }, { tenant, language });
+}
+
+// Helper function to keep the customer's calendar in step after a change
+// Only for bookings we sent our own invite for: Cal.com updates its own invites
+async function sendInviteUpdate(tenant, booking, { cancelled = false } = {}) {
+  if (!booking?.inviteSentAt || !booking.customerEmail) {
+    return null;
   }
 
-  try {
-    const url = `https://api.twilio.com/2010-04-01/Accounts/${TWILIO_ACCOUNT_SID}/Messages.json`;
+  const language = bookingLanguage(tenant, booking);
+  const timeZone = booking.timeZone || tenant.timeZone;
+  const type = findByEventTypeId(tenant, booking.eventTypeId);
+  const method = cancelled ? 'CANCEL' : 'REQUEST';
+  const content = templates.email(cancelled ? 'email.cancelled' : 'email.updated', {
+    name: booking.customerName,
+    type: type ? type.name : 'appointment',
+    date: formatDate(booking.startTime, timeZone, language),
+    time: formatTime(booking.startTime, timeZone, language),
+    meetingLink: booking.meetingUrl,
+    practice: tenant.sender.name
+  }, { tenant, language });
+
+  logger.info('Sending calendar invite', { bookingUid: booking.uid, method });
+  return sendEmail(booking.customerEmail, {
+    ...content,
+    attachments: [icsAttachment(buildIcs(calendarEvent(tenant, booking, language), { method }), { method })]
+  }, tenant, {
+    kind: cancelled ? 'invite_cancellation' : 'invite_update',
+    bookingUid: booking.uid
+  });
+}
 
-    const formData = new URLSearchParams({
-      To: `whatsapp:${to}`,
-      From: `whatsapp:${TWILIO_PHONE_NUMBER}`,
-      Body: message,
-    });
+// Helper function to render a message for the caller in their language
+// context is the tool call context: { tenant, call, language }
+function say(context, key, values = {}) {
+  return templates.text(key, values, context);
+}
+
+// Helper function to turn a lib result ({ error, message, values }) into a failed tool result
+// Library messages are English; a translated errors.<code> template is used when there is one
+function failure(context, { error, message, values }) {
+  return { success: false, error, message: templates.localiseError({ error, message, values }, context) };
+}
+
+// Helper function to work out which language a call is in
+// Vapi passes the transcriber settings with the call; otherwise the tenant default applies
+function callLanguage(tenant, call) {
+  return templates.pickLanguage(
+    tenant,
+    call?.assistantOverrides?.transcriber?.language,
+    call?.assistant?.transcriber?.language
+  );
+}
+
+// Helper function to pick the language for messages about a stored booking
+function bookingLanguage(tenant, booking) {
+  return templates.pickLanguage(tenant, booking?.language);
+}
 
-    const credentials = btoa(`${TWILIO_ACCOUNT_SID}:${TWILIO_AUTH_TOKEN}`);
+// Helper function to fetch Cal.com slots for an event type between two instants
+// Slots the tenant's booking rules don't allow are left out, so they are never offered
+// Returns a function suitable for lib/availability's range scanners
+function calSlotsFetcher(tenant, eventTypeId) {
+  const durationMinutes = findByEventTypeId(tenant, eventTypeId)?.durationMinutes || 0;
+
+  return async (startIso, endIso) => {
+    const slots = await calFor(tenant).getSlots({
+      eventTypeId,
+      start: startIso,
+      end: endIso,
+      timeZone: tenant.timeZone
+    });
+    logger.debug('Fetched slots', { eventTypeId, from: startIso, to: endIso, slots: slots.length });
 
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Basic ${credentials}`,
-        'Content-Type': 'application/x-www-form-urlencoded',
-      },
-      body: formData.toString(),
+    // Slots being rebooked by an email correction look free in Cal.com for a moment
+    const holds = await store.listSlotHolds({
+      tenantId: tenant.id,
+      from: new Date(startIso).toISOString(),
+      to: new Date(endIso).toISOString()
     });
+    const free = holds.length > 0 ? slots.filter(slot => !isHeld(holds, slot.time)) : slots;
+    return filterSlots(tenant, free, { durationMinutes });
+  };
+}
+
+// Helper function to check whether an email correction or a waitlist offer is holding a slot
+// exceptHoldId: the hold kept for the caller making this booking
+async function isSlotHeld(tenant, startTime, { exceptHoldId } = {}) {
+  const at = new Date(startTime).toISOString();
+  const holds = await store.listSlotHolds({ tenantId: tenant.id, from: at, to: at });
+  return isHeld(holds, startTime, { exceptHoldId });
+}
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('❌ Twilio WhatsApp error:', errorText);
-      return { success: false, error: errorText };
+// Helper function to work out which booking a cancel/reschedule call refers to
+// An explicit bookingUid is used as-is; otherwise the caller's phone number is
+// used to find their bookings and the caller must confirm before we act.
+// Bookings inside the tenant's cancellation cut-off are refused before the caller is asked to confirm.
+// action is 'cancel' or 'reschedule'
+// Returns { bookingUid, booking } or { result } to send straight back to Vapi
+async function resolveTargetBooking(params, context, action, describeAction) {
+  const { tenant, call } = context;
+  if (params.bookingUid) {
+    const booking = await store.getBooking(params.bookingUid);
+    if (!booking || booking.tenantId !== tenant.id) {
+      return {
+        result: failure(context, {
+          error: 'booking_not_found',
+          message: 'I can\'t find that appointment. Could you tell me the date and time of the appointment instead?'
+        })
+      };
     }
+    const allowed = checkChange(tenant, booking, { action });
+    return allowed.ok ? { bookingUid: params.bookingUid, booking } : { result: failure(context, allowed) };
+  }
 
-    const data = await response.json();
-    console.log('✅ WhatsApp message sent:', data.sid);
-    return { success: true, messageId: data.sid };
-  } catch (error) {
-    console.error('❌ Error sending WhatsApp:', error.message);
-    return { success: false, error: error.message };
+  const phone = normalizePhone(params.phone || call?.customer?.number, tenant.defaultCountryCode);
+  if (!phone) {
+    return {
+      result: {
+        success: false,
+        error: 'missing_phone',
+        message: say(context, 'voice.phoneNeededForChange')
+      }
+    };
   }
-}
 
-// Helper function to send confirmation email
-async function sendConfirmationEmail(email, name, formattedDate, formattedTime, meetingLink) {
-  const RESEND_API_KEY = process.env.RESEND_API_KEY || process.env.EXPO_PUBLIC_RESEND_API_KEY;
+  const bookings = await findUpcomingBookings(store, { tenantId: tenant.id, phone, name: params.customerName });
+  const selected = selectBooking(bookings, {
+    date: params.appointmentDate,
+    time: params.appointmentTime,
+    index: params.appointmentNumber
+  }, tenant);
 
-  if (!RESEND_API_KEY) {
-    console.log('⚠️  Resend API key not configured, skipping email');
-    return { success: false, error: 'Resend not configured' };
+  if (selected.error) {
+    return { result: failure(context, selected) };
   }
 
-  try {
-    console.log('📧 Sending confirmation email via Resend...');
-
-    const emailHtml = `
-      <h2>Your Appointment is Confirmed!</h2>
-      <p>Hi ${name},</p>
-      <p>Thank you for confirming your details. Your appointment is scheduled for:</p>
-      <ul>
-        <li><strong>Date:</strong> ${formattedDate}</li>
-        <li><strong>Time:</strong> ${formattedTime}</li>
-        ${meetingLink ? `<li><strong>Meeting Link:</strong> <a href="${meetingLink}">Join Meeting</a></li>` : ''}
-      </ul>
-      ${meetingLink ? '<p>You will also receive a calendar invitation shortly.</p>' : '<p>We look forward to seeing you!</p>'}
-      <p>If you need to cancel or reschedule, please call us.</p>
-      <p>Thank you!</p>
-    `;
-
-    const emailResponse = await fetch('https://api.resend.com/emails', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${RESEND_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        from: 'AI Receptionist <onboarding@resend.dev>',
-        to: email,
-        subject: `Appointment Confirmed - ${formattedDate}`,
-        html: emailHtml
-      })
-    });
+  const { booking } = selected;
+  const allowed = checkChange(tenant, booking, { action });
+  if (!allowed.ok) {
+    return { result: failure(context, allowed) };
+  }
 
-    if (emailResponse.ok) {
-      const emailData = await emailResponse.json();
-      console.log('✅ Confirmation email sent:', emailData.id);
-      return { success: true, emailId: emailData.id };
-    } else {
-      const emailError = await emailResponse.text();
-      console.error('⚠️  Failed to send confirmation email:', emailError);
-      return { success: false, error: emailError };
-    }
-  } catch (emailError) {
-    console.error('⚠️  Error sending confirmation email:', emailError);
-    return { success: false, error: emailError.message };
+  if (params.confirmed !== true) {
+    return {
+      result: {
+        success: true,
+        confirmationRequired: true,
+        appointment: { date: booking.startTime, description: describeBooking(booking, tenant) },
+        message: say(context, 'voice.confirmAction', { action: describeAction(describeBooking(booking, tenant)) })
+      }
+    };
   }
+
+  return { bookingUid: booking.uid, booking };
 }
 
 // Function handlers
-async function handleGetAvailableSlots(params) {
-  console.log('📅 Getting available slots for:', params.date);
+async function handleListAppointmentTypes(params, context) {
+  const { tenant } = context;
+  logger.debug('Listing appointment types');
+
+  const types = listAppointmentTypes(tenant);
+
+  return {
+    success: true,
+    appointmentTypes: types.map(type => ({
+      key: type.key,
+      name: type.name,
+      durationMinutes: type.durationMinutes,
+      description: type.description
+    })),
+    message: say(context, types.length === 1 ? 'voice.typesOne' : 'voice.typesMany', { types: describeTypes(types) })
+  };
+}
+
+async function handleGetAvailableSlots(params, context) {
+  const { tenant } = context;
+  logger.info('Getting available slots', { date: params.date, startDate: params.startDate, endDate: params.endDate });
+
+  const { type, error, message } = resolveAppointmentType(tenant, params.appointmentType);
+  if (error) {
+    return failure(context, { error, message });
+  }
+
+  const weekdays = parseWeekdays(params.weekdays);
+  const partOfDay = parsePartOfDay(params.partOfDay);
+  for (const parsed of [weekdays, partOfDay]) {
+    if (!parsed.ok) {
+      return failure(context, parsed);
+    }
+  }
+
+  const hasPreferences = !!(weekdays.weekdays || partOfDay.partOfDay);
+  const isRange = !!(params.startDate || params.endDate || (!params.date && hasPreferences));
+
+  const range = resolveRange({
+    date: params.date,
+    startDate: params.startDate,
+    endDate: params.endDate,
+    timeZone: tenant.timeZone,
+    defaultDays: 14
+  });
+  if (!range.ok) {
+    return failure(context, range);
+  }
+
+  // A single day the practice doesn't book (holiday, closed, too far ahead) is explained rather than reported empty
+  if (!isRange) {
+    const allowed = checkDate(tenant, range.fromDate, { language: context.language });
+    if (!allowed.ok) {
+      return failure(context, allowed);
+    }
+  }
+
+  const preferences = {
+    timeZone: tenant.timeZone,
+    fromDate: range.fromDate,
+    toDate: range.toDate,
+    weekdays: weekdays.weekdays,
+    partOfDay: partOfDay.partOfDay
+  };
 
   try {
-    // V1 API uses eventTypeId for /slots endpoint
-    const url = `${CAL_API_BASE_URL}/slots?apiKey=${CAL_API_KEY}&eventTypeId=${CAL_EVENT_TYPE_ID}&startTime=${params.date}T00:00:00Z&endTime=${params.date}T23:59:59Z`;
+    // Query the practice's local days, not UTC days
+    const slots = await fetchRange(calSlotsFetcher(tenant, type.eventTypeId), preferences);
+    const days = filterAndGroup(slots, preferences);
+    const wanted = describePreferences(preferences);
 
-    console.log('📤 Request URL:', url);
+    logger.info('Found available slots', { slots: days.reduce((total, day) => total + day.times.length, 0), days: days.length });
 
-    const response = await fetch(url);
+    if (!isRange) {
+      const date = range.fromDate;
+      const spokenDate = formatDate(date, tenant.timeZone);
+      const formattedSlots = days[0] ? days[0].spokenTimes : [];
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('❌ Cal.com error:', errorText);
+      if (formattedSlots.length === 0) {
+        return {
+          success: true,
+          slots: [],
+          date,
+          message: say(context, 'voice.noSlotsOnDate', { type: type.name, date: spokenDate, preferences: wanted })
+        };
+      }
+
+      const slotsText = formattedSlots.slice(0, 5).join(', ');
       return {
-        success: false,
-        error: 'Failed to get available slots',
-        message: 'I apologize, but I am having trouble checking the calendar right now. Please try again in a moment.'
+        success: true,
+        appointmentType: type.key,
+        date,
+        slots: formattedSlots,
+        message: say(context, 'voice.slotsOnDate', { typeWithArticle: withArticle(type.name), date: spokenDate, times: slotsText })
+      };
+    }
+
+    const spokenFrom = formatDate(range.fromDate, tenant.timeZone);
+    const spokenTo = formatDate(range.toDate, tenant.timeZone);
+
+    if (days.length === 0) {
+      return {
+        success: true,
+        appointmentType: type.key,
+        days: [],
+        message: say(context, 'voice.noSlotsInRange', { type: type.name, preferences: wanted, from: spokenFrom, to: spokenTo })
       };
     }
 
-    const data = await response.json();
-    console.log('📥 Response data:', JSON.stringify(data, null, 2));
+    const options = pickOptions(days);
+    return {
+      success: true,
+      appointmentType: type.key,
+      days: options.map(day => ({ date: day.date, slots: day.spokenTimes })),
+      message: say(context, 'voice.slotsInRange', { preferences: wanted, options: phraseOptions(options) })
+    };
+
+  } catch (error) {
+    logger.error('Failed to get slots', { error });
+    return {
+      success: false,
+      error: error.message,
+      message: say(context, 'voice.calendarError')
+    };
+  }
+}
+
+async function handleFindNextAvailable(params, context) {
+  const { tenant } = context;
+  logger.info('Finding next available slots', { fromDate: params.fromDate || 'today' });
+
+  const { type, error, message } = resolveAppointmentType(tenant, params.appointmentType);
+  if (error) {
+    return failure(context, { error, message });
+  }
+
+  const weekdays = parseWeekdays(params.weekdays);
+  const partOfDay = parsePartOfDay(params.partOfDay);
+  for (const parsed of [weekdays, partOfDay]) {
+    if (!parsed.ok) {
+      return failure(context, parsed);
+    }
+  }
+
+  const range = resolveRange({ startDate: params.fromDate, timeZone: tenant.timeZone, defaultDays: 1 });
+  if (!range.ok) {
+    return failure(context, range);
+  }
 
-    // V1 API returns: { slots: { "2025-12-18": [{time: "ISO"}, ...] } }
-    const dateSlots = data.slots?.[params.date] || [];
-    const slots = dateSlots;
-    const formattedSlots = formatSlots(slots);
+  const preferences = { weekdays: weekdays.weekdays, partOfDay: partOfDay.partOfDay };
+  const wanted = describePreferences(preferences);
 
-    console.log(`✅ Found ${formattedSlots.length} available slots`);
+  try {
+    const { days } = await findNext(calSlotsFetcher(tenant, type.eventTypeId), {
+      ...preferences,
+      fromDate: range.fromDate,
+      timeZone: tenant.timeZone,
+      maxDays: Math.min(Number(params.maxDays) || 28, 90, tenant.rules.maxDaysAhead ? tenant.rules.maxDaysAhead + 1 : 90),
+      wantDays: Math.min(Number(params.limit) || 3, 5)
+    });
 
-    if (formattedSlots.length === 0) {
+    if (days.length === 0) {
       return {
         success: true,
-        slots: [],
-        message: `I do not have any available appointments on ${params.date}. Would you like to try a different date?`
+        appointmentType: type.key,
+        days: [],
+        message: say(context, 'voice.noNextSlots', { type: type.name, preferences: wanted })
       };
     }
 
-    const slotsText = formattedSlots.slice(0, 5).join(', ');
+    const options = pickOptions(days, { maxDays: Math.min(Number(params.limit) || 3, 5), perDay: 2 });
     return {
       success: true,
-      slots: formattedSlots,
-      message: `I have the following times available on ${params.date}: ${slotsText}. Which time works best for you?`
+      appointmentType: type.key,
+      days: options.map(day => ({ date: day.date, slots: day.spokenTimes })),
+      message: say(context, 'voice.nextSlots', { type: type.name, preferences: wanted, options: phraseOptions(options) })
     };
 
   } catch (error) {
-    console.error('❌ Error:', error.message);
+    logger.error('Failed to get slots', { error });
     return {
       success: false,
       error: error.message,
-      message: 'I apologize, but I am having trouble checking the calendar. Please try again.'
+      message: say(context, 'voice.calendarError')
+    };
+  }
+}
+
+async function handleBookAppointment(params, context) {
+  const { tenant, call } = context;
+  logger.info('Booking appointment', { appointmentType: params.appointmentType, date: params.date, time: params.time });
+
+  // Fall back to the number the customer is calling from
+  const customerPhone = normalizePhone(params.customerPhone || call?.customer?.number, tenant.defaultCountryCode);
+  if (!customerPhone) {
+    return {
+      success: false,
+      error: 'missing_phone',
+      message: say(context, 'voice.phoneNeededForBooking')
     };
   }
+
+  const { type, error, message } = resolveAppointmentType(tenant, params.appointmentType);
+  if (error) {
+    return failure(context, { error, message });
+  }
+
+  // Parse date and time in the practice's timezone
+  const parsed = parseDateTime(params.date, params.time, { timeZone: tenant.timeZone });
+  if (!parsed.ok) {
+    return failure(context, parsed);
+  }
+  const startTime = parsed.start;
+
+  // The practice's booking rules (lib/booking-rules.js) before anything reaches Cal.com
+  const allowed = checkStartTime(tenant, startTime, { durationMinutes: type.durationMinutes, language: context.language });
+  if (!allowed.ok) {
+    return failure(context, allowed);
+  }
+  const callerAllowed = await checkCaller(store, tenant, [customerPhone, call?.customer?.number]);
+  if (!callerAllowed.ok) {
+    return failure(context, callerAllowed);
+  }
+
+  // The same caller asking for the same start time again is a retry, not a
+  // second appointment - hand back the first booking while it still stands
+  const result = await idempotency.run(
+    bookingFingerprint(tenant.id, customerPhone, startTime),
+    () => createAppointment(params, {
+      ...context,
+      language: templates.pickLanguage(tenant, params.language, context.language),
+      type,
+      customerPhone,
+      startTime
+    }),
+    {
+      ttlSeconds: BOOKING_FINGERPRINT_TTL_SECONDS,
+      shouldCache: result => result.success && !!result.bookingUid,
+      isReusable: async result => (await store.getBooking(result.bookingUid))?.status === 'booked'
+    }
+  );
+  return isInProgress(result) ? failure(context, result) : result;
 }
 
-async function handleBookAppointment(params) {
-  console.log('📝 Booking appointment for:', params.customerName);
+// Helper function to create the Cal.com booking and send confirmations
+// Called through the booking fingerprint in handleBookAppointment, and for waitlist offers taken by WhatsApp
+// (source 'waitlist', with holdId the offer's hold on the slot)
+async function createAppointment(params, context) {
+  const { tenant, language, type, customerPhone, startTime, holdId } = context;
+  const spokenDate = formatDate(startTime, tenant.timeZone);
+  const spokenTime = formatTime(startTime, tenant.timeZone);
 
   try {
-    // Parse date and time
-    const startTime = parseDateTime(params.date, params.time);
 
     // Use provided email or generate placeholder if not provided
-    const email = params.customerEmail || `pending-${params.customerPhone.replace(/\D/g, '')}@scteeth.temp`;
+    const email = params.customerEmail || `pending-${customerPhone.replace(/\D/g, '')}@${tenant.placeholderEmailDomain}`;
     const needsEmailConfirmation = !params.customerEmail;
 
-    console.log('📧 Email:', email, needsEmailConfirmation ? '(placeholder - needs confirmation)' : '(provided)');
+    logger.info('Sending booking request', { email, emailPending: needsEmailConfirmation });
+
+    if (await isSlotHeld(tenant, startTime, { exceptHoldId: holdId })) {
+      logger.info('Slot is held', { startTime });
+      return {
+        success: false,
+        error: 'slot_held',
+        message: say(context, 'voice.bookingFailed')
+      };
+    }
 
-    const bookingPayload = {
-      eventTypeId: CAL_EVENT_TYPE_ID,
-      start: startTime,
-      timeZone: 'Europe/London',
-      language: 'en',
-      metadata: {},
-      responses: {
+    let booking;
+    try {
+      booking = await calFor(tenant).createBooking({
+        eventTypeId: type.eventTypeId,
+        start: startTime,
+        timeZone: tenant.timeZone,
+        language,
         name: params.customerName,
-        email: email,
-        location: { optionValue: '', value: 'integrations:zoom' },
+        email,
+        location: type.location,
         notes: params.notes || (needsEmailConfirmation ? 'Booked via AI Receptionist - Email pending via WhatsApp' : 'Booked via AI Receptionist')
+      });
+    } catch (error) {
+      if (!(error instanceof CalApiError)) {
+        throw error;
       }
-    };
-
-    console.log('📤 Sending booking request...');
-    console.log('📦 Booking payload:', JSON.stringify(bookingPayload, null, 2));
-
-    const response = await fetch(`${CAL_API_BASE_URL}/bookings?apiKey=${CAL_API_KEY}`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(bookingPayload)
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('❌ Booking failed:', errorText);
+      logger.warn('Booking failed', { error });
       return {
         success: false,
-        error: errorText,
-        message: 'I apologize, but I was unable to create the booking. The time slot may no longer be available. Would you like to try a different time?'
+        error: error.message,
+        message: say(context, 'voice.bookingFailed')
       };
     }
 
-    const booking = await response.json();
-
-    // Log full response to see structure
-    console.log('📦 Full booking response:', JSON.stringify(booking, null, 2));
-
-    // Handle different response structures from Cal.com API
-    const bookingId = booking.id || booking.data?.id;
-    const bookingUid = booking.uid || booking.data?.uid;
+    const bookingId = booking.id;
+    const bookingUid = booking.uid;
 
-    console.log('✅ Booking created successfully');
-    console.log('📋 Booking ID:', bookingId);
-    console.log('📋 Booking UID:', bookingUid);
+    logger.info('Booking created', { bookingId, bookingUid });
 
     if (!bookingUid) {
-      console.error('❌ WARNING: No booking UID found in response!');
+      logger.error('No booking UID in the Cal.com response', { bookingId });
+    } else {
+      await persist('booking', async () => {
+        const record = await store.recordBooking({
+          uid: bookingUid,
+          bookingId,
+          tenantId: tenant.id,
+          eventTypeId: type.eventTypeId,
+          startTime,
+          endTime: booking.endTime,
+          timeZone: tenant.timeZone,
+          language,
+          meetingUrl: booking.meetingUrl,
+          calendarUid: booking.iCalUid || calendarUidFor(bookingUid, tenant.publicBaseUrl),
+          customerName: params.customerName,
+          customerPhone,
+          customerEmail: email,
+          emailPending: needsEmailConfirmation,
+          status: 'booked',
+          source: context.source || 'vapi',
+          callId: context.call?.id
+        });
+        await store.recordBookingEvent(bookingUid, 'created', { startTime, needsEmailConfirmation });
+        await reminders.scheduleForBooking(record);
+      });
     }
 
     // Send WhatsApp message
@@ -303,477 +788,1649 @@ async function handleBookAppointment(params) {
     let whatsappResult;
     let emailConfirmLink;
 
+    const messageValues = {
+      name: params.customerName,
+      type: type.name,
+      date: formatDate(startTime, tenant.timeZone, language),
+      time: formatTime(startTime, tenant.timeZone, language),
+      email,
+      video: isVideoLocation(type.location),
+      practice: tenant.sender.name,
+      calendarLinks: calendarLinks(tenant, {
+        uid: bookingUid,
+        eventTypeId: type.eventTypeId,
+        startTime,
+        endTime: booking.endTime,
+        timeZone: tenant.timeZone,
+        meetingUrl: booking.meetingUrl
+      }, language)
+    };
+
     if (needsEmailConfirmation) {
       // Send link to provide email
-      emailConfirmLink = `https://vapiwebhook.onrender.com/confirm-email.html?booking=${bookingUid}&phone=${encodeURIComponent(params.customerPhone)}`;
-      whatsappMessage = `Hi ${params.customerName}! Your appointment is confirmed for ${params.date} at ${params.time}.\n\nPlease click this link to confirm your name and email address:\n${emailConfirmLink}\n\nThank you! - AI Front Desk`;
+      const token = await confirmTokens.issue({ bookingUid, phone: customerPhone, startTime });
+      emailConfirmLink = `${tenant.publicBaseUrl}/confirm-email.html?token=${encodeURIComponent(token)}`;
+      whatsappMessage = say(context, 'whatsapp.bookedPendingEmail', { ...messageValues, confirmLink: emailConfirmLink });
     } else {
       // Email was provided, just send confirmation
-      whatsappMessage = `Hi ${params.customerName}! Your appointment is confirmed for ${params.date} at ${params.time}.\n\nYou will receive a calendar invite and Zoom link at ${email}.\n\nThank you! - AI Front Desk`;
+      whatsappMessage = say(context, 'whatsapp.booked', messageValues);
     }
 
-    console.log('📱 Sending WhatsApp message...');
-    whatsappResult = await sendWhatsAppMessage(params.customerPhone, whatsappMessage);
+    whatsappResult = await sendWhatsAppMessage(customerPhone, whatsappMessage, tenant, { kind: 'confirmation', bookingUid });
 
     if (whatsappResult.success) {
-      console.log('✅ WhatsApp sent successfully');
+      logger.info('Confirmation sent', { bookingUid, channel: whatsappResult.channel });
+    } else if (whatsappResult.queued) {
+      logger.warn('Confirmation not sent yet, queued for retry', { bookingUid, reason: whatsappResult.error });
     } else {
-      console.log('⚠️  WhatsApp send failed:', whatsappResult.error);
+      logger.warn('Confirmation send failed', { bookingUid, reason: whatsappResult.error });
     }
 
     return {
       success: true,
       bookingId: bookingId,
       bookingUid: bookingUid,
+      appointmentType: type.key,
       emailConfirmLink: emailConfirmLink,
-      whatsappSent: whatsappResult.success,
-      message: needsEmailConfirmation
-        ? `Perfect! I have booked your appointment for ${params.time} on ${params.date}. You will receive a WhatsApp message with a link to confirm your email address and get your Zoom meeting link. Is there anything else I can help you with?`
-        : `Perfect! I have booked your appointment for ${params.time} on ${params.date}. You will receive email and WhatsApp confirmations shortly. Is there anything else I can help you with?`
+      whatsappSent: whatsappResult.success && whatsappResult.channel === 'whatsapp',
+      confirmationChannel: whatsappResult.success ? whatsappResult.channel : null,
+      message: say(context, needsEmailConfirmation ? 'voice.bookedPendingEmail' : 'voice.booked', {
+        ...messageValues,
+        date: spokenDate,
+        time: spokenTime
+      })
     };
 
   } catch (error) {
-    console.error('❌ Error:', error.message);
+    logger.error('Failed to book appointment', { error });
     return {
       success: false,
       error: error.message,
-      message: 'I apologize, but I encountered an error while booking your appointment. Please try again.'
+      message: say(context, 'voice.bookingError')
     };
   }
 }
 
-async function handleCancelAppointment(params) {
-  console.log('❌ Cancelling appointment:', params.bookingUid);
-
-  try {
-    const response = await fetch(`${CAL_API_BASE_URL}/bookings/${params.bookingUid}/cancel?apiKey=${CAL_API_KEY}`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        cancellationReason: params.reason || 'Cancelled by customer'
-      })
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('❌ Cancellation failed:', errorText);
-      return {
-        success: false,
-        error: errorText,
-        message: 'I apologize, but I was unable to cancel that appointment. Could you provide your booking confirmation number?'
-      };
-    }
-
-    console.log('✅ Appointment cancelled');
+async function handleJoinWaitlist(params, context) {
+  const { tenant, call } = context;
+  logger.info('Joining waitlist', { appointmentType: params.appointmentType, date: params.date, startDate: params.startDate, endDate: params.endDate });
 
+  if (!tenant.waitlist.enabled) {
     return {
-      success: true,
-      message: `I have cancelled your appointment. You will receive a confirmation email shortly. Is there anything else I can help you with?`
+      success: false,
+      error: 'waitlist_closed',
+      message: say(context, 'voice.waitlistClosed')
     };
+  }
 
-  } catch (error) {
-    console.error('❌ Error:', error.message);
+  // Offers go to the number the customer is calling from unless they give another
+  const customerPhone = normalizePhone(params.customerPhone || call?.customer?.number, tenant.defaultCountryCode);
+  if (!customerPhone) {
     return {
       success: false,
-      error: error.message,
-      message: 'I apologize, but I encountered an error while cancelling your appointment.'
+      error: 'missing_phone',
+      message: say(context, 'voice.phoneNeededForBooking')
     };
   }
+
+  const { type, error, message } = resolveAppointmentType(tenant, params.appointmentType);
+  if (error) {
+    return failure(context, { error, message });
+  }
+
+  const weekdays = parseWeekdays(params.weekdays);
+  const partOfDay = parsePartOfDay(params.partOfDay);
+  for (const parsed of [weekdays, partOfDay]) {
+    if (!parsed.ok) {
+      return failure(context, parsed);
+    }
+  }
+
+  const range = resolveRange({
+    date: params.date,
+    startDate: params.startDate,
+    endDate: params.endDate,
+    timeZone: tenant.timeZone,
+    defaultDays: tenant.waitlist.maxDays
+  });
+  if (!range.ok) {
+    return failure(context, range);
+  }
+
+  // A single day the practice doesn't book is explained rather than waited for
+  if (range.fromDate === range.toDate) {
+    const allowed = checkDate(tenant, range.fromDate, { language: context.language });
+    if (!allowed.ok) {
+      return failure(context, allowed);
+    }
+  }
+
+  // Nobody waits longer than the tenant's waitlist.maxDays (today included), nor past the rules' maxDaysAhead
+  const days = Math.min(tenant.waitlist.maxDays - 1, tenant.rules.maxDaysAhead || Infinity);
+  const ahead = checkDaysAhead(tenant, range.fromDate, { days });
+  if (!ahead.ok) {
+    return failure(context, ahead);
+  }
+  const lastDate = lastDateAhead(tenant, { days });
+  const toDate = range.toDate > lastDate ? lastDate : range.toDate;
+
+  const callerAllowed = await checkCaller(store, tenant, [customerPhone, call?.customer?.number], { newBooking: false });
+  if (!callerAllowed.ok) {
+    return failure(context, callerAllowed);
+  }
+
+  const entry = await waitlist.join(tenant, {
+    customerName: params.customerName,
+    customerPhone,
+    eventTypeId: type.eventTypeId,
+    fromDate: range.fromDate,
+    toDate,
+    weekdays: weekdays.weekdays,
+    partOfDay: partOfDay.partOfDay,
+    language: templates.pickLanguage(tenant, params.language, context.language),
+    callId: call?.id
+  });
+
+  return {
+    success: true,
+    waitlistEntryId: entry.id,
+    appointmentType: type.key,
+    fromDate: entry.fromDate,
+    toDate: entry.toDate,
+    message: say(context, 'voice.waitlistJoined', {
+      typeWithArticle: withArticle(type.name),
+      preferences: describePreferences({ weekdays: weekdays.weekdays, partOfDay: partOfDay.partOfDay }),
+      from: formatDate(entry.fromDate, tenant.timeZone),
+      to: formatDate(entry.toDate, tenant.timeZone),
+      oneDay: entry.fromDate === entry.toDate,
+      minutes: tenant.waitlist.holdMinutes
+    })
+  };
 }
 
-async function handleRescheduleAppointment(params) {
-  console.log('🔄 Rescheduling appointment:', params.bookingUid);
+async function handleFindMyAppointments(params, context) {
+  const { tenant, call } = context;
+  const phone = normalizePhone(params.phone || call?.customer?.number, tenant.defaultCountryCode);
+  logger.info('Finding appointments', { phone });
 
-  try {
-    const newStartTime = parseDateTime(params.newDate, params.newTime);
+  if (!phone) {
+    return {
+      success: false,
+      error: 'missing_phone',
+      message: say(context, 'voice.phoneNeededForLookup')
+    };
+  }
 
-    const response = await fetch(`${CAL_API_BASE_URL}/bookings/${params.bookingUid}/reschedule?apiKey=${CAL_API_KEY}`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        start: newStartTime,
-        reschedulingReason: params.reason || 'Rescheduled by customer'
-      })
-    });
+  try {
+    const bookings = await findUpcomingBookings(store, { tenantId: tenant.id, phone, name: params.customerName });
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('❌ Reschedule failed:', errorText);
+    if (bookings.length === 0) {
       return {
-        success: false,
-        error: errorText,
-        message: 'I apologize, but I was unable to reschedule that appointment. The new time may not be available.'
+        success: true,
+        appointments: [],
+        message: say(context, 'voice.noAppointmentsForNumber', { lastDigits: lastDigits(phone) })
       };
     }
 
-    const booking = await response.json();
-    console.log('✅ Appointment rescheduled');
-
     return {
       success: true,
-      bookingId: booking.id,
-      message: `Perfect! I have rescheduled your appointment to ${params.newTime} on ${params.newDate}. You will receive an updated confirmation email. Is there anything else I can help you with?`
+      appointments: bookings.map((booking, i) => ({
+        number: i + 1,
+        date: booking.startTime,
+        description: describeBooking(booking, tenant)
+      })),
+      message: say(context, 'voice.appointmentsFound', { appointments: listBookings(bookings, tenant) })
     };
 
   } catch (error) {
-    console.error('❌ Error:', error.message);
+    logger.error('Failed to find appointments', { error });
     return {
       success: false,
       error: error.message,
-      message: 'I apologize, but I encountered an error while rescheduling your appointment.'
+      message: say(context, 'voice.lookupError')
     };
   }
 }
 
-// Main webhook endpoint
-app.post('/webhook', async (req, res) => {
-  console.log('\n🔔 Webhook received:', new Date().toISOString());
-  console.log('📦 Full request body:', JSON.stringify(req.body, null, 2));
-
-  const { message } = req.body;
-
-  // Vapi sends tool-calls messages, not function-call messages
-  if (!message || message.type !== 'tool-calls') {
-    console.log('⚠️  Not a tool-calls message, ignoring');
-    console.log('Message type:', message?.type);
-    return res.json({ results: [] });
-  }
-
-  const { toolCallList } = message;
-  if (!toolCallList || toolCallList.length === 0) {
-    console.log('⚠️  No tool calls in message');
-    return res.json({ results: [] });
+// Helper function to cancel a booking in Cal.com and record it
+// Shared by the voice tools, WhatsApp replies and the dashboard; the freed slot goes to the waitlist
+// Returns { ok: true } or { ok: false, error }
+async function cancelAppointment(tenant, { bookingUid, booking }, reason) {
+  try {
+    await calFor(tenant).cancelBooking({ uid: bookingUid, id: booking?.bookingId }, { reason });
+  } catch (error) {
+    if (!(error instanceof CalApiError)) {
+      throw error;
+    }
+    logger.warn('Cancellation failed', { bookingUid, error });
+    return { ok: false, error: error.message };
   }
 
-  console.log(`📞 Processing ${toolCallList.length} tool call(s)`);
+  logger.info('Appointment cancelled', { bookingUid });
 
-  // Process each tool call and collect results
-  const results = [];
-
-  for (const toolCall of toolCallList) {
-    const { id, type, function: func } = toolCall;
+  let cancelled = null;
+  await persist('cancellation', async () => {
+    const stored = booking || await store.getBooking(bookingUid);
+    cancelled = await store.updateBooking(bookingUid, {
+      status: 'cancelled',
+      calendarSequence: (stored?.calendarSequence || 0) + 1
+    });
+    await reminders.cancelForBooking(bookingUid, 'booking_cancelled');
+    await store.recordBookingEvent(bookingUid, 'cancelled', { reason });
+  });
 
-    if (type !== 'function') {
-      console.log(`⚠️  Skipping non-function tool call: ${type}`);
-      continue;
-    }
+  await persist('cancelled invite', () => sendInviteUpdate(tenant, cancelled, { cancelled: true }));
+  await persist('waitlist offer', () => waitlist.offerSlot(tenant, cancelled || booking || {}));
 
-    const { name, arguments: params } = func;
-    console.log(`📞 Function: ${name}`);
-    console.log('📥 Parameters:', JSON.stringify(params, null, 2));
+  return { ok: true };
+}
 
-    let result;
+// Helper function to move a booking in Cal.com and record it
+// type is only given when the caller asked for a different kind of appointment
+// Returns { ok: true, booking, record } or { ok: false, error }; record is the stored booking after the move
+async function rescheduleAppointment(tenant, { bookingUid, booking: previous }, { newStartTime, type, reason }) {
+  if (await isSlotHeld(tenant, newStartTime)) {
+    logger.info('Slot is held by an email correction', { startTime: newStartTime });
+    return { ok: false, error: 'slot_held' };
+  }
 
-    try {
-      switch (name) {
-        case 'getAvailableSlots':
-          result = await handleGetAvailableSlots(params);
-          break;
-
-        case 'bookAppointment':
-          result = await handleBookAppointment(params);
-          break;
-
-        case 'cancelAppointment':
-          result = await handleCancelAppointment(params);
-          break;
-
-        case 'rescheduleAppointment':
-          result = await handleRescheduleAppointment(params);
-          break;
-
-        default:
-          console.log('❓ Unknown function:', name);
-          result = {
-            success: false,
-            error: `Unknown function: ${name}`,
-            message: 'I apologize, but I am not able to perform that action right now.'
-          };
+  let booking;
+  try {
+    booking = await calFor(tenant).rescheduleBooking(
+      { uid: bookingUid, id: previous?.bookingId },
+      {
+        start: newStartTime,
+        eventTypeId: type ? type.eventTypeId : undefined,
+        reason
       }
+    );
+  } catch (error) {
+    if (!(error instanceof CalApiError)) {
+      throw error;
+    }
+    logger.warn('Reschedule failed', { bookingUid, error });
+    return { ok: false, error: error.message };
+  }
 
-      console.log('📤 Result:', JSON.stringify(result, null, 2));
-
-      // Add result with tool call ID
-      results.push({
-        toolCallId: id,
-        result: result
+  logger.info('Appointment rescheduled', { bookingUid, newBookingUid: booking?.uid });
+
+  let record = null;
+  await persist('reschedule', async () => {
+    const newUid = booking?.uid;
+    const stored = await store.getBooking(bookingUid);
+    // The calendar UID stays with the appointment; a higher SEQUENCE replaces the old time
+    const calendarSequence = (stored?.calendarSequence || 0) + 1;
+
+    if (newUid && newUid !== bookingUid) {
+      const moved = await store.recordBooking({
+        ...(stored || {}),
+        uid: newUid,
+        tenantId: stored?.tenantId || tenant.id,
+        bookingId: booking.id,
+        eventTypeId: type ? type.eventTypeId : stored?.eventTypeId,
+        startTime: newStartTime,
+        endTime: booking.endTime,
+        meetingUrl: booking.meetingUrl || stored?.meetingUrl,
+        calendarUid: stored?.calendarUid || calendarUidFor(bookingUid, tenant.publicBaseUrl),
+        calendarSequence,
+        status: 'booked',
+        replacedByUid: null,
+        source: stored?.source || 'vapi'
       });
-
-    } catch (error) {
-      console.error('❌ Error processing tool call:', error);
-      results.push({
-        toolCallId: id,
-        result: {
-          success: false,
-          error: error.message,
-          message: 'I apologize, but I encountered an unexpected error. Please try again.'
-        }
+      await store.updateBooking(bookingUid, { status: 'rescheduled', replacedByUid: newUid });
+      await reminders.cancelForBooking(bookingUid, 'booking_rescheduled');
+      await reminders.scheduleForBooking(moved);
+      record = moved;
+    } else {
+      const moved = await store.updateBooking(bookingUid, {
+        startTime: newStartTime,
+        endTime: booking?.endTime || null,
+        calendarSequence,
+        ...(type ? { eventTypeId: type.eventTypeId } : {})
       });
+      if (moved) {
+        await reminders.scheduleForBooking(moved);
+      }
+      record = moved;
     }
-  }
 
-  console.log(`✅ Returning ${results.length} result(s)`);
-  res.json({ results });
-});
+    await store.recordBookingEvent(bookingUid, 'rescheduled', {
+      newBookingUid: newUid || bookingUid,
+      newStartTime,
+      reason
+    });
+  });
 
-// In-memory storage for corrected booking details
-// In production, use a proper database
-const bookingCorrections = new Map();
+  await persist('updated invite', () => sendInviteUpdate(tenant, record));
 
-// API endpoint to update booking email
-app.post('/api/update-email', async (req, res) => {
-  console.log('\n📧 Email update request received');
-  console.log('📦 Request body:', JSON.stringify(req.body, null, 2));
+  return { ok: true, booking, record };
+}
 
-  const { bookingUid, email, phone, name } = req.body;
+async function handleCancelAppointment(params, context) {
+  const { tenant } = context;
+  logger.info('Cancelling appointment', { bookingUid: params.bookingUid, appointmentDate: params.appointmentDate });
 
-  if (!bookingUid || !email) {
-    console.error('❌ Missing required fields');
-    return res.status(400).json({
-      success: false,
-      message: 'Booking ID and email are required'
-    });
+  const target = await resolveTargetBooking(params, context, 'cancel', appointment => say(context, 'voice.actionCancel', { appointment }));
+  if (target.result) {
+    return target.result;
   }
 
-  console.log(`🔍 Looking up booking UID: ${bookingUid}`);
-
   try {
-    // Fetch bookings from Cal.com V1 API
-    const listUrl = `${CAL_API_BASE_URL}/bookings?apiKey=${CAL_API_KEY}`;
-    console.log('📤 Fetching bookings from V1 API');
+    const outcome = await cancelAppointment(tenant, target, params.reason || 'Cancelled by customer');
 
-    const listResponse = await fetch(listUrl);
-
-    if (!listResponse.ok) {
-      const errorText = await listResponse.text();
-      console.error('❌ Failed to fetch bookings:', errorText);
-      return res.status(404).json({
+    if (!outcome.ok) {
+      return {
         success: false,
-        message: 'Unable to verify booking. The link may be invalid or expired.'
-      });
+        error: outcome.error,
+        message: say(context, 'voice.cancelFailed')
+      };
     }
 
-    const bookingsData = await listResponse.json();
-    const bookings = bookingsData.bookings || [];
+    return {
+      success: true,
+      bookingUid: target.bookingUid,
+      message: say(context, 'voice.cancelled', {
+        appointment: target.booking ? describeBooking(target.booking, tenant) : say(context, 'common.yourAppointment')
+      })
+    };
+
+  } catch (error) {
+    logger.error('Failed to cancel appointment', { error });
+    return {
+      success: false,
+      error: error.message,
+      message: say(context, 'voice.cancelError')
+    };
+  }
+}
 
-    // Find the booking with matching UID
-    const booking = bookings.find(b => b.uid === bookingUid);
+async function handleRescheduleAppointment(params, context) {
+  const { tenant } = context;
+  logger.info('Rescheduling appointment', { bookingUid: params.bookingUid, appointmentDate: params.appointmentDate });
 
-    if (!booking) {
-      console.error('❌ Booking not found with UID:', bookingUid);
-      return res.status(404).json({
-        success: false,
-        message: 'Booking not found. The link may be invalid or expired.'
-      });
+  // Only switch event type when the caller asked for a different kind of appointment
+  let type = null;
+  if (params.appointmentType) {
+    const resolved = resolveAppointmentType(tenant, params.appointmentType);
+    if (resolved.error) {
+      return failure(context, resolved);
     }
+    type = resolved.type;
+  }
 
-    console.log('📋 Found booking:', JSON.stringify(booking, null, 2));
+  const parsed = parseDateTime(params.newDate, params.newTime, { timeZone: tenant.timeZone });
+  if (!parsed.ok) {
+    return failure(context, parsed);
+  }
+  const newStartTime = parsed.start;
+
+  const allowed = checkStartTime(tenant, newStartTime, {
+    durationMinutes: (type || defaultAppointmentType(tenant)).durationMinutes,
+    language: context.language
+  });
+  if (!allowed.ok) {
+    return failure(context, allowed);
+  }
+  const callerAllowed = await checkCaller(store, tenant, [params.phone, context.call?.customer?.number], { newBooking: false });
+  if (!callerAllowed.ok) {
+    return failure(context, callerAllowed);
+  }
+
+  const spokenNewTime = say(context, 'common.timeOnDate', {
+    time: formatTime(newStartTime, tenant.timeZone),
+    date: formatDate(newStartTime, tenant.timeZone)
+  });
+
+  const target = await resolveTargetBooking(params, context, 'reschedule', appointment => say(context, 'voice.actionMove', { appointment, newTime: spokenNewTime }));
+  if (target.result) {
+    return target.result;
+  }
 
-    // Extract booking details
-    const appointmentDate = new Date(booking.startTime);
-    const formattedDate = appointmentDate.toLocaleDateString('en-GB', {
-      weekday: 'long',
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric'
+  try {
+    const outcome = await rescheduleAppointment(tenant, target, {
+      newStartTime,
+      type,
+      reason: params.reason || 'Rescheduled by customer'
     });
-    const formattedTime = appointmentDate.toLocaleTimeString('en-GB', {
-      hour: '2-digit',
-      minute: '2-digit',
-      hour12: true
+
+    if (!outcome.ok) {
+      return {
+        success: false,
+        error: outcome.error,
+        message: say(context, 'voice.rescheduleFailed')
+      };
+    }
+
+    return {
+      success: true,
+      bookingId: outcome.booking?.id,
+      bookingUid: outcome.record?.uid || target.bookingUid,
+      message: say(context, 'voice.rescheduled', { type: type ? type.name : 'appointment', newTime: spokenNewTime })
+    };
+
+  } catch (error) {
+    logger.error('Failed to reschedule appointment', { error });
+    return {
+      success: false,
+      error: error.message,
+      message: say(context, 'voice.rescheduleError')
+    };
+  }
+}
+
+// The built-in tools; schemas in lib/tools/schemas.js
+// Read-only tools run concurrently; the ones that change bookings check the caller owns the booking
+const bookingOwner = toolMiddleware.bookingOwner({ store });
+const builtInTools = [
+  { name: 'listAppointmentTypes', handler: handleListAppointmentTypes, concurrent: true },
+  { name: 'getAvailableSlots', handler: handleGetAvailableSlots, concurrent: true },
+  { name: 'findNextAvailable', handler: handleFindNextAvailable, concurrent: true },
+  { name: 'bookAppointment', handler: handleBookAppointment, middleware: [toolMiddleware.rateLimit({ limit: 3 })] },
+  { name: 'joinWaitlist', handler: handleJoinWaitlist, middleware: [toolMiddleware.rateLimit({ limit: 3 })] },
+  { name: 'findMyAppointments', handler: handleFindMyAppointments, concurrent: true },
+  { name: 'cancelAppointment', handler: handleCancelAppointment, middleware: [bookingOwner, toolMiddleware.rateLimit({ limit: 6 })] },
+  { name: 'rescheduleAppointment', handler: handleRescheduleAppointment, middleware: [bookingOwner, toolMiddleware.rateLimit({ limit: 6 })] }
+];
+for (const tool of builtInTools) {
+  toolRegistry.register({ ...tool, schema: TOOL_SCHEMAS[tool.name] });
+}
+
+// Extra tools: modules in TOOLS_DIR for every tenant, and in a tenant's tools.directory for that tenant
+// Each module exports a tool, or a function called with these services
+const toolDeps = { store, tenants, templates, notifier, calFor, logger };
+if (process.env.TOOLS_DIR) {
+  toolRegistry.loadDirectory(process.env.TOOLS_DIR, toolDeps);
+}
+for (const tenant of tenants.list()) {
+  if (tenant.tools.directory) {
+    toolRegistry.loadDirectory(tenant.tools.directory, toolDeps, { tenantId: tenant.id });
+  }
+}
+
+// Helper function to run the tool calls in a tool-calls message
+async function handleToolCalls(message) {
+  const { toolCallList } = message;
+  if (!Array.isArray(toolCallList) || toolCallList.length === 0) {
+    logger.warn('No tool calls in message', { toolCallListType: Array.isArray(toolCallList) ? 'array' : typeof toolCallList });
+    return { results: [] };
+  }
+
+  // Each call resolves its own practice from the assistant / phone number ID
+  const tenant = tenants.resolve(message);
+  const context = { tenant, call: message.call, language: callLanguage(tenant, message.call) };
+  logger.info('Processing tool calls', { count: toolCallList.length, language: context.language });
+
+  return { results: await toolRegistry.run(toolCallList, context) };
+}
+
+// Helper function to record what we know about a call from any server message
+// fields: columns to set on top of the tenant and call parties
+async function recordCall(message, tenant, fields = {}) {
+  const callId = message.call?.id;
+  if (!callId) {
+    return null;
+  }
+  return store.recordCall({ id: callId, tenantId: tenant.id, ...callParties(message), ...fields });
+}
+
+// Helper function to choose the assistant for an inbound call
+// Each number is mapped to its tenant (phoneNumberIds); the tenant names a saved
+// assistant (vapi.assistantId) or gives one inline (vapi.assistant)
+async function handleAssistantRequest(message) {
+  const tenant = tenants.resolve(message);
+  const language = callLanguage(tenant, message.call);
+  const { customerPhone } = callParties(message);
+  logger.info('Assistant request', { language });
+
+  await persist('call', () => recordCall(message, tenant, { status: message.call?.status || 'queued' }));
+
+  if (!tenant.vapi.assistantId && !tenant.vapi.assistant) {
+    logger.error('No assistant configured for tenant');
+    return { error: `No assistant configured for ${tenant.name}` };
+  }
+
+  // Returning callers are greeted by name
+  const phone = normalizePhone(customerPhone, tenant.defaultCountryCode);
+  const previous = phone ? (await store.listBookings({ tenantId: tenant.id, phone })).pop() : null;
+
+  const assistantOverrides = {
+    variableValues: {
+      practiceName: tenant.name,
+      language,
+      timeZone: tenant.timeZone,
+      today: formatDate(new Date().toISOString(), tenant.timeZone, language),
+      customerName: previous?.customerName || ''
+    }
+  };
+
+  return tenant.vapi.assistantId
+    ? { assistantId: tenant.vapi.assistantId, assistantOverrides }
+    : { assistant: withTools(tenant, tenant.vapi.assistant), assistantOverrides };
+}
+
+// Helper function to give an inline assistant our tool definitions
+// An assistant config that lists its own tools (or tool IDs) is left alone
+function withTools(tenant, assistant) {
+  if (!assistant.model || assistant.model.tools || assistant.model.toolIds) {
+    return assistant;
+  }
+  return { ...assistant, model: { ...assistant.model, tools: toolRegistry.definitions(tenant) } };
+}
+
+async function handleStatusUpdate(message) {
+  const tenant = tenants.resolve(message);
+  logger.info('Call status', { status: message.status, endedReason: message.endedReason });
+  await recordCall(message, tenant, { status: message.status, endedReason: message.endedReason });
+  return {};
+}
+
+// Store the report on the call; bookings made during the call point at it by call_id
+async function handleEndOfCallReport(message) {
+  const tenant = tenants.resolve(message);
+  const report = parseCallReport(message);
+  if (!report.id) {
+    logger.warn('End-of-call report without a call ID, ignoring');
+    return {};
+  }
+
+  await recordCall(message, tenant, report);
+  const bookings = await store.listBookings({ callId: report.id });
+  for (const booking of bookings) {
+    await store.recordBookingEvent(booking.uid, 'call_report', { callId: report.id, endedReason: report.endedReason });
+  }
+
+  logger.info('Call ended', {
+    endedReason: report.endedReason,
+    durationSeconds: report.durationSeconds,
+    cost: report.cost,
+    bookings: bookings.length
+  });
+  return {};
+}
+
+// Helper function to answer a transfer with the tenant's front desk (vapi.transfer)
+async function handleTransferDestinationRequest(message) {
+  const tenant = tenants.resolve(message);
+  const context = { tenant, call: message.call, language: callLanguage(tenant, message.call) };
+  const { number, sipUri } = tenant.vapi.transfer || {};
+
+  if (!number && !sipUri) {
+    logger.error('No transfer destination configured for tenant');
+    return { error: `No transfer destination configured for ${tenant.name}` };
+  }
+
+  logger.info('Transferring call', { destination: number || sipUri });
+  await persist('call', () => recordCall(message, tenant, { status: 'forwarding' }));
+
+  const spoken = say(context, 'voice.transferring', { practice: tenant.name });
+  return {
+    destination: number
+      ? { type: 'number', number, message: spoken }
+      : { type: 'sip', sipUri, message: spoken }
+  };
+}
+
+// The assistant didn't respond for a while; nothing to answer, but worth knowing about
+async function handleHang(message) {
+  logger.warn('Assistant went quiet on call');
+  return {};
+}
+
+// Every Vapi server message type we act on (see lib/vapi-messages.js)
+const vapiMessages = createMessageRouter({
+  handlers: {
+    'tool-calls': handleToolCalls,
+    'assistant-request': handleAssistantRequest,
+    'status-update': handleStatusUpdate,
+    'end-of-call-report': handleEndOfCallReport,
+    'transfer-destination-request': handleTransferDestinationRequest,
+    hang: handleHang
+  }
+});
+
+// Main webhook endpoint
+app.post('/webhook', vapiAuth, async (req, res) => {
+  const { message } = req.body;
+  if (message) {
+    logContext(tenants.resolve(message), { callId: message.call?.id });
+  }
+  logger.info('Webhook received', { type: message?.type });
+  logger.debug('Webhook body', { body: req.body });
+
+  try {
+    res.json(await vapiMessages.route(message));
+  } catch (error) {
+    logger.error('Error handling Vapi message', { type: message?.type, error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Helper function to escape text for a TwiML reply
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Helper function to book a waitlist offer for the caller who took it
+// Returns { ok: true, bookingUid } or { ok: false, error, slotStillFree } for lib/waitlist.js
+async function bookWaitlistOffer(tenant, entry, offer) {
+  const type = findByEventTypeId(tenant, offer.eventTypeId);
+  if (!type) {
+    return { ok: false, error: 'unknown_appointment_type', slotStillFree: true };
+  }
+
+  // The slot was checked against the rules when it was offered; the caller may have booked elsewhere since
+  const allowed = await checkCaller(store, tenant, entry.customerPhone);
+  if (!allowed.ok) {
+    return { ok: false, error: allowed.error, slotStillFree: true };
+  }
+
+  const result = await createAppointment({ customerName: entry.customerName }, {
+    tenant,
+    language: templates.pickLanguage(tenant, entry.language),
+    type,
+    customerPhone: entry.customerPhone,
+    startTime: offer.startTime,
+    holdId: offer.holdId,
+    source: 'waitlist'
+  });
+  return result.success ? { ok: true, bookingUid: result.bookingUid } : { ok: false, error: result.error };
+}
+
+// Helper function to answer a reply to a waitlist offer: YES/BOOK takes the slot, NO passes it on
+// Returns { intent, text } like handleWhatsAppReply
+async function handleWaitlistReply({ tenant, reply, offer, entry }) {
+  const options = { tenant, language: templates.pickLanguage(tenant, entry.language) };
+  const type = findByEventTypeId(tenant, offer.eventTypeId);
+  const values = {
+    type: type ? type.name : 'appointment',
+    date: formatDate(offer.startTime, tenant.timeZone, options.language),
+    time: formatTime(offer.startTime, tenant.timeZone, options.language),
+    practice: tenant.sender.name
+  };
+
+  if (!waitlist.isOpen(offer, new Date())) {
+    return { intent: reply.intent, text: templates.text('whatsapp.waitlistOfferGone', values, options) };
+  }
+
+  if (reply.intent === 'decline') {
+    await waitlist.decline(tenant, { offer, entry });
+    return { intent: 'decline', text: templates.text('whatsapp.waitlistDeclined', values, options) };
+  }
+
+  const outcome = await waitlist.claim(tenant, { offer, entry }, () => bookWaitlistOffer(tenant, entry, offer));
+  return {
+    intent: 'claim',
+    text: templates.text(outcome.ok ? 'whatsapp.waitlistClaimed' : 'whatsapp.waitlistClaimFailed', values, options)
+  };
+}
+
+// Helper function to act on a WhatsApp reply from a customer
+// Works on their next upcoming booking, using the same cancel/reschedule logic as the voice tools,
+// unless they are answering a waitlist offer
+// Returns { intent, text } where text is the WhatsApp reply, in the booking's language
+async function handleWhatsAppReply({ tenant, phone, text }) {
+  const reply = parseReply(text);
+  logger.info('WhatsApp reply', { phone, intent: reply.intent });
+
+  // YES while an offer is held for them is about the offer, not their next booking (C and OK
+  // always confirm the booking); BOOK and NO only ever answer offers
+  if (phone && (reply.yes || ['claim', 'decline'].includes(reply.intent))) {
+    const latest = await waitlist.latestOffer(tenant, phone);
+    if (latest && (reply.intent !== 'confirm' || waitlist.isOpen(latest.offer, new Date()))) {
+      return handleWaitlistReply({ tenant, reply, ...latest });
+    }
+  }
+
+  const bookings = phone ? await findUpcomingBookings(store, { tenantId: tenant.id, phone }) : [];
+
+  // Replies are about the confirmation or reminder they just received, i.e. the next appointment
+  const booking = bookings[0];
+  const options = { tenant, language: bookingLanguage(tenant, booking) };
+
+  if (['help', 'unknown', 'claim', 'decline'].includes(reply.intent)) {
+    return { intent: reply.intent, text: templates.text('whatsapp.replyHelp', {}, options) };
+  }
+
+  if (!booking) {
+    return {
+      intent: reply.intent,
+      text: templates.text('whatsapp.replyNoBooking', { practice: tenant.sender.name }, options)
+    };
+  }
+
+  const timeZone = booking.timeZone || tenant.timeZone;
+  const type = findByEventTypeId(tenant, booking.eventTypeId);
+  const values = {
+    type: type ? type.name : 'appointment',
+    date: formatDate(booking.startTime, timeZone, options.language),
+    time: formatTime(booking.startTime, timeZone, options.language),
+    practice: tenant.sender.name,
+    others: bookings.length > 1 ? templates.text('whatsapp.replyOthers', { several: bookings.length > 2 }, options) : ''
+  };
+  const target = { bookingUid: booking.uid, booking };
+
+  if (reply.intent === 'confirm') {
+    await persist('confirmation', () => store.recordBookingEvent(booking.uid, 'confirmed', { channel: 'whatsapp' }));
+    return { intent: 'confirm', text: templates.text('whatsapp.replyConfirmed', values, options) };
+  }
+
+  // Cancellations and moves by the customer keep to the practice's cut-off and booking rules
+  if (reply.intent === 'cancel' || reply.intent === 'reschedule') {
+    const allowed = checkChange(tenant, booking, { action: reply.intent });
+    if (!allowed.ok) {
+      return { intent: reply.intent, text: templates.localiseError(allowed, options) };
+    }
+  }
+
+  if (reply.intent === 'cancel') {
+    const outcome = await cancelAppointment(tenant, target, 'Cancelled by customer via WhatsApp');
+    return {
+      intent: 'cancel',
+      text: templates.text(outcome.ok ? 'whatsapp.replyCancelled' : 'whatsapp.replyCancelFailed', values, options)
+    };
+  }
+
+  // reschedule - keep the current day or time when only one of them was given
+  if (!reply.date && !reply.time) {
+    return { intent: 'reschedule', text: templates.text('whatsapp.replyAskNewTime', {}, options) };
+  }
+  const parsed = parseDateTime(
+    reply.date || localDate(booking.startTime, timeZone),
+    reply.time || formatTime(booking.startTime, timeZone),
+    { timeZone }
+  );
+  if (!parsed.ok) {
+    return { intent: 'reschedule', text: templates.localiseError(parsed, options) };
+  }
+  const timeAllowed = checkStartTime(tenant, parsed.start, { durationMinutes: type?.durationMinutes || 0, language: options.language });
+  const callerAllowed = timeAllowed.ok ? await checkCaller(store, tenant, phone, { newBooking: false }) : timeAllowed;
+  if (!callerAllowed.ok) {
+    return { intent: 'reschedule', text: templates.localiseError(callerAllowed, options) };
+  }
+
+  const outcome = await rescheduleAppointment(tenant, target, {
+    newStartTime: parsed.start,
+    reason: 'Rescheduled by customer via WhatsApp'
+  });
+  const moved = {
+    ...values,
+    newDate: formatDate(parsed.start, timeZone, options.language),
+    newTime: formatTime(parsed.start, timeZone, options.language),
+    calendarLinks: outcome.record ? calendarLinks(tenant, outcome.record, options.language) : ''
+  };
+  return {
+    intent: 'reschedule',
+    text: templates.text(outcome.ok ? 'whatsapp.replyMoved' : 'whatsapp.replyMoveFailed', moved, options)
+  };
+}
+
+// Twilio inbound WhatsApp webhook - replies to confirmations and reminders
+// Point the WhatsApp sender's "when a message comes in" URL at {publicBaseUrl}/twilio/whatsapp
+app.post('/twilio/whatsapp', twilioAuth, async (req, res) => {
+  const tenant = req.tenant;
+  const { From, Body, MessageSid } = req.body;
+  const phone = normalizePhone(String(From || '').replace(/^whatsapp:/, ''), tenant.defaultCountryCode);
+  logContext(tenant, { messageSid: MessageSid });
+
+  let reply;
+  try {
+    // Twilio retries webhooks it thinks failed; don't cancel or move twice
+    reply = MessageSid
+      ? await idempotency.run(`twilio:${MessageSid}`, () => handleWhatsAppReply({ tenant, phone, text: Body }))
+      : await handleWhatsAppReply({ tenant, phone, text: Body });
+    if (isInProgress(reply)) {
+      reply = { text: templates.localiseError(reply, { tenant }) };
+    }
+  } catch (error) {
+    logger.error('Error handling WhatsApp reply', { error });
+    reply = { text: templates.text('whatsapp.replyError', { practice: tenant.sender.name }, { tenant }) };
+  }
+
+  res.type('text/xml').send(`<?xml version="1.0" encoding="UTF-8"?><Response><Message>${escapeXml(reply.text)}</Message></Response>`);
+});
+
+// Helper function to pick the language for confirm-email.html responses
+// The booking's language wins once we know the booking, else the browser's Accept-Language
+function webOptions(req, tenant = tenants.fallback, booking = null) {
+  const accepted = req.acceptsLanguages(...templates.languages(tenant));
+  return { tenant, language: templates.pickLanguage(tenant, booking?.language, accepted || null) };
+}
+
+// Twilio message status callbacks for WhatsApp and SMS we sent
+// The StatusCallback URL is set per message by lib/notifications/twilio.js
+app.post('/twilio/status', twilioStatusAuth, async (req, res) => {
+  try {
+    await notifier.handleStatus({ provider: 'twilio', ...parseStatusCallback(req.body), tenantIds: [req.tenant.id] });
+  } catch (error) {
+    // Twilio retries on 5xx; a status update isn't worth a retry storm
+    logger.error('Error handling Twilio status callback', { error });
+  }
+  res.status(204).end();
+});
+
+// Resend delivery webhooks (email.delivered, email.bounced, ...)
+// Point a Resend webhook at {publicBaseUrl}/resend/webhook
+app.post('/resend/webhook', resendAuth, async (req, res) => {
+  try {
+    await notifier.handleStatus({ provider: 'resend', ...parseWebhookEvent(req.body), tenantIds: req.tenants.map(tenant => tenant.id) });
+  } catch (error) {
+    logger.error('Error handling Resend webhook', { error });
+  }
+  res.json({ received: true });
+});
+
+// Helper function to tell a customer about a cancellation or move made in Cal.com itself
+// channels defaults to the tenant's notifications.bookingChanges
+async function notifyBookingChange(tenant, booking, { cancelled = false, previousStart = null, channels = tenant.notifications.bookingChanges || [] } = {}) {
+  const language = bookingLanguage(tenant, booking);
+  const options = { tenant, language };
+  const timeZone = booking.timeZone || tenant.timeZone;
+  const type = findByEventTypeId(tenant, booking.eventTypeId);
+  const from = previousStart || booking.startTime;
+
+  const text = templates.text(cancelled ? 'whatsapp.bookingCancelled' : 'whatsapp.bookingMoved', {
+    name: booking.customerName,
+    type: type ? type.name : 'appointment',
+    date: formatDate(from, timeZone, language),
+    time: formatTime(from, timeZone, language),
+    newDate: formatDate(booking.startTime, timeZone, language),
+    newTime: formatTime(booking.startTime, timeZone, language),
+    practice: tenant.sender.name,
+    calendarLinks: cancelled ? '' : calendarLinks(tenant, booking, language)
+  }, options);
+  const meta = { kind: cancelled ? 'cancellation' : 'reschedule', bookingUid: booking.uid };
+
+  if (booking.customerPhone && channels.includes('whatsapp')) {
+    await sendWhatsAppMessage(booking.customerPhone, text, tenant, meta);
+  }
+  if (booking.customerPhone && channels.includes('sms')) {
+    await notifier.send({ tenant, channel: 'sms', to: booking.customerPhone, content: { text }, ...meta });
+  }
+  if (channels.includes('email')) {
+    await sendInviteUpdate(tenant, booking, { cancelled });
+  }
+}
+
+// Helper function to record a booking we first hear about from Cal.com (booked on the Cal.com page, or by staff)
+async function recordCalBooking(tenant, event) {
+  const { booking } = event;
+  const attendee = booking.attendees[0] || {};
+  const email = attendee.email || null;
+  const record = await store.recordBooking({
+    uid: booking.uid,
+    bookingId: booking.id,
+    tenantId: tenant.id,
+    eventTypeId: booking.eventTypeId,
+    startTime: booking.startTime,
+    endTime: booking.endTime,
+    timeZone: tenant.timeZone,
+    language: templates.pickLanguage(tenant, event.language),
+    meetingUrl: booking.meetingUrl,
+    calendarUid: booking.iCalUid || calendarUidFor(booking.uid, tenant.publicBaseUrl),
+    customerName: attendee.name,
+    customerPhone: normalizePhone(event.phone, tenant.defaultCountryCode),
+    customerEmail: email,
+    emailPending: !email || email.endsWith(`@${tenant.placeholderEmailDomain}`),
+    status: 'booked',
+    source: 'cal'
+  });
+  await store.recordBookingEvent(booking.uid, 'created', { startTime: booking.startTime, source: 'cal' });
+  await reminders.scheduleForBooking(record);
+  return record;
+}
+
+// Helper function to bring our booking records in line with a Cal.com webhook
+// Changes this server made come back as webhooks too; those find the records already up to date
+// Returns { action } describing what was done
+async function handleCalWebhook(tenant, event) {
+  const { trigger, booking } = event;
+  const sameTime = (a, b) => new Date(a).getTime() === new Date(b).getTime();
+
+  // The signature decides the practice; a booking we recorded for another one is left alone
+  const stored = await store.getBooking(event.previousUid || booking.uid) || await store.getBooking(booking.uid);
+  logContext(tenant);
+  if (stored?.tenantId && stored.tenantId !== tenant.id) {
+    logger.warn('Cal.com webhook for another tenant\'s booking', { trigger, bookingUid: booking.uid, bookingTenantId: stored.tenantId });
+    return { action: 'wrong_tenant' };
+  }
+  logger.info('Cal.com webhook', { trigger, bookingUid: booking.uid });
+
+  if (trigger === 'BOOKING_CREATED') {
+    if (await store.getBooking(booking.uid)) {
+      return { action: 'already_recorded' };
+    }
+    await recordCalBooking(tenant, event);
+    return { action: 'recorded' };
+  }
+
+  if (trigger === 'MEETING_ENDED') {
+    if (!stored || stored.status !== 'booked') {
+      return { action: 'ignored' };
+    }
+    await store.updateBooking(stored.uid, { status: 'completed' });
+    await reminders.cancelForBooking(stored.uid, 'meeting_ended');
+    await store.recordBookingEvent(stored.uid, 'meeting_ended', { source: 'cal' });
+    return { action: 'completed' };
+  }
+
+  if (trigger === 'BOOKING_CANCELLED') {
+    if (!stored) {
+      return { action: 'unknown_booking' };
+    }
+    if (stored.status !== 'booked') {
+      return { action: 'already_cancelled' };
+    }
+    const cancelled = await store.updateBooking(stored.uid, {
+      status: 'cancelled',
+      calendarSequence: (stored.calendarSequence || 0) + 1
     });
+    await reminders.cancelForBooking(stored.uid, 'booking_cancelled');
+    await store.recordBookingEvent(stored.uid, 'cancelled', { reason: event.reason, source: 'cal' });
+    await notifyBookingChange(tenant, cancelled, { cancelled: true });
+    await persist('waitlist offer', () => waitlist.offerSlot(tenant, cancelled));
+    return { action: 'cancelled' };
+  }
 
-    const correctedName = name || booking.attendees?.[0]?.name || 'Customer';
-    const oldEmail = booking.attendees?.[0]?.email;
-    const isPlaceholderEmail = oldEmail && oldEmail.includes('@scteeth.temp');
-
-    // Cancel old booking and create new one with correct email
-    // This is the only way to trigger Cal.com to send confirmation to the new email
-    if (isPlaceholderEmail) {
-      console.log('📧 Placeholder email detected, will cancel and create new booking with correct email...');
-
-      try {
-        // Step 1: Cancel the placeholder booking silently
-        console.log('❌ Canceling placeholder booking (silent)...');
-        const cancelResponse = await fetch(`${CAL_API_BASE_URL}/bookings/${booking.id}/cancel?apiKey=${CAL_API_KEY}`, {
-          method: 'DELETE',
-          headers: { 'Content-Type': 'application/json' }
-        });
+  // BOOKING_RESCHEDULED: Cal.com usually gives the moved booking a new UID (rescheduleUid is the old one)
+  if (!stored) {
+    await recordCalBooking(tenant, event);
+    return { action: 'recorded' };
+  }
 
-        if (!cancelResponse.ok) {
-          const errorText = await cancelResponse.text();
-          console.error('⚠️  Failed to cancel placeholder booking:', errorText);
-        } else {
-          console.log('✅ Placeholder booking cancelled');
-        }
-
-        // Step 2: Wait a moment for Cal.com to process the cancellation
-        await new Promise(resolve => setTimeout(resolve, 2000));
-
-        // Step 3: Create new booking with correct email at the same time
-        console.log('📝 Creating new booking with correct email...');
-        const newBookingPayload = {
-          eventTypeId: booking.eventTypeId,
-          start: booking.startTime,
-          timeZone: booking.attendees[0]?.timeZone || 'Europe/London',
-          language: 'en',
-          metadata: {},
-          responses: {
-            name: correctedName,
-            email: email,
-            location: booking.location || { optionValue: '', value: 'integrations:zoom' },
-            notes: 'Booked via AI Receptionist - Email confirmed by customer'
-          }
-        };
+  const current = await store.getBooking(booking.uid);
+  if (current && current.status === 'booked' && sameTime(current.startTime, booking.startTime)) {
+    return { action: 'already_recorded' };
+  }
 
-        const newBookingResponse = await fetch(`${CAL_API_BASE_URL}/bookings?apiKey=${CAL_API_KEY}`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(newBookingPayload)
-        });
+  const previousStart = stored.startTime;
+  const changes = {
+    bookingId: booking.id,
+    startTime: booking.startTime,
+    endTime: booking.endTime,
+    meetingUrl: booking.meetingUrl || stored.meetingUrl,
+    calendarSequence: (stored.calendarSequence || 0) + 1,
+    status: 'booked'
+  };
+
+  let moved;
+  if (booking.uid !== stored.uid) {
+    moved = await store.recordBooking({
+      ...stored,
+      ...changes,
+      uid: booking.uid,
+      eventTypeId: booking.eventTypeId || stored.eventTypeId,
+      replacedByUid: null
+    });
+    await store.updateBooking(stored.uid, { status: 'rescheduled', replacedByUid: booking.uid });
+    await reminders.cancelForBooking(stored.uid, 'booking_rescheduled');
+  } else {
+    moved = await store.updateBooking(stored.uid, changes);
+  }
+  await reminders.scheduleForBooking(moved);
+  await store.recordBookingEvent(stored.uid, 'rescheduled', {
+    newBookingUid: booking.uid,
+    newStartTime: booking.startTime,
+    reason: event.reason,
+    source: 'cal'
+  });
+  await notifyBookingChange(tenant, moved, { previousStart });
+  return { action: 'rescheduled' };
+}
 
-        if (!newBookingResponse.ok) {
-          const errorText = await newBookingResponse.text();
-          console.error('❌ Failed to create new booking:', errorText);
-          throw new Error('Failed to create new booking with correct email');
-        }
-
-        const newBooking = await newBookingResponse.json();
-        console.log('✅ New booking created with correct email - Cal.com will send confirmation!');
-        console.log('📋 New Booking ID:', newBooking.id);
-        console.log('📋 New Booking UID:', newBooking.uid);
-
-        // Store the correction mapping
-        bookingCorrections.set(bookingUid, {
-          oldBookingUid: bookingUid,
-          newBookingUid: newBooking.uid || newBooking.data?.uid,
-          newBookingId: newBooking.id || newBooking.data?.id,
-          email,
-          name: correctedName,
-          phone,
-          originalEmail: oldEmail,
-          originalName: booking.attendees?.[0]?.name,
-          updatedAt: new Date().toISOString()
-        });
+// Cal.com booking webhooks - keeps our records, reminders and customers in step with changes made in Cal.com
+// Add a webhook in Cal.com for {publicBaseUrl}/cal/webhook with the tenant's cal.webhookSecret
+app.post('/cal/webhook', calAuth, async (req, res) => {
+  const event = parseCalWebhook(req.body);
+  if (!event) {
+    return res.json({ received: true, action: 'ignored' });
+  }
 
-        return res.json({
-          success: true,
-          message: 'Email confirmed successfully! You will receive a confirmation email from Cal.com with your meeting link shortly.',
-          booking: {
-            date: formattedDate,
-            time: formattedTime,
-            name: correctedName
-          }
-        });
+  try {
+    // A delivery repeated by Cal.com (or by a proxy) is applied once
+    const result = await idempotency.run(`cal:${req.tenant.id}:${event.deliveryId}`, () => handleCalWebhook(req.tenant, event));
+    res.json({ received: true, ...result });
+  } catch (error) {
+    logger.error('Error handling Cal.com webhook', { error });
+    res.status(500).json({ received: false, error: 'internal_error' });
+  }
+});
+
+// API endpoint for confirm-email.html to check its link before showing the form
+app.get('/api/confirm-token', async (req, res) => {
+  const options = webOptions(req);
+
+  try {
+    const { state } = await confirmTokens.inspect(req.query.token);
+
+    if (state !== 'valid') {
+      const { status, key } = TOKEN_STATE_RESPONSES[state];
+      return res.status(status).json({ success: false, state, message: templates.text(key, {}, options) });
+    }
+
+    res.json({ success: true, state });
+  } catch (error) {
+    logger.error('Error checking confirm token', { error });
+    res.status(500).json({
+      success: false,
+      message: templates.text('web.serverError', {}, options)
+    });
+  }
+});
+
+// API endpoint to update booking email
+app.post('/api/update-email', async (req, res) => {
+  logger.info('Email update request received');
+  logger.debug('Email update request body', { body: req.body });
+
+  const { token, email, name } = req.body;
+  let options = webOptions(req);
+
+  if (!token || !email) {
+    logger.warn('Email update missing required fields');
+    return res.status(400).json({
+      success: false,
+      message: templates.text('web.missingFields', {}, options)
+    });
+  }
 
-      } catch (rebookError) {
-        console.error('❌ Error during cancel/rebook:', rebookError);
-        // Fall through to send manual confirmation email
+  // Validate and consume the token before anything touches Cal.com
+  let claim;
+  try {
+    claim = await confirmTokens.claim(token);
+  } catch (error) {
+    logger.error('Error validating confirm token', { error });
+    return res.status(500).json({
+      success: false,
+      message: templates.text('web.serverError', {}, options)
+    });
+  }
+
+  if (claim.state !== 'valid') {
+    logger.warn('Confirm token rejected', { state: claim.state });
+    const { status, key } = TOKEN_STATE_RESPONSES[claim.state];
+    return res.status(status).json({ success: false, state: claim.state, message: templates.text(key, {}, options) });
+  }
+
+  const { bookingUid, phone } = claim;
+
+  // Once the correction has started Cal.com may already have changed, so the link stays used
+  // (booking_corrections records how far it got) rather than letting a replay cancel or rebook again
+  let correctionStarted = false;
+  try {
+    // The stored booking tells us which practice's Cal.com account to use
+    const storedBooking = await store.getBooking(bookingUid);
+    const tenant = tenants.get(storedBooking?.tenantId);
+    options = webOptions(req, tenant, storedBooking);
+    logContext(tenant, { bookingUid });
+
+    let booking;
+    try {
+      booking = await calFor(tenant).getBooking({ uid: bookingUid, id: storedBooking?.bookingId });
+    } catch (error) {
+      if (!(error instanceof CalApiError)) {
+        throw error;
       }
+      logger.warn('Failed to fetch booking', { error });
+      await confirmTokens.release(claim.jti);
+      return res.status(404).json({
+        success: false,
+        message: templates.text('web.bookingUnverifiable', {}, options)
+      });
     }
 
-    // If not a placeholder email or rebook failed, store correction and send manual email
-    bookingCorrections.set(bookingUid, {
+    if (!booking) {
+      logger.warn('Booking not found');
+      await confirmTokens.release(claim.jti);
+      return res.status(404).json({
+        success: false,
+        message: templates.text('web.bookingNotFound', {}, options)
+      });
+    }
+
+    logger.debug('Found booking', { booking });
+
+    const correctedName = name || booking.attendees?.[0]?.name || 'Customer';
+    const oldEmail = booking.attendees?.[0]?.email;
+    const isPlaceholderEmail = !!oldEmail && oldEmail.endsWith(`@${tenant.placeholderEmailDomain}`);
+
+    correctionStarted = true;
+    const correction = await emailCorrection.correct({
+      tenant,
       bookingUid,
+      booking,
+      stored: storedBooking,
+      placeholder: isPlaceholderEmail,
       email,
       name: correctedName,
       phone,
-      originalEmail: oldEmail,
-      originalName: booking.attendees?.[0]?.name,
-      updatedAt: new Date().toISOString()
+      language: options.language
     });
+    const { outcome, record } = correction;
+    const reference = correction.bookingUid;
+    logger.info('Email correction finished', { outcome, newBookingUid: reference !== bookingUid ? reference : undefined });
 
-    console.log('✅ Stored corrected details:', bookingCorrections.get(bookingUid));
-
-    // Get meeting link from booking if available
-    const meetingLink = booking.metadata?.videoCallUrl || booking.conferenceData?.url;
-
-    // Send confirmation email using Resend
-    const RESEND_API_KEY = process.env.RESEND_API_KEY || process.env.EXPO_PUBLIC_RESEND_API_KEY;
-
-    if (RESEND_API_KEY) {
-      try {
-        console.log('📧 Sending confirmation email via Resend...');
-
-        const emailHtml = `
-          <h2>Your Appointment is Confirmed!</h2>
-          <p>Hi ${correctedName},</p>
-          <p>Thank you for confirming your details. Your appointment is scheduled for:</p>
-          <ul>
-            <li><strong>Date:</strong> ${formattedDate}</li>
-            <li><strong>Time:</strong> ${formattedTime}</li>
-            ${meetingLink ? `<li><strong>Meeting Link:</strong> <a href="${meetingLink}">Join Meeting</a></li>` : ''}
-          </ul>
-          ${meetingLink ? '<p>You will also receive a calendar invitation shortly.</p>' : '<p>We look forward to seeing you!</p>'}
-          <p>If you need to cancel or reschedule, please call us.</p>
-          <p>Thank you!</p>
-        `;
-
-        const emailResponse = await fetch('https://api.resend.com/emails', {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${RESEND_API_KEY}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            from: 'AI Receptionist <onboarding@resend.dev>',
-            to: email,
-            subject: `Appointment Confirmed - ${formattedDate}`,
-            html: emailHtml
-          })
-        });
+    await persist('correction reminders', async () => {
+      if (reference !== bookingUid || outcome === 'failed') {
+        await reminders.cancelForBooking(bookingUid, outcome === 'failed' ? 'booking_cancelled' : 'booking_replaced');
+      }
+      if (record?.status === 'booked') {
+        await reminders.scheduleForBooking(record);
+      }
+    });
+
+    const type = findByEventTypeId(tenant, booking.eventTypeId);
+    const values = {
+      name: correctedName,
+      type: type ? type.name : 'appointment',
+      date: formatDate(booking.startTime, tenant.timeZone, options.language),
+      time: formatTime(booking.startTime, tenant.timeZone, options.language),
+      reference,
+      practice: tenant.sender.name
+    };
+    const customerPhone = phone || storedBooking?.customerPhone;
 
-        if (emailResponse.ok) {
-          const emailData = await emailResponse.json();
-          console.log('✅ Confirmation email sent:', emailData.id);
-        } else {
-          const emailError = await emailResponse.text();
-          console.error('⚠️  Failed to send confirmation email:', emailError);
-        }
-      } catch (emailError) {
-        console.error('⚠️  Error sending confirmation email:', emailError);
+    if (outcome === 'failed') {
+      // The placeholder booking is gone and the slot couldn't be booked again
+      await sendWhatsAppMessage(customerPhone, templates.text('whatsapp.correctionFailed', values, options), tenant, {
+        kind: 'correction',
+        bookingUid
+      });
+      return res.status(409).json({
+        success: false,
+        outcome,
+        message: templates.text('web.correctionFailed', values, options)
+      });
+    }
+
+    if (reference !== bookingUid) {
+      await sendWhatsAppMessage(customerPhone, templates.text('whatsapp.correctionNewReference', values, options), tenant, {
+        kind: 'correction',
+        bookingUid: reference
+      });
+    }
+
+    // Cal.com emails the customer itself only when it books them with the real address
+    if (outcome !== 'rebooked') {
+      const meetingLink = booking.meetingUrl;
+      const invite = calendarEvent(tenant, record || {
+        uid: reference,
+        eventTypeId: booking.eventTypeId,
+        startTime: booking.startTime,
+        endTime: booking.endTime,
+        meetingUrl: meetingLink,
+        customerName: correctedName,
+        customerEmail: email
+      }, options.language);
+
+      // Send confirmation email using Resend
+      await sendConfirmationEmail(email, {
+        name: correctedName,
+        date: values.date,
+        time: values.time,
+        meetingLink
+      }, { ...options, bookingUid: reference, attachments: [icsAttachment(buildIcs(invite))] });
+
+      // Cal.com still has the placeholder after a rollback or when nothing changed, so updates are ours to send
+      if (outcome !== 'attendee_updated') {
+        await persist('invite', () => store.updateBooking(reference, { meetingUrl: meetingLink, inviteSentAt: new Date().toISOString() }));
       }
-    } else {
-      console.log('⚠️  Resend API key not configured, skipping email');
     }
 
-    // Return success response
     res.json({
       success: true,
-      message: 'Email confirmed successfully! You will receive a confirmation email shortly.',
+      outcome,
+      message: templates.text(CORRECTION_RESPONSES[outcome], values, options),
       booking: {
-        date: formattedDate,
-        time: formattedTime,
-        name: correctedName
+        date: values.date,
+        time: values.time,
+        name: correctedName,
+        reference
       }
     });
 
   } catch (error) {
-    console.error('❌ Error updating email:', error);
+    logger.error('Error updating email', { error, correctionStarted });
+    if (!correctionStarted) {
+      await confirmTokens.release(claim.jti).catch(() => {});
+    }
     res.status(500).json({
       success: false,
-      message: 'Server error. Please try again.'
+      message: templates.text('web.serverError', {}, options)
+    });
+  }
+});
+
+// Admin: template keys a tenant can override, with the languages each exists in
+app.get('/admin/templates', adminAuth, (req, res) => {
+  const tenant = tenants.get(req.query.tenant);
+  res.json({ success: true, tenant: tenant.id, languages: templates.languages(tenant), templates: templates.list(tenant) });
+});
+
+// Admin: render a template with sample values
+// GET  ?tenant=&key=&language=&format=text|html  - a saved template
+// POST { tenant, language, key | template, values } - a saved template or an unsaved draft
+function handleTemplatePreview(req, res) {
+  const input = req.method === 'POST' ? req.body || {} : req.query;
+  const tenant = tenants.get(input.tenant);
+
+  if (!input.key && typeof input.template !== 'string') {
+    return res.status(400).json({ success: false, error: 'key or template is required' });
+  }
+
+  let preview;
+  try {
+    preview = templates.preview({
+      tenant,
+      language: input.language,
+      key: input.key,
+      template: input.template,
+      values: typeof input.values === 'object' && input.values ? input.values : {}
+    });
+  } catch (error) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+
+  if (input.format === 'html' && preview.html) {
+    return res.type('html').send(preview.html);
+  }
+  if (input.format === 'text') {
+    return res.type('text').send(preview.text);
+  }
+  res.json({ success: true, tenant: tenant.id, language: templates.pickLanguage(tenant, input.language), ...preview });
+}
+
+app.get('/admin/templates/preview', adminAuth, handleTemplatePreview);
+app.post('/admin/templates/preview', adminAuth, handleTemplatePreview);
+
+// Admin: what was sent to customers and whether it arrived
+// ?tenant=&bookingUid=&status=&limit=
+app.get('/admin/notifications', adminAuth, async (req, res) => {
+  try {
+    const notifications = await store.listNotifications({
+      tenantId: req.query.tenant,
+      bookingUid: req.query.bookingUid,
+      status: req.query.status ? String(req.query.status).split(',') : undefined,
+      limit: Math.min(Number(req.query.limit) || 100, 500)
+    });
+    for (const notification of notifications) {
+      notification.deliveries = await store.listDeliveries(notification.id);
+    }
+    res.json({ success: true, notifications });
+  } catch (error) {
+    logger.error('Error listing notifications', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Helper function to read the filters shared by the admin lists
+// ?tenant= must name a configured tenant; plain from/to dates (YYYY-MM-DD) are
+// whole days in that tenant's timezone, or UTC across all tenants, and to is inclusive
+// Returns { tenantId, from, to } or { error }
+function adminFilters(query) {
+  const tenant = query.tenant ? tenants.list().find(t => t.id === query.tenant) : null;
+  if (query.tenant && !tenant) {
+    return { error: `Unknown tenant: ${query.tenant}` };
+  }
+
+  const timeZone = tenant ? tenant.timeZone : 'UTC';
+  const bound = (value, edge) => {
+    if (!value) {
+      return undefined;
+    }
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      const { start, end } = dayBounds(value, timeZone);
+      return edge === 'from' ? start.toISOString() : new Date(end.getTime() - 1).toISOString();
+    }
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+  };
+
+  const from = bound(query.from, 'from');
+  const to = bound(query.to, 'to');
+  if (from === null || to === null) {
+    return { error: 'from and to must be dates (YYYY-MM-DD) or ISO timestamps' };
+  }
+  return { tenantId: tenant?.id, from, to };
+}
+
+// Helper function to send an admin list as JSON, or as a CSV download with ?format=csv
+function sendAdminList(req, res, { name, rows, columns }) {
+  if (req.query.format === 'csv') {
+    res.attachment(`${name}-${new Date().toISOString().slice(0, 10)}.csv`);
+    return res.type('text/csv').send(toCsv(rows, columns));
+  }
+  res.json({ success: true, count: rows.length, [name]: rows });
+}
+
+const CALL_CSV_COLUMNS = [
+  { header: 'call_id', value: call => call.id },
+  { header: 'tenant', value: call => call.tenantId },
+  { header: 'started_at', value: call => call.startedAt || call.createdAt },
+  { header: 'caller', value: call => call.customerPhone },
+  { header: 'status', value: call => call.status },
+  { header: 'outcome', value: call => call.outcome },
+  { header: 'ended_reason', value: call => call.endedReason },
+  { header: 'duration_seconds', value: call => call.durationSeconds },
+  { header: 'cost', value: call => call.cost },
+  { header: 'tool_calls', value: call => call.toolCalls.map(invocation => `${invocation.functionName}:${invocation.success ? 'ok' : 'failed'}`).join(' ') },
+  { header: 'booking_uids', value: call => call.bookings.map(booking => booking.uid).join(' ') },
+  { header: 'recording_url', value: call => call.recordingUrl },
+  { header: 'summary', value: call => call.summary }
+];
+
+const BOOKING_CSV_COLUMNS = [
+  { header: 'uid', value: booking => booking.uid },
+  { header: 'tenant', value: booking => booking.tenantId },
+  { header: 'start_time', value: booking => booking.startTime },
+  { header: 'status', value: booking => booking.status },
+  { header: 'customer_name', value: booking => booking.customerName },
+  { header: 'customer_phone', value: booking => booking.customerPhone },
+  { header: 'customer_email', value: booking => booking.customerEmail },
+  { header: 'email_pending', value: booking => booking.emailPending },
+  { header: 'source', value: booking => booking.source },
+  { header: 'call_id', value: booking => booking.callId },
+  { header: 'replaced_by_uid', value: booking => booking.replacedByUid },
+  { header: 'created_at', value: booking => booking.createdAt }
+];
+
+// Admin: the Vapi tool definitions for a tenant's assistant, generated from the tool registry
+// Paste into the assistant's model.tools (or create them with the Vapi API) after changing a tool
+// ?tenant= (defaults to the default tenant)
+app.get('/admin/vapi-tools', adminAuth, (req, res) => {
+  const tenant = req.query.tenant ? tenants.list().find(t => t.id === req.query.tenant) : tenants.fallback;
+  if (!tenant) {
+    return res.status(400).json({ success: false, error: `Unknown tenant: ${req.query.tenant}` });
+  }
+
+  res.json({
+    success: true,
+    tenantId: tenant.id,
+    tools: toolRegistry.definitions(tenant, { serverUrl: `${tenant.publicBaseUrl}/webhook` })
+  });
+});
+
+// Admin: assistant calls with the tools they invoked and the bookings they made
+// ?tenant=&from=&to=&outcome=booked,failed|none&limit=&format=csv
+app.get('/admin/calls', adminAuth, async (req, res) => {
+  const filters = adminFilters(req.query);
+  if (filters.error) {
+    return res.status(400).json({ success: false, error: filters.error });
+  }
+  const outcomes = req.query.outcome ? String(req.query.outcome).split(',') : undefined;
+  const unknown = (outcomes || []).filter(outcome => outcome !== 'none' && !CALL_OUTCOMES.includes(outcome));
+  if (unknown.length > 0) {
+    return res.status(400).json({ success: false, error: `Unknown outcome: ${unknown.join(', ')}` });
+  }
+
+  try {
+    const calls = await store.listCalls({
+      ...filters,
+      outcome: outcomes,
+      limit: Math.min(Number(req.query.limit) || 100, 1000)
+    });
+    for (const call of calls) {
+      call.toolCalls = await store.listToolInvocations({ callId: call.id });
+      call.bookings = await store.listBookings({ callId: call.id });
+    }
+    sendAdminList(req, res, { name: 'calls', rows: calls, columns: CALL_CSV_COLUMNS });
+  } catch (error) {
+    logger.error('Error listing calls', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: one call with its transcript, every tool call and the bookings it made
+app.get('/admin/calls/:id', adminAuth, async (req, res) => {
+  try {
+    const call = await store.getCall(req.params.id);
+    const toolCalls = await store.listToolInvocations({ callId: req.params.id });
+    if (!call && toolCalls.length === 0) {
+      return res.status(404).json({ success: false, error: 'Call not found' });
+    }
+    res.json({
+      success: true,
+      call,
+      toolCalls,
+      bookings: await store.listBookings({ callId: req.params.id })
     });
+  } catch (error) {
+    logger.error('Error loading call', { error });
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Health check endpoint
+// Admin: stored bookings by appointment date, with the call that made each one
+// ?tenant=&from=&to=&status=booked,cancelled&phone=&callId=&limit=&format=csv
+app.get('/admin/bookings', adminAuth, async (req, res) => {
+  const filters = adminFilters(req.query);
+  if (filters.error) {
+    return res.status(400).json({ success: false, error: filters.error });
+  }
+
+  try {
+    const bookings = await store.listBookings({
+      ...filters,
+      status: req.query.status ? String(req.query.status).split(',') : undefined,
+      phone: req.query.phone ? normalizePhone(req.query.phone, tenants.get(filters.tenantId).defaultCountryCode) : undefined,
+      callId: req.query.callId,
+      limit: Math.min(Number(req.query.limit) || 100, 1000)
+    });
+    sendAdminList(req, res, { name: 'bookings', rows: bookings, columns: BOOKING_CSV_COLUMNS });
+  } catch (error) {
+    logger.error('Error listing bookings', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Dashboard login: swaps DASHBOARD_PASSWORD for a session token used as the admin Bearer token
+app.post('/admin/login', (req, res) => {
+  const result = adminAuth.login(req.body?.password, req.ip);
+  if (!result.ok) {
+    const status = { dashboard_disabled: 403, too_many_attempts: 429 }[result.reason] || 401;
+    return res.status(status).json({ success: false, error: result.reason });
+  }
+  res.json({ success: true, token: result.token, expiresAt: result.expiresAt });
+});
+
+// Admin: everything the front desk dashboard (admin.html) shows
+// ?tenant= narrows it to one practice; "today" is in that practice's timezone
+app.get('/admin/dashboard', adminAuth, async (req, res) => {
+  const filters = adminFilters(req.query);
+  if (filters.error) {
+    return res.status(400).json({ success: false, error: filters.error });
+  }
+
+  const tenant = tenants.get(filters.tenantId);
+  const today = dayBounds(todayInZone(tenant.timeZone), tenant.timeZone);
+  const now = new Date();
+
+  try {
+    const [bookedToday, pendingEmails, failedNotifications, toolErrors] = await Promise.all([
+      store.listBookings({
+        tenantId: filters.tenantId,
+        source: 'vapi',
+        createdFrom: today.start.toISOString(),
+        createdTo: new Date(today.end.getTime() - 1).toISOString(),
+        limit: 200
+      }),
+      store.listBookings({ tenantId: filters.tenantId, status: 'booked', emailPending: true, from: now.toISOString(), limit: 200 }),
+      store.listNotifications({ tenantId: filters.tenantId, status: 'failed', limit: 50 }),
+      store.listToolInvocations({
+        tenantId: filters.tenantId,
+        success: false,
+        from: new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000).toISOString(),
+        order: 'desc',
+        limit: 50
+      })
+    ]);
+
+    res.json({
+      success: true,
+      tenant: filters.tenantId || null,
+      tenants: tenants.list().map(t => ({ id: t.id, name: t.name, timeZone: t.timeZone })),
+      today: todayInZone(tenant.timeZone),
+      bookedToday,
+      pendingEmails,
+      failedNotifications,
+      toolErrors
+    });
+  } catch (error) {
+    logger.error('Error loading dashboard', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: send the customer a fresh confirm-email link for a booking still on a placeholder email
+app.post('/admin/bookings/:uid/resend-confirmation', adminAuth, async (req, res) => {
+  try {
+    const booking = await store.getBooking(req.params.uid);
+    if (!booking) {
+      return res.status(404).json({ success: false, error: 'Booking not found' });
+    }
+    if (!booking.emailPending || booking.status !== 'booked') {
+      return res.status(409).json({ success: false, error: 'This booking is not waiting for an email confirmation' });
+    }
+    if (!booking.customerPhone) {
+      return res.status(409).json({ success: false, error: 'This booking has no phone number to send the link to' });
+    }
+
+    const tenant = tenants.get(booking.tenantId);
+    const language = bookingLanguage(tenant, booking);
+    const timeZone = booking.timeZone || tenant.timeZone;
+    const type = findByEventTypeId(tenant, booking.eventTypeId);
+    const token = await confirmTokens.issue({ bookingUid: booking.uid, phone: booking.customerPhone, startTime: booking.startTime });
+    const text = templates.text('whatsapp.confirmLinkResent', {
+      name: booking.customerName,
+      type: type ? type.name : 'appointment',
+      date: formatDate(booking.startTime, timeZone, language),
+      time: formatTime(booking.startTime, timeZone, language),
+      confirmLink: `${tenant.publicBaseUrl}/confirm-email.html?token=${encodeURIComponent(token)}`,
+      practice: tenant.sender.name
+    }, { tenant, language });
+
+    const result = await sendWhatsAppMessage(booking.customerPhone, text, tenant, { kind: 'confirm_link', bookingUid: booking.uid });
+    await store.recordBookingEvent(booking.uid, 'confirm_link_resent', { notificationId: result.notificationId, by: 'dashboard' });
+
+    // A queued message will still be retried, so only an outright failure is an error
+    const sent = result.success || result.queued;
+    logger.info('Confirm link resent from the dashboard', { bookingUid: booking.uid, sent, channel: result.channel });
+    res.status(sent ? 200 : 502).json({
+      success: sent,
+      queued: result.queued,
+      channel: result.channel,
+      error: result.error
+    });
+  } catch (error) {
+    logger.error('Error resending confirm link', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: cancel a booking in Cal.com on the customer's behalf
+// { reason, notify } - notify (default true) tells the customer by WhatsApp/SMS
+app.post('/admin/bookings/:uid/cancel', adminAuth, async (req, res) => {
+  try {
+    const booking = await store.getBooking(req.params.uid);
+    if (!booking) {
+      return res.status(404).json({ success: false, error: 'Booking not found' });
+    }
+    if (booking.status !== 'booked') {
+      return res.status(409).json({ success: false, error: `This booking is already ${booking.status}` });
+    }
+
+    const tenant = tenants.get(booking.tenantId);
+    const reason = req.body?.reason || 'Cancelled by the practice';
+    const outcome = await cancelAppointment(tenant, { bookingUid: booking.uid, booking }, reason);
+    if (!outcome.ok) {
+      return res.status(502).json({ success: false, error: outcome.error });
+    }
+
+    // cancelAppointment has already sent the calendar cancellation to anyone who had our invite
+    if (req.body?.notify !== false) {
+      await persist('cancellation notice', () => notifyBookingChange(tenant, booking, {
+        cancelled: true,
+        channels: (tenant.notifications.bookingChanges || []).filter(channel => channel !== 'email')
+      }));
+    }
+
+    logger.info('Booking cancelled from the dashboard', { bookingUid: booking.uid });
+    res.json({ success: true, booking: await store.getBooking(booking.uid) });
+  } catch (error) {
+    logger.error('Error cancelling booking', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Health check endpoint - liveness only, it is public
 app.get('/health', (req, res) => {
   res.json({
     status: 'healthy',
-    timestamp: new Date().toISOString(),
-    calApiConfigured: !!CAL_API_KEY
+    timestamp: new Date().toISOString()
   });
 });
 
-// Start server
-app.listen(PORT, '0.0.0.0', () => {
-  console.log('\n🚀 Vapi Webhook Server Started');
-  console.log('================================');
-  console.log(`📍 Port: ${PORT}`);
-  console.log(`🔗 Webhook URL: http://localhost:${PORT}/webhook`);
-  console.log(`❤️  Health check: http://localhost:${PORT}/health`);
-  console.log(`📅 Cal.com API: ${CAL_API_KEY ? '✅ Configured' : '❌ Missing'}`);
-  console.log('================================\n');
-  console.log('Waiting for function calls from Vapi...\n');
+// Admin: counters from every subsystem (authentication refusals, tools, reminders, notifications, ...)
+app.get('/admin/stats', adminAuth, (req, res) => {
+  res.json({
+    success: true,
+    timestamp: new Date().toISOString(),
+    calApiConfigured: tenants.list().every(tenant => !!tenant.cal.apiKey),
+    tenants: tenants.list().length,
+    idempotency: idempotency.stats,
+    reminders: reminders.stats,
+    waitlist: waitlist.stats,
+    notifications: notifier.stats,
+    twilioWebhookAuth: twilioAuth.stats,
+    twilioStatusAuth: twilioStatusAuth.stats,
+    resendWebhookAuth: resendAuth.stats,
+    calWebhookAuth: { enabled: calAuth.enabled, ...calAuth.stats },
+    vapiMessages: vapiMessages.stats,
+    callAudit: callAudit.stats,
+    tools: toolRegistry.stats,
+    adminAuth: { enabled: adminAuth.enabled, dashboard: adminAuth.dashboardEnabled, ...adminAuth.stats },
+    webhookAuth: {
+      enabled: vapiAuth.enabled,
+      configured: vapiAuth.configured,
+      accepted: vapiAuth.stats.accepted,
+      rejected: vapiAuth.stats.rejected,
+      rejectedByReason: vapiAuth.stats.rejectedByReason
+    }
+  });
 });
+
+// Start server once the booking store is migrated
+store.migrate()
+  .then(() => idempotency.prune())
+  .then(() => {
+    // Expired idempotency keys are also dropped hourly
+    setInterval(() => idempotency.prune().catch(error => logger.error('Failed to prune idempotency keys', { error })), 60 * 60 * 1000).unref();
+
+    // Pick up any reminders, notification retries and waitlist holds that came due while the server was down
+    reminders.start();
+    notifier.start();
+    waitlist.start();
+
+    app.listen(PORT, '0.0.0.0', () => {
+      logger.info('Vapi webhook server started', {
+        port: PORT,
+        webhookUrl: `http://localhost:${PORT}/webhook`,
+        healthUrl: `http://localhost:${PORT}/health`,
+        calConfigured: tenants.list().every(tenant => tenant.cal.apiKey),
+        tenants: tenants.list().map(tenant => tenant.id),
+        webhookAuthEnabled: vapiAuth.enabled
+      });
+      if (!vapiAuth.enabled) {
+        logger.warn('Vapi webhook authentication is disabled (VAPI_AUTH_DISABLED=true)');
+      } else if (!vapiAuth.configured) {
+        logger.warn('No Vapi webhook secrets are configured, so every Vapi message will be refused (set VAPI_WEBHOOK_SECRETS)');
+      }
+    });
+  })
+  .catch(error => {
+    logger.error('Failed to initialise booking store', { error });
+    process.exit(1);
+  });